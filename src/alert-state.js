@@ -0,0 +1,156 @@
+/**
+ * Alert state per target
+ * Decides which check outcomes are worth a notification, so an open window
+ * checked every minute doesn't send dozens of identical urgent alerts and a
+ * single timeout doesn't page anyone:
+ * - availability alerts when slots appear (or new dates show up), then again
+ *   every ALERT_REMIND_MINUTES while they stay (0 = no reminders), and once
+ *   more when they are gone
+ * - errors alert after ALERT_ERROR_THRESHOLD failed checks in a row, once per
+ *   outage, and the first good check after that sends "recovered"
+ * Kept in STATE_DIR/alert-state.json so a restart doesn't re-alert.
+ */
+
+import dotenv from "dotenv"
+import fs from "node:fs"
+import { getStatePath } from "./config.js"
+
+dotenv.config()
+
+const ALERT_REMIND_MINUTES = parseFloat(process.env.ALERT_REMIND_MINUTES || "0")
+const ALERT_ERROR_THRESHOLD = Math.max(
+	1,
+	parseInt(process.env.ALERT_ERROR_THRESHOLD || "3", 10)
+)
+
+/**
+ * @typedef {object} TargetAlertState
+ * @property {boolean} available - Whether the last good check found slots
+ * @property {string[]} dates - Dates of those slots
+ * @property {string|null} availableSince - When the slots appeared (ISO)
+ * @property {string|null} lastAlertAt - When availability was last alerted (ISO)
+ * @property {number} failures - Failed checks in a row
+ * @property {boolean} errorAlerted - Whether the current run of failures was alerted
+ */
+
+/**
+ * Read the stored state of every target
+ * @private
+ * @returns {Object<string, TargetAlertState>}
+ */
+function readState() {
+	const file = getStatePath("alert-state.json")
+	if (!fs.existsSync(file)) {
+		return {}
+	}
+
+	try {
+		return JSON.parse(fs.readFileSync(file, "utf8"))
+	} catch (err) {
+		console.error(`[Alerts] Ignoring unreadable ${file}: ${err.message}`)
+		return {}
+	}
+}
+
+/**
+ * Update one target's state
+ * Never throws on a failed write - at worst an alert is repeated after a restart
+ * @private
+ */
+function updateTarget(targetId, update) {
+	const state = readState()
+	const current = {
+		available: false,
+		dates: [],
+		availableSince: null,
+		lastAlertAt: null,
+		failures: 0,
+		errorAlerted: false,
+		...state[targetId],
+	}
+	const decision = update(current)
+	state[targetId] = current
+
+	try {
+		fs.writeFileSync(
+			getStatePath("alert-state.json"),
+			JSON.stringify(state, null, 2)
+		)
+	} catch (err) {
+		console.error(`[Alerts] Could not save alert state: ${err.message}`)
+	}
+	return decision
+}
+
+/**
+ * Record a completed check
+ * @param {string} targetId - Target id
+ * @param {object} result - Result from checkAppointments()
+ * @param {Date} now - Check time (default now)
+ * @returns {{availability: "new"|"remind"|"gone"|null, availableSince: string|null, recovered: boolean, failures: number}} availability says which availability alert to send (if any); recovered is true when an error alert went out for the failures that just ended
+ */
+export function recordCheckResult(targetId, result, now = new Date()) {
+	return updateTarget(targetId, (state) => {
+		let availability = null
+		const availableSince = state.availableSince
+		const dates = (result.slots || []).map((slot) => slot.date)
+
+		if (result.available) {
+			const newDates = dates.filter((date) => !state.dates.includes(date))
+			const sinceAlert = now - Date.parse(state.lastAlertAt)
+
+			if (!state.available || newDates.length > 0) {
+				availability = "new"
+			} else if (
+				ALERT_REMIND_MINUTES > 0 &&
+				!(sinceAlert < ALERT_REMIND_MINUTES * 60_000)
+			) {
+				availability = "remind"
+			}
+
+			if (!state.available) {
+				state.availableSince = now.toISOString()
+			}
+			if (availability) {
+				state.lastAlertAt = now.toISOString()
+			}
+		} else if (state.available) {
+			availability = "gone"
+			state.availableSince = null
+		}
+
+		const decision = {
+			availability,
+			availableSince: state.availableSince ?? availableSince,
+			recovered: state.errorAlerted,
+			failures: state.failures,
+		}
+
+		state.available = Boolean(result.available)
+		state.dates = result.available ? dates : []
+		state.failures = 0
+		state.errorAlerted = false
+		return decision
+	})
+}
+
+/**
+ * Record a failed check
+ * @param {string} targetId - Target id
+ * @returns {{escalate: boolean, failures: number, threshold: number}} escalate is true once per run of failures, when it reaches ALERT_ERROR_THRESHOLD
+ */
+export function recordCheckFailure(targetId) {
+	return updateTarget(targetId, (state) => {
+		state.failures++
+		const escalate =
+			!state.errorAlerted && state.failures >= ALERT_ERROR_THRESHOLD
+		if (escalate) {
+			state.errorAlerted = true
+		}
+		return {
+			escalate,
+			failures: state.failures,
+			threshold: ALERT_ERROR_THRESHOLD,
+		}
+	})
+}
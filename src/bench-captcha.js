@@ -0,0 +1,89 @@
+import dotenv from "dotenv"
+import fs from "node:fs"
+import path from "node:path"
+import { formatReport, loadCorpora, runBenchmark } from "./captcha-bench.js"
+import { getCorpusDir } from "./captcha-corpus.js"
+import { getSolvers } from "./captcha-solvers.js"
+import { getStatePath } from "./config.js"
+
+dotenv.config()
+
+/**
+ * Benchmark the captcha solvers over a labeled corpus
+ * Usage: node src/bench-captcha.js [--corpus=dir] [--solvers=capsolver,claude] [--json=file]
+ * Defaults: assets/training-captchas plus the captchas collected by live runs
+ * and harvests (see captcha-corpus.js), every solver in CAPTCHA_SOLVERS, and the
+ * JSON report in STATE_DIR/bench/. Each solver is called once per labeled image,
+ * so the run costs about the "Est. cost" column.
+ */
+async function benchCaptcha() {
+	try {
+		const option = (name) =>
+			process.argv
+				.find((arg) => arg.startsWith(`--${name}=`))
+				?.slice(name.length + 3)
+
+		const corpusDirs = option("corpus")
+			? [path.resolve(option("corpus"))]
+			: [path.resolve("assets", "training-captchas"), getCorpusDir()]
+		// Bench answers aren't check traffic, so they don't count toward the budget
+		const solvers = getSolvers(option("solvers"), { meter: false })
+		const { samples, unlabeled } = loadCorpora(corpusDirs)
+
+		console.log(`Corpus: ${corpusDirs.join(", ")}`)
+		console.log(
+			`Labeled images: ${samples.length}${
+				unlabeled.length > 0 ? ` (skipping ${unlabeled.length} unlabeled)` : ""
+			}`
+		)
+		console.log(`Solvers: ${solvers.map((solver) => solver.name).join(", ")}`)
+
+		if (samples.length === 0) {
+			console.error(
+				"\n❌ No labeled images - add answers to labels.json in the corpus directory (the images in assets/training-captchas ship unlabeled)"
+			)
+			process.exit(1)
+		}
+
+		console.log("")
+		const startedAt = new Date().toISOString()
+		const summaries = await runBenchmark(samples, solvers, {
+			onResult: (solver, result) => {
+				const outcome = result.error
+					? `error: ${result.error}`
+					: `${result.correct ? "✅" : "❌"} "${result.answer}" (expected "${
+							result.label
+						}")`
+				console.log(
+					`[${solver}] ${result.file}: ${outcome} ${result.latencyMs}ms`
+				)
+			},
+		})
+
+		console.log(`\n${formatReport(summaries)}`)
+
+		const jsonPath = option("json")
+			? path.resolve(option("json"))
+			: getStatePath("bench", `captcha-${startedAt.replace(/[:.]/g, "-")}.json`)
+		fs.writeFileSync(
+			jsonPath,
+			JSON.stringify(
+				{
+					startedAt,
+					corpus: corpusDirs,
+					samples: samples.length,
+					unlabeled,
+					solvers: summaries,
+				},
+				null,
+				2
+			)
+		)
+		console.log(`\nJSON report: ${jsonPath}`)
+	} catch (error) {
+		console.error("\n❌ Benchmark failed:", error.message)
+		process.exit(1)
+	}
+}
+
+benchCaptcha()
@@ -0,0 +1,74 @@
+/**
+ * Parsers for the RK-Termin booking pages
+ *
+ * Booking goes day view (appointment_showDay.do, one "book this appointment"
+ * link per time) -> booking form (appointment_showForm.do, applicant fields plus
+ * a captcha) -> appointment_addAppointment.do, which shows the confirmation.
+ */
+
+import { extractCaptchaImage, parseForm } from "./captcha-page.js"
+import { dateStrToIso, decodeEntities, resolveHref } from "./month-page.js"
+
+export const BOOKING_FORM_ID = "appointment_newAppointmentForm"
+// Submit button name for "Submit" on the booking form
+export const BOOK_ACTION = "action:appointment_addAppointment"
+
+// Applicant fields every booking form asks for, keyed by form field name
+export const APPLICANT_FIELDS = {
+	lastname: "lastName",
+	firstname: "firstName",
+	email: "email",
+	emailrepeat: "email",
+}
+
+/**
+ * Parse the day view into bookable times
+ * @param {string} html - Day view HTML
+ * @param {string} pageUrl - URL the page was loaded from (used to resolve links)
+ * @returns {{date: string|null, times: Array<{time: string|null, url: string}>}} date is ISO (YYYY-MM-DD), times in page order
+ */
+export function parseDayPage(html, pageUrl) {
+	const times = []
+	let previousEnd = 0
+
+	for (const match of html.matchAll(/<a\b[^>]*href="([^"]*)"[^>]*>/gi)) {
+		const href = decodeEntities(match[1])
+		if (!href.includes("appointment_showForm.do")) {
+			continue
+		}
+
+		// The time is the last HH:MM heading before the link
+		const before = html.slice(previousEnd, match.index).replace(/<[^>]*>/g, " ")
+		const timeMatches = [...before.matchAll(/\b(\d{1,2}:\d{2})\b/g)]
+		previousEnd = match.index + match[0].length
+
+		times.push({
+			time: timeMatches.length > 0 ? timeMatches.at(-1)[1] : null,
+			url: resolveHref(html, href, pageUrl),
+		})
+	}
+
+	const dateStr = pageUrl.match(/dateStr=(\d{2}\.\d{2}\.\d{4})/)?.[1]
+	return { date: dateStr ? dateStrToIso(dateStr) : null, times }
+}
+
+/**
+ * Parse the booking form
+ * @param {string} html - Booking form page HTML
+ * @param {string} pageUrl - URL the page was loaded from (used to resolve the form action)
+ * @returns {{image: {imageBase64: string, mediaType: string}|null, action: string|null, fields: Object<string, string>, inputs: Array<{name: string, type: string, value: string}>}|null} null if the form isn't on the page
+ */
+export function parseBookingForm(html, pageUrl) {
+	const form = parseForm(html, BOOKING_FORM_ID, pageUrl)
+
+	if (!form) {
+		return null
+	}
+
+	return {
+		image: extractCaptchaImage(form.html),
+		action: form.action,
+		fields: form.fields,
+		inputs: form.inputs,
+	}
+}
@@ -0,0 +1,331 @@
+/**
+ * Automatic booking of a detected slot
+ * Slots vanish within minutes, often before anyone can react to a phone alert.
+ * With autoBook enabled for a target, the checker books the first free time of
+ * the first matching day in the same session, using the applicant profile from
+ * config.json. Like the captcha flow, the engines only provide how to load a
+ * page, submit a form and take a screenshot.
+ */
+
+import dotenv from "dotenv"
+import fs from "node:fs"
+import {
+	APPLICANT_FIELDS,
+	BOOK_ACTION,
+	BOOKING_FORM_ID,
+	parseBookingForm,
+	parseDayPage,
+} from "./booking-page.js"
+import { MAX_CAPTCHA_ATTEMPTS, MAX_CAPTCHA_REFRESHES } from "./captcha-flow.js"
+import { getStatePath } from "./config.js"
+import { BookingFailedError, UnexpectedPageError } from "./errors.js"
+import { increment } from "./metrics.js"
+import { classifyPage, errorForPageState, PageState } from "./page-state.js"
+
+dotenv.config()
+
+const DEBUG = process.env.DEBUG === "true"
+
+/**
+ * Make sure the applicant profile has what every booking form asks for
+ * @private
+ */
+function validateApplicant(applicant) {
+	if (!applicant) {
+		throw new BookingFailedError(
+			'No applicant profile configured (add "applicant" to config.json)'
+		)
+	}
+
+	const missing = [...new Set(Object.values(APPLICANT_FIELDS))].filter(
+		(key) => !applicant[key]
+	)
+	if (missing.length > 0) {
+		throw new BookingFailedError(
+			`Applicant profile is missing ${missing.join(", ")}`
+		)
+	}
+}
+
+/**
+ * Fill the booking form from the applicant profile
+ * @private
+ * @returns {Object<string, string>} Form fields without the captcha answer
+ */
+function buildBookingFields(form, applicant) {
+	const fields = { ...form.fields }
+
+	for (const [name, key] of Object.entries(APPLICANT_FIELDS)) {
+		if (name in fields) {
+			fields[name] = String(applicant[key])
+		}
+	}
+
+	// Category-specific fields (passport number, ...) by their form field name
+	for (const [name, value] of Object.entries(applicant.fields || {})) {
+		fields[name] = String(value)
+	}
+
+	// Don't spend a captcha on a form the site will reject anyway
+	const missing = form.inputs
+		.filter(
+			(input) =>
+				input.type === "text" &&
+				input.name !== "captchaText" &&
+				!fields[input.name]
+		)
+		.map((input) => input.name)
+	if (missing.length > 0) {
+		throw new BookingFailedError(
+			`Applicant profile has no value for booking form field(s): ${missing.join(
+				", "
+			)} (add them under applicant.fields)`
+		)
+	}
+
+	return fields
+}
+
+/**
+ * Open a day and return its first bookable time
+ * @private
+ * @returns {Promise<{date: string, time: string|null, url: string}|null>} null if the day is fully booked by now
+ */
+async function pickTime(slot, hooks) {
+	const page = await hooks.loadPage(slot.url)
+	const classification = classifyPage(page)
+
+	if (classification.state !== PageState.DAY_VIEW) {
+		throw errorForPageState(classification, `opening ${slot.date}`)
+	}
+
+	const { times } = parseDayPage(page.html, page.url)
+	if (DEBUG) {
+		console.log(
+			`[DEBUG] [Booking] ${slot.date}: ${times.length} bookable times (${times
+				.map((time) => time.time)
+				.join(", ")})`
+		)
+	}
+
+	return times.length > 0 ? { date: slot.date, ...times[0] } : null
+}
+
+/**
+ * Fill and submit the booking form until the site confirms the booking
+ * @private
+ * @returns {Promise<{html: string, status: number|null, url: string}>} Confirmation page
+ */
+async function submitBooking(page, { applicant, solver, hooks }) {
+	let current = page
+	let refreshes = 0
+
+	for (let attempt = 1; attempt <= MAX_CAPTCHA_ATTEMPTS; attempt++) {
+		const form = parseBookingForm(current.html, current.url)
+		const fields = buildBookingFields(form, applicant)
+
+		if (!form.image) {
+			throw new UnexpectedPageError(
+				"Could not extract the captcha image from the booking form",
+				{ state: PageState.BOOKING_FORM, url: current.url }
+			)
+		}
+
+		if (DEBUG) {
+			console.log(
+				`[DEBUG] [Booking] Submitting booking form (attempt ${attempt}/${MAX_CAPTCHA_ATTEMPTS})`
+			)
+		}
+
+		const { text: captchaText } = await solver.solve(
+			form.image.imageBase64,
+			form.image.mediaType
+		)
+
+		// No readable answer - ask for another image instead of wasting an attempt
+		if (captchaText === null) {
+			const refresh = form.inputs.find((input) =>
+				/refreshCaptcha/i.test(input.name)
+			)
+			if (!refresh || refreshes === MAX_CAPTCHA_REFRESHES) {
+				throw new BookingFailedError(
+					"No solver returned a valid answer for the booking captcha",
+					{ state: PageState.BOOKING_FORM, url: current.url }
+				)
+			}
+
+			refreshes++
+			increment("captcha.refreshed")
+			current = await hooks.submitForm({
+				formId: BOOKING_FORM_ID,
+				action: form.action,
+				fields,
+				submit: { name: refresh.name, value: refresh.value },
+			})
+			const refreshed = classifyPage(current)
+			if (refreshed.state !== PageState.BOOKING_FORM) {
+				throw errorForPageState(refreshed, "loading another captcha image")
+			}
+
+			// A refresh doesn't use up a submission
+			attempt--
+			continue
+		}
+
+		const submit = form.inputs.find((input) => input.name === BOOK_ACTION)
+
+		current = await hooks.submitForm({
+			formId: BOOKING_FORM_ID,
+			action: form.action,
+			fields: { ...fields, captchaText },
+			submit: { name: BOOK_ACTION, value: submit?.value || "Submit" },
+		})
+		const classification = classifyPage(current)
+
+		if (classification.state === PageState.BOOKING_CONFIRMED) {
+			increment("captcha.solved")
+			solver.accepted()
+			return current
+		}
+
+		// The form comes back on a wrong captcha (or a field the site didn't like)
+		if (classification.state !== PageState.BOOKING_FORM) {
+			throw errorForPageState(classification, "submitting the booking form")
+		}
+
+		if (DEBUG) {
+			console.log("[DEBUG] [Booking] Booking form came back, retrying...")
+		}
+		solver.rejected()
+	}
+
+	throw new BookingFailedError(
+		`Booking form rejected ${MAX_CAPTCHA_ATTEMPTS} times (wrong captcha or invalid applicant data)`,
+		{ state: PageState.BOOKING_FORM, url: current.url }
+	)
+}
+
+/**
+ * Keep the confirmation page and screenshot under STATE_DIR/bookings/
+ * @private
+ */
+function saveConfirmation(target, page, screenshot) {
+	const stamp = new Date().toISOString().replace(/[:.]/g, "-")
+	const basePath = getStatePath(
+		"bookings",
+		`${target.id.replace(/[^\w-]/g, "_")}-${stamp}`
+	)
+
+	const confirmationFile = `${basePath}.html`
+	fs.writeFileSync(confirmationFile, page.html)
+
+	let screenshotFile = null
+	if (screenshot) {
+		screenshotFile = `${basePath}.png`
+		fs.writeFileSync(screenshotFile, screenshot)
+	}
+
+	return { confirmationFile, screenshotFile }
+}
+
+/**
+ * Screenshot and save the confirmation of a booking that went through
+ * Never throws: the appointment is booked either way, and reporting it as
+ * failed would have the next check book another one
+ * @private
+ */
+async function keepConfirmation(target, confirmation, hooks) {
+	try {
+		const screenshot = (await hooks.screenshot?.()) || null
+		return saveConfirmation(target, confirmation, screenshot)
+	} catch (error) {
+		console.error(
+			`[Booking] Booked, but could not save the confirmation: ${error.message}`
+		)
+		return { confirmationFile: null, screenshotFile: null }
+	}
+}
+
+/**
+ * Book the first free time of the first day that still has one
+ * @param {Array<{date: string, url: string}>} slots - Bookable days from the check result
+ * @param {object} options - Settings
+ * @param {object} options.target - Target being checked (uses target.applicant)
+ * @param {object} options.solver - Solver chain from createSolverChain()
+ * @param {object} options.hooks - Engine hooks
+ * @param {(url: string) => Promise<{html: string, status: number|null, url: string}>} options.hooks.loadPage - Load a page
+ * @param {(form: {formId: string, action: string, fields: Object<string, string>, submit: {name: string, value: string}}) => Promise<{html: string, status: number|null, url: string}>} options.hooks.submitForm - Submit a form and return the resulting page
+ * @param {() => Promise<Buffer|null>} options.hooks.screenshot - Screenshot of the current page (optional)
+ * @returns {Promise<{booked: boolean, date: string|null, time: string|null, message: string, url: string|null, confirmationFile?: string|null, screenshotFile?: string|null}>} Never throws - a failed booking is reported in the result; confirmationFile is null if the booking went through but its confirmation couldn't be saved
+ */
+export async function autoBook(slots, options) {
+	const { target, solver, hooks } = options
+	const applicant = target.applicant
+	let chosen = null
+
+	try {
+		validateApplicant(applicant)
+
+		for (const slot of slots) {
+			chosen = await pickTime(slot, hooks)
+			if (chosen) {
+				break
+			}
+		}
+
+		if (!chosen) {
+			throw new BookingFailedError(
+				"No bookable times left - the slots were taken before we got to them"
+			)
+		}
+
+		console.log(
+			`[Booking] Booking ${chosen.date} ${chosen.time || ""} for ${
+				target.label
+			}...`
+		)
+
+		const formPage = await hooks.loadPage(chosen.url)
+		const formState = classifyPage(formPage)
+		if (formState.state !== PageState.BOOKING_FORM) {
+			throw errorForPageState(formState, "opening the booking form")
+		}
+
+		const confirmation = await submitBooking(formPage, {
+			applicant,
+			solver,
+			hooks,
+		})
+		const files = await keepConfirmation(target, confirmation, hooks)
+
+		console.log(
+			`[Booking] ✅ Booked ${chosen.date} ${chosen.time || ""} (confirmation: ${
+				files.confirmationFile || "not saved"
+			})`
+		)
+
+		return {
+			booked: true,
+			date: chosen.date,
+			time: chosen.time,
+			message: `Booked ${chosen.date}${
+				chosen.time ? ` at ${chosen.time}` : ""
+			} for ${applicant.firstName} ${applicant.lastName}`,
+			url: chosen.url,
+			...files,
+		}
+	} catch (error) {
+		console.error(`[Booking] ❌ Auto-booking failed: ${error.message}`)
+		if (DEBUG) {
+			console.error("[DEBUG] [Booking] Error:", error)
+		}
+
+		return {
+			booked: false,
+			date: chosen?.date || null,
+			time: chosen?.time || null,
+			message: `Auto-booking failed: ${error.message}`,
+			url: chosen?.url || slots[0]?.url || null,
+		}
+	}
+}
@@ -0,0 +1,362 @@
+/**
+ * Long-lived Chromium instance shared across checks
+ * Launching Chromium takes a few seconds, which is a large share of each check
+ * during the 1-2 minute peak window. The pool keeps one browser running and
+ * hands out fresh contexts, relaunching it after a crash, when its memory grows
+ * too much, or when it reaches its maximum age.
+ */
+
+import dotenv from "dotenv"
+import fs from "node:fs"
+import { chromium } from "playwright"
+
+dotenv.config()
+
+const HEADLESS = process.env.HEADLESS !== "false"
+const DEBUG = process.env.DEBUG === "true"
+const PROXY_SERVER = process.env.PROXY_SERVER || null
+
+/**
+ * Build Chromium launch options (headless flags and PROXY_SERVER)
+ * @returns {object} Options for chromium.launch()
+ */
+export function buildLaunchOptions() {
+	const launchOptions = {
+		headless: HEADLESS,
+		args: [
+			"--disable-blink-features=AutomationControlled",
+			"--no-sandbox",
+			"--disable-setuid-sandbox",
+			"--disable-dev-shm-usage", // Helps with Docker/container environments
+			"--disable-gpu",
+			"--disable-software-rasterizer",
+		],
+	}
+
+	// Add proxy configuration if provided
+	if (PROXY_SERVER) {
+		// Parse proxy URL to extract credentials
+		const proxyUrl = new URL(PROXY_SERVER)
+
+		launchOptions.proxy = {
+			server: `${proxyUrl.protocol}//${proxyUrl.host}`,
+		}
+
+		// Add credentials if present in the URL
+		if (proxyUrl.username && proxyUrl.password) {
+			launchOptions.proxy.username = proxyUrl.username
+			launchOptions.proxy.password = proxyUrl.password
+		}
+
+		// Ignore SSL certificate errors (needed for BrightData and similar proxies)
+		launchOptions.ignoreHTTPSErrors = true
+		if (DEBUG) {
+			console.log(`[DEBUG] Using proxy: ${proxyUrl.protocol}//${proxyUrl.host}`)
+			console.log(
+				`[DEBUG] Proxy credentials configured: ${
+					proxyUrl.username ? "Yes" : "No"
+				}`
+			)
+		}
+	}
+
+	return launchOptions
+}
+
+/**
+ * Build browser context options
+ * @returns {object} Options for browser.newContext()
+ */
+export function buildContextOptions() {
+	const contextOptions = {}
+
+	// Create context with ignoreHTTPSErrors if using proxy
+	if (PROXY_SERVER) {
+		contextOptions.ignoreHTTPSErrors = true
+	}
+
+	return contextOptions
+}
+
+/**
+ * Sum the resident memory of a process and all its descendants (Linux only)
+ * @param {number} rootPid - Process id to start from
+ * @returns {number|null} Resident memory in MB, or null if /proc isn't available
+ */
+function getProcessTreeRssMb(rootPid) {
+	if (!fs.existsSync("/proc/self/stat")) {
+		return null
+	}
+
+	const children = new Map()
+	const rssPages = new Map()
+
+	for (const entry of fs.readdirSync("/proc")) {
+		if (!/^\d+$/.test(entry)) {
+			continue
+		}
+
+		try {
+			// Fields after the parenthesised command name: state ppid ... rss (24th)
+			const stat = fs.readFileSync(`/proc/${entry}/stat`, "utf8")
+			const fields = stat.slice(stat.lastIndexOf(")") + 2).split(" ")
+			const pid = Number(entry)
+			const ppid = Number(fields[1])
+
+			rssPages.set(pid, Number(fields[21]))
+			if (!children.has(ppid)) {
+				children.set(ppid, [])
+			}
+			children.get(ppid).push(pid)
+		} catch {
+			// Process exited while we were scanning
+		}
+	}
+
+	let totalPages = 0
+	const stack = [...(children.get(rootPid) || [])]
+	while (stack.length > 0) {
+		const pid = stack.pop()
+		totalPages += rssPages.get(pid) || 0
+		stack.push(...(children.get(pid) || []))
+	}
+
+	// Page size is 4 KB on the platforms this runs on
+	return Math.round((totalPages * 4) / 1024)
+}
+
+/**
+ * Create a browser pool
+ * A recycled browser isn't closed under the checks still using it: the next
+ * check gets a fresh browser right away, and the old one is closed once its
+ * last context is.
+ * @param {object} options - Optional settings
+ * @param {number} options.maxAgeMs - Recycle the browser after this long (env BROWSER_MAX_AGE_MINUTES, default 60)
+ * @param {number} options.maxMemoryMb - Recycle when Chromium's memory exceeds this (env BROWSER_MAX_MEMORY_MB, default 800)
+ * @param {number} options.memoryCheckIntervalMs - Measure the memory at most this often, as it scans /proc (default 60000)
+ * @param {() => number|null} options.measureMemoryMb - Memory of this process and its children in MB (default: from /proc, null elsewhere)
+ * @param {object} options.launchOptions - Options for chromium.launch() (defaults to buildLaunchOptions())
+ * @param {{launch: (launchOptions: object) => Promise<import("playwright").Browser>}} options.launcher - Browser type to launch (default chromium)
+ * @returns {{newContext: (contextOptions?: object) => Promise<import("playwright").BrowserContext>, recycle: (reason: string) => Promise<void>, close: () => Promise<void>, stats: () => object}}
+ */
+export function createBrowserPool(options = {}) {
+	const maxAgeMs =
+		options.maxAgeMs ??
+		parseFloat(process.env.BROWSER_MAX_AGE_MINUTES || "60") * 60 * 1000
+	const maxMemoryMb =
+		options.maxMemoryMb ??
+		parseFloat(process.env.BROWSER_MAX_MEMORY_MB || "800")
+	const memoryCheckIntervalMs = options.memoryCheckIntervalMs ?? 60000
+	const measureMemoryMb =
+		options.measureMemoryMb || (() => getProcessTreeRssMb(process.pid))
+	const launcher = options.launcher || chromium
+
+	let browser = null
+	let launchedAt = 0
+	let launching = null
+	let memoryCheckedAt = 0
+	// Open contexts per browser, including recycled browsers still draining
+	const openContexts = new Map()
+	const counters = { launches: 0, recycles: 0, crashes: 0, contexts: 0 }
+
+	/**
+	 * Launch a new browser and watch for it going away
+	 * @private
+	 */
+	async function launch() {
+		const launched = await launcher.launch(
+			options.launchOptions || buildLaunchOptions()
+		)
+
+		launched.on("disconnected", () => {
+			openContexts.delete(launched)
+			if (browser === launched) {
+				counters.crashes++
+				browser = null
+				console.error("[BrowserPool] Browser disconnected unexpectedly")
+			}
+		})
+
+		counters.launches++
+		launchedAt = Date.now()
+		browser = launched
+		openContexts.set(launched, new Set())
+
+		if (DEBUG) {
+			console.log(
+				`[DEBUG] [BrowserPool] Launched Chromium ${launched.version()} (launch #${
+					counters.launches
+				})`
+			)
+		}
+
+		return launched
+	}
+
+	/**
+	 * Close a browser that is no longer handed out
+	 * @private
+	 */
+	async function closeRetired(retired) {
+		openContexts.delete(retired)
+		await retired.close().catch(() => {})
+	}
+
+	/**
+	 * Take the current browser out of service, detaching it first so it doesn't
+	 * count as a crash. It is closed now, or after its last open context
+	 * @private
+	 */
+	async function retireBrowser() {
+		const retired = browser
+		browser = null
+		if (!retired) {
+			return
+		}
+
+		const contexts = openContexts.get(retired)
+		if (retired.isConnected() && contexts?.size > 0) {
+			if (DEBUG) {
+				console.log(
+					`[DEBUG] [BrowserPool] Closing the old browser after its ${contexts.size} open context(s)`
+				)
+			}
+			return
+		}
+		await closeRetired(retired)
+	}
+
+	/**
+	 * Track a context so its browser can be drained before it is closed
+	 * @private
+	 */
+	function trackContext(owner, context) {
+		const contexts = openContexts.get(owner)
+		if (!contexts) {
+			return
+		}
+
+		contexts.add(context)
+		context.on("close", () => {
+			contexts.delete(context)
+			if (owner !== browser && contexts.size === 0) {
+				closeRetired(owner)
+			}
+		})
+	}
+
+	/**
+	 * Health check: is the current browser usable and within its limits?
+	 * @private
+	 * @returns {string|null} Reason to recycle, or null if healthy
+	 */
+	function recycleReason() {
+		if (!browser.isConnected()) {
+			return "not connected"
+		}
+
+		if (maxAgeMs > 0 && Date.now() - launchedAt > maxAgeMs) {
+			return "max age reached"
+		}
+
+		if (
+			maxMemoryMb > 0 &&
+			Date.now() - memoryCheckedAt >= memoryCheckIntervalMs
+		) {
+			memoryCheckedAt = Date.now()
+			const memoryMb = measureMemoryMb()
+			if (memoryMb !== null && memoryMb > maxMemoryMb) {
+				return `memory ${memoryMb} MB > ${maxMemoryMb} MB`
+			}
+		}
+
+		return null
+	}
+
+	/**
+	 * Get a healthy browser, launching or relaunching as needed
+	 * @private
+	 */
+	async function getBrowser() {
+		if (launching) {
+			return launching
+		}
+
+		if (browser) {
+			const reason = recycleReason()
+			if (!reason) {
+				return browser
+			}
+			await recycle(reason)
+		}
+
+		launching = launch().finally(() => {
+			launching = null
+		})
+		return launching
+	}
+
+	/**
+	 * Retire the current browser so the next check launches a fresh one
+	 * Checks still running on it aren't interrupted (see createBrowserPool())
+	 * @param {string} reason - Logged reason
+	 */
+	async function recycle(reason) {
+		if (!browser) {
+			return
+		}
+
+		counters.recycles++
+		console.log(`[BrowserPool] Recycling browser: ${reason}`)
+		await retireBrowser()
+	}
+
+	/**
+	 * Open a fresh context on the shared browser
+	 * Retries once on a new browser if the current one died in between
+	 * @param {object} contextOptions - Extra options for browser.newContext()
+	 * @returns {Promise<import("playwright").BrowserContext>}
+	 */
+	async function newContext(contextOptions = {}) {
+		const fullOptions = { ...buildContextOptions(), ...contextOptions }
+		const open = async () => {
+			const owner = await getBrowser()
+			const context = await owner.newContext(fullOptions)
+			trackContext(owner, context)
+			counters.contexts++
+			return context
+		}
+
+		try {
+			return await open()
+		} catch (error) {
+			console.error(
+				`[BrowserPool] Could not open context (${error.message}), relaunching`
+			)
+			await recycle("context failed")
+			return open()
+		}
+	}
+
+	/**
+	 * Shut the pool down, including recycled browsers that are still draining
+	 */
+	async function close() {
+		browser = null
+		await Promise.all([...openContexts.keys()].map(closeRetired))
+	}
+
+	/**
+	 * Pool counters and current browser age
+	 * @returns {{launches: number, recycles: number, crashes: number, contexts: number, draining: number, ageMs: number|null}} draining counts recycled browsers waiting for their contexts to close
+	 */
+	function stats() {
+		return {
+			...counters,
+			draining: [...openContexts.keys()].filter((b) => b !== browser).length,
+			ageMs: browser ? Date.now() - launchedAt : null,
+		}
+	}
+
+	return { newContext, recycle, close, stats }
+}
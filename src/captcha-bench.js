@@ -0,0 +1,330 @@
+/**
+ * Captcha solver benchmark
+ * Runs solvers over a labeled corpus (a directory of images plus a labels.json
+ * manifest mapping file name -> answer) and scores them: exact-match accuracy,
+ * per-character confusions, latency percentiles and estimated cost. Answers and
+ * labels are compared the way the site compares them (see normalizeAnswer()).
+ */
+
+import fs from "node:fs"
+import path from "node:path"
+import { normalizeAnswer } from "./captcha-solvers.js"
+
+const MEDIA_TYPES = {
+	".jpg": "image/jpeg",
+	".jpeg": "image/jpeg",
+	".png": "image/png",
+	".gif": "image/gif",
+	".webp": "image/webp",
+}
+
+/**
+ * Load the labeled images of a corpus
+ * Images without a label (missing or null in the manifest) are skipped
+ * @param {string} corpusDir - Directory with the images and the manifest
+ * @param {string} manifestName - Manifest file name (default labels.json)
+ * @returns {{samples: Array<{file: string, label: string, imageBase64: string, mediaType: string}>, unlabeled: string[]}}
+ */
+export function loadCorpus(corpusDir, manifestName = "labels.json") {
+	const manifestPath = path.join(corpusDir, manifestName)
+	if (!fs.existsSync(manifestPath)) {
+		throw new Error(`Labels manifest not found: ${manifestPath}`)
+	}
+
+	let labels
+	try {
+		labels = JSON.parse(fs.readFileSync(manifestPath, "utf8"))
+	} catch (err) {
+		throw new Error(`Invalid labels manifest ${manifestPath}: ${err.message}`)
+	}
+
+	const samples = []
+	const unlabeled = []
+	const images = fs
+		.readdirSync(corpusDir)
+		.filter((file) => MEDIA_TYPES[path.extname(file).toLowerCase()])
+		.sort()
+
+	for (const file of images) {
+		const label = labels[file]
+		if (typeof label !== "string" || label === "") {
+			unlabeled.push(file)
+			continue
+		}
+
+		samples.push({
+			file,
+			label,
+			imageBase64: fs.readFileSync(path.join(corpusDir, file), "base64"),
+			mediaType: MEDIA_TYPES[path.extname(file).toLowerCase()],
+		})
+	}
+
+	return { samples, unlabeled }
+}
+
+/**
+ * Load several corpora as one, e.g. the hand-labeled images in
+ * assets/training-captchas and the ones collected by live runs
+ * Directories without a manifest (nothing collected yet) are skipped
+ * @param {string[]} corpusDirs - Directories with images and a manifest
+ * @returns {{samples: Array<{file: string, label: string, imageBase64: string, mediaType: string}>, unlabeled: string[]}} Same as loadCorpus(); with several directories each file name is prefixed with its directory's name
+ */
+export function loadCorpora(corpusDirs) {
+	const dirs = corpusDirs.filter((dir) =>
+		fs.existsSync(path.join(dir, "labels.json"))
+	)
+	if (dirs.length === 0) {
+		throw new Error(`Labels manifest not found in ${corpusDirs.join(", ")}`)
+	}
+	if (dirs.length === 1) {
+		return loadCorpus(dirs[0])
+	}
+
+	const samples = []
+	const unlabeled = []
+	for (const dir of dirs) {
+		// Prefix the directory so equal file names in two corpora stay apart
+		const name = (file) => `${path.basename(dir)}/${file}`
+		const corpus = loadCorpus(dir)
+		samples.push(
+			...corpus.samples.map((sample) => ({
+				...sample,
+				file: name(sample.file),
+			}))
+		)
+		unlabeled.push(...corpus.unlabeled.map(name))
+	}
+	return { samples, unlabeled }
+}
+
+/**
+ * Align an answer with its label (Levenshtein) and list the character errors
+ * @param {string} label - Correct text
+ * @param {string} answer - Solver's answer
+ * @returns {{distance: number, substitutions: Array<[string, string]>, deletions: string[], insertions: string[]}} substitutions are [expected, got] pairs
+ */
+export function alignAnswer(label, answer) {
+	const rows = label.length + 1
+	const cols = answer.length + 1
+	const cost = Array.from({ length: rows }, (_, i) =>
+		Array.from({ length: cols }, (_, j) => (i === 0 ? j : j === 0 ? i : 0))
+	)
+
+	for (let i = 1; i < rows; i++) {
+		for (let j = 1; j < cols; j++) {
+			cost[i][j] = Math.min(
+				cost[i - 1][j - 1] + (label[i - 1] === answer[j - 1] ? 0 : 1),
+				cost[i - 1][j] + 1,
+				cost[i][j - 1] + 1
+			)
+		}
+	}
+
+	// Walk back from the end to recover which edits were made
+	const substitutions = []
+	const deletions = []
+	const insertions = []
+	let i = label.length
+	let j = answer.length
+	while (i > 0 || j > 0) {
+		if (
+			i > 0 &&
+			j > 0 &&
+			cost[i][j] ===
+				cost[i - 1][j - 1] + (label[i - 1] === answer[j - 1] ? 0 : 1)
+		) {
+			if (label[i - 1] !== answer[j - 1]) {
+				substitutions.unshift([label[i - 1], answer[j - 1]])
+			}
+			i--
+			j--
+		} else if (i > 0 && cost[i][j] === cost[i - 1][j] + 1) {
+			deletions.unshift(label[--i])
+		} else {
+			insertions.unshift(answer[--j])
+		}
+	}
+
+	return {
+		distance: cost[label.length][answer.length],
+		substitutions,
+		deletions,
+		insertions,
+	}
+}
+
+/**
+ * Nearest-rank percentile
+ * @param {number[]} values - Values (any order)
+ * @param {number} p - Percentile (0-100)
+ * @returns {number|null} null for an empty list
+ */
+export function percentile(values, p) {
+	if (values.length === 0) {
+		return null
+	}
+	const sorted = [...values].sort((a, b) => a - b)
+	const rank = Math.max(1, Math.ceil((p / 100) * sorted.length))
+	return sorted[rank - 1]
+}
+
+/**
+ * Score one solver's results
+ * @private
+ */
+function summarize(solver, results) {
+	const answered = results.filter((result) => result.answer !== null)
+	const exact = results.filter((result) => result.correct).length
+	const latencies = answered.map((result) => result.latencyMs)
+
+	const confusions = new Map()
+	let labelChars = 0
+	let charErrors = 0
+	for (const result of results) {
+		const label = normalizeAnswer(result.label)
+		labelChars += label.length
+
+		if (result.answer === null) {
+			charErrors += label.length
+			continue
+		}
+
+		const alignment = alignAnswer(label, result.answer)
+		charErrors += alignment.distance
+		for (const [expected, got] of alignment.substitutions) {
+			const key = `${expected}\u0000${got}`
+			confusions.set(key, (confusions.get(key) || 0) + 1)
+		}
+	}
+
+	return {
+		name: solver.name,
+		total: results.length,
+		answered: answered.length,
+		errors: results.length - answered.length,
+		exact,
+		accuracy: results.length > 0 ? exact / results.length : 0,
+		charAccuracy: labelChars > 0 ? 1 - charErrors / labelChars : 0,
+		latencyMs: {
+			p50: percentile(latencies, 50),
+			p90: percentile(latencies, 90),
+			p95: percentile(latencies, 95),
+			max: latencies.length > 0 ? Math.max(...latencies) : null,
+		},
+		costPerSolve: solver.costPerSolve || 0,
+		estimatedCost: answered.length * (solver.costPerSolve || 0),
+		confusions: [...confusions]
+			.map(([key, count]) => {
+				const [expected, got] = key.split("\u0000")
+				return { expected, got, count }
+			})
+			.sort(
+				(a, b) => b.count - a.count || a.expected.localeCompare(b.expected)
+			),
+		results,
+	}
+}
+
+/**
+ * Run every solver over every sample (one request at a time)
+ * @param {Array<{file: string, label: string, imageBase64: string, mediaType: string}>} samples - From loadCorpus()
+ * @param {Array<{name: string, solve: Function, costPerSolve: number}>} solvers - From getSolvers()
+ * @param {object} options - Optional settings
+ * @param {(solver: string, result: object) => void} options.onResult - Progress callback
+ * @returns {Promise<Array<object>>} One summary per solver
+ */
+export async function runBenchmark(samples, solvers, options = {}) {
+	const summaries = []
+
+	for (const solver of solvers) {
+		const results = []
+
+		for (const sample of samples) {
+			const startedAt = Date.now()
+			const result = {
+				file: sample.file,
+				label: sample.label,
+				answer: null,
+				correct: false,
+				latencyMs: null,
+				error: null,
+			}
+
+			try {
+				result.answer = normalizeAnswer(
+					await solver.solve(sample.imageBase64, sample.mediaType)
+				)
+				result.correct = result.answer === normalizeAnswer(sample.label)
+			} catch (err) {
+				result.error = err.message
+			}
+			result.latencyMs = Date.now() - startedAt
+
+			results.push(result)
+			options.onResult?.(solver.name, result)
+		}
+
+		summaries.push(summarize(solver, results))
+	}
+
+	return summaries
+}
+
+/**
+ * Format benchmark summaries as a text table with the top confusions
+ * @param {Array<object>} summaries - From runBenchmark()
+ * @returns {string}
+ */
+export function formatReport(summaries) {
+	const percent = (value) => `${(value * 100).toFixed(1)}%`
+	const ms = (value) => (value === null ? "-" : `${value}ms`)
+
+	const header = [
+		"Solver",
+		"Exact",
+		"Accuracy",
+		"Char acc",
+		"Errors",
+		"p50",
+		"p90",
+		"p95",
+		"Est. cost",
+	]
+	const rows = summaries.map((summary) => [
+		summary.name,
+		`${summary.exact}/${summary.total}`,
+		percent(summary.accuracy),
+		percent(summary.charAccuracy),
+		String(summary.errors),
+		ms(summary.latencyMs.p50),
+		ms(summary.latencyMs.p90),
+		ms(summary.latencyMs.p95),
+		`$${summary.estimatedCost.toFixed(4)}`,
+	])
+
+	const widths = header.map((title, column) =>
+		Math.max(title.length, ...rows.map((row) => row[column].length))
+	)
+	const line = (cells) =>
+		cells.map((cell, column) => cell.padEnd(widths[column])).join("  ")
+
+	const lines = [
+		line(header),
+		widths.map((width) => "-".repeat(width)).join("  "),
+	]
+	lines.push(...rows.map(line))
+
+	for (const summary of summaries) {
+		if (summary.confusions.length === 0) {
+			continue
+		}
+		const top = summary.confusions
+			.slice(0, 10)
+			.map(({ expected, got, count }) => `${expected}→${got} ×${count}`)
+			.join(", ")
+		lines.push("", `${summary.name} confusions (expected→got): ${top}`)
+	}
+
+	return lines.join("\n")
+}
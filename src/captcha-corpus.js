@@ -0,0 +1,202 @@
+/**
+ * Captcha corpus collection
+ * With CAPTCHA_CORPUS=true every captcha the checker solves is saved to the
+ * corpus directory (STATE_DIR/captcha-corpus by default, so live runs never
+ * touch the hand-labeled corpus checked in under assets/training-captchas)
+ * along with the solver, its answer and whether the site accepted it. Accepted
+ * answers are ground truth and go straight into the directory's labels.json
+ * manifest read by the benchmark (src/captcha-bench.js); rejected ones are
+ * listed with a null label so they can be labeled by hand.
+ *
+ * Captchas harvested without solving them (pnpm capture:captcha) are saved the
+ * same way with a null label. Collected images are named live-* or harvest-*
+ * and tracked in collected.json. Only those are ever pruned - hand-picked
+ * images in the same directory are left alone.
+ */
+
+import dotenv from "dotenv"
+import fs from "node:fs"
+import path from "node:path"
+import { getStatePath } from "./config.js"
+
+dotenv.config()
+
+const DEBUG = process.env.DEBUG === "true"
+const CAPTCHA_CORPUS = process.env.CAPTCHA_CORPUS === "true"
+const CAPTCHA_CORPUS_DIR = process.env.CAPTCHA_CORPUS_DIR
+// Most collected images to keep (oldest are removed first)
+const CAPTCHA_CORPUS_MAX_SAMPLES = parseInt(
+	process.env.CAPTCHA_CORPUS_MAX_SAMPLES || "1000",
+	10
+)
+// Remove collected images older than this (0 keeps them forever)
+const CAPTCHA_CORPUS_MAX_AGE_DAYS = parseInt(
+	process.env.CAPTCHA_CORPUS_MAX_AGE_DAYS || "0",
+	10
+)
+
+const LABELS_FILE = "labels.json"
+const COLLECTED_FILE = "collected.json"
+const EXTENSIONS = {
+	"image/jpeg": ".jpg",
+	"image/png": ".png",
+	"image/gif": ".gif",
+	"image/webp": ".webp",
+}
+
+/**
+ * Directory collected captchas are saved to
+ * @returns {string} CAPTCHA_CORPUS_DIR, or STATE_DIR/captcha-corpus
+ */
+export function getCorpusDir() {
+	return CAPTCHA_CORPUS_DIR
+		? path.resolve(CAPTCHA_CORPUS_DIR)
+		: getStatePath("captcha-corpus")
+}
+
+/**
+ * Read a JSON file, or return the fallback if it doesn't exist
+ * @private
+ */
+function readJson(file, fallback) {
+	if (!fs.existsSync(file)) {
+		return fallback
+	}
+	return JSON.parse(fs.readFileSync(file, "utf8"))
+}
+
+/**
+ * Write a JSON file the way the manifests are checked in (tabs, final newline)
+ * @private
+ */
+function writeJson(file, data) {
+	fs.writeFileSync(file, `${JSON.stringify(data, null, "\t")}\n`)
+}
+
+/**
+ * Remove collected images beyond the size and age limits
+ * @param {string} corpusDir - Corpus directory
+ * @param {object} options - Optional limits
+ * @param {number} options.maxSamples - Most collected images to keep (default CAPTCHA_CORPUS_MAX_SAMPLES)
+ * @param {number} options.maxAgeDays - Remove collected images older than this, 0 = never (default CAPTCHA_CORPUS_MAX_AGE_DAYS)
+ * @returns {string[]} Removed file names
+ */
+export function pruneCorpus(corpusDir, options = {}) {
+	const maxSamples = options.maxSamples ?? CAPTCHA_CORPUS_MAX_SAMPLES
+	const maxAgeDays = options.maxAgeDays ?? CAPTCHA_CORPUS_MAX_AGE_DAYS
+	const collectedPath = path.join(corpusDir, COLLECTED_FILE)
+	const collected = readJson(collectedPath, [])
+
+	const cutoff = maxAgeDays > 0 ? Date.now() - maxAgeDays * 86_400_000 : null
+	const fresh = collected.filter(
+		(record) => cutoff === null || Date.parse(record.savedAt) >= cutoff
+	)
+	// Records are appended in order, so the oldest are at the front
+	const kept = fresh.slice(Math.max(0, fresh.length - maxSamples))
+	const keptFiles = new Set(kept.map((record) => record.file))
+	const removed = collected
+		.map((record) => record.file)
+		.filter((file) => !keptFiles.has(file))
+
+	if (removed.length === 0) {
+		return removed
+	}
+
+	const labelsPath = path.join(corpusDir, LABELS_FILE)
+	const labels = readJson(labelsPath, {})
+	for (const file of removed) {
+		fs.rmSync(path.join(corpusDir, file), { force: true })
+		delete labels[file]
+	}
+	writeJson(labelsPath, labels)
+	writeJson(collectedPath, kept)
+
+	if (DEBUG) {
+		console.log(
+			`[DEBUG] [Corpus] Pruned ${removed.length} collected captcha(s)`
+		)
+	}
+	return removed
+}
+
+/**
+ * Save a captcha to the corpus
+ * @param {object} sample - Captcha and its outcome
+ * @param {string} sample.imageBase64 - Base64-encoded image
+ * @param {string} sample.mediaType - Image MIME type
+ * @param {string} sample.source - "live" (solved during a check, default) or "harvest" (not solved)
+ * @param {string} sample.solver - Name of the solver that answered (live only)
+ * @param {string} sample.answer - Submitted answer (live only)
+ * @param {boolean} sample.accepted - Whether the site accepted the answer (live only)
+ * @param {string} sample.url - Page the captcha came from (optional)
+ * @param {object} options - Optional settings
+ * @param {string} options.corpusDir - Corpus directory (default getCorpusDir())
+ * @param {number} options.maxSamples - See pruneCorpus()
+ * @param {number} options.maxAgeDays - See pruneCorpus()
+ * @returns {string} Saved file name
+ */
+export function saveCaptchaSample(sample, options = {}) {
+	const corpusDir = options.corpusDir || getCorpusDir()
+	fs.mkdirSync(corpusDir, { recursive: true })
+
+	const savedAt = new Date().toISOString()
+	const collectedPath = path.join(corpusDir, COLLECTED_FILE)
+	const collected = readJson(collectedPath, [])
+
+	// Several captchas can be saved within the same millisecond
+	const source = sample.source || "live"
+	const stamp = savedAt.replace(/[:.]/g, "-")
+	const extension = EXTENSIONS[sample.mediaType] || ".jpg"
+	let file = `${source}-${stamp}${extension}`
+	for (let n = 2; fs.existsSync(path.join(corpusDir, file)); n++) {
+		file = `${source}-${stamp}-${n}${extension}`
+	}
+
+	fs.writeFileSync(
+		path.join(corpusDir, file),
+		Buffer.from(sample.imageBase64, "base64")
+	)
+
+	const labelsPath = path.join(corpusDir, LABELS_FILE)
+	const labels = readJson(labelsPath, {})
+	labels[file] = sample.accepted ? sample.answer : null
+	writeJson(labelsPath, labels)
+
+	collected.push({
+		file,
+		source,
+		solver: sample.solver ?? null,
+		answer: sample.answer ?? null,
+		accepted: sample.accepted ?? null,
+		url: sample.url ?? null,
+		savedAt,
+	})
+	writeJson(collectedPath, collected)
+
+	pruneCorpus(corpusDir, options)
+	return file
+}
+
+/**
+ * Save a solved captcha if collection is enabled (CAPTCHA_CORPUS=true)
+ * Never throws - a full disk shouldn't fail the check
+ * @param {object} sample - See saveCaptchaSample()
+ */
+export function collectCaptcha(sample) {
+	if (!CAPTCHA_CORPUS) {
+		return
+	}
+
+	try {
+		const file = saveCaptchaSample(sample)
+		if (DEBUG) {
+			console.log(
+				`[DEBUG] [Corpus] Saved ${file} (${sample.solver}: "${sample.answer}", ${
+					sample.accepted ? "accepted" : "rejected"
+				})`
+			)
+		}
+	} catch (err) {
+		console.error(`[Corpus] Could not save captcha: ${err.message}`)
+	}
+}
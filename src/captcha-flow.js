@@ -0,0 +1,172 @@
+/**
+ * Captcha handling shared by the checker engines
+ * Decides whether the stored session got us past the captcha, and otherwise
+ * runs the solve-and-submit loop. The engines only provide how to read the
+ * captcha page, how to submit an answer and how to load another image.
+ */
+
+import dotenv from "dotenv"
+import { collectCaptcha } from "./captcha-corpus.js"
+import { parseCaptchaPage } from "./captcha-page.js"
+import { CaptchaFailedError, UnexpectedPageError } from "./errors.js"
+import { increment } from "./metrics.js"
+import { isMonthState } from "./month-walk.js"
+import { errorForPageState, PageState } from "./page-state.js"
+import { clearSession } from "./session-store.js"
+
+dotenv.config()
+
+const DEBUG = process.env.DEBUG === "true"
+export const MAX_CAPTCHA_ATTEMPTS = 3
+// New images to ask for when no solver can read the current one
+export const MAX_CAPTCHA_REFRESHES = 3
+
+/**
+ * Solve and submit the captcha until the site accepts an answer
+ * @param {object} hooks - Engine hooks
+ * @param {() => Promise<{html: string, url: string}>} hooks.readCaptchaPage - Return the current captcha page
+ * @param {(captchaText: string) => Promise<object>} hooks.submitAnswer - Submit an answer and return the classifyPage() result
+ * @param {() => Promise<object>} hooks.refreshCaptcha - Load another captcha image and return the classifyPage() result
+ * @param {object} hooks.solver - Solver chain from createSolverChain()
+ * @returns {Promise<object>} classifyPage() result of the month page behind the captcha
+ */
+export async function passCaptcha(hooks) {
+	let refreshes = 0
+
+	for (let attempt = 1; attempt <= MAX_CAPTCHA_ATTEMPTS; attempt++) {
+		if (DEBUG) {
+			console.log(`[DEBUG] Captcha attempt ${attempt}/${MAX_CAPTCHA_ATTEMPTS}`)
+		}
+
+		const { html, url } = await hooks.readCaptchaPage()
+		const { image } = parseCaptchaPage(html, url)
+
+		if (!image) {
+			throw new UnexpectedPageError(
+				"Could not extract base64 image from captcha div",
+				{ state: PageState.CAPTCHA, url }
+			)
+		}
+
+		if (DEBUG) {
+			console.log(
+				`[DEBUG] Extracted base64 image (${image.imageBase64.length} chars)`
+			)
+			console.log("[DEBUG] Captcha image extracted, sending to solver...")
+		}
+
+		// Solve the captcha
+		const { text: captchaText, solver } = await hooks.solver.solve(
+			image.imageBase64,
+			image.mediaType
+		)
+
+		// Nothing that looks like an answer - a new image is cheaper than a wasted attempt
+		if (captchaText === null) {
+			if (refreshes === MAX_CAPTCHA_REFRESHES) {
+				throw new CaptchaFailedError(
+					`No valid captcha answer after ${MAX_CAPTCHA_REFRESHES} new images`,
+					{ state: PageState.CAPTCHA, url }
+				)
+			}
+
+			refreshes++
+			increment("captcha.refreshed")
+			console.log("[Captcha] No valid answer, loading another image...")
+			const refreshed = await hooks.refreshCaptcha()
+			if (refreshed.state !== PageState.CAPTCHA) {
+				throw errorForPageState(refreshed, "loading another captcha image")
+			}
+
+			// A refresh doesn't use up a submission
+			attempt--
+			continue
+		}
+
+		if (DEBUG) {
+			console.log(`[DEBUG] Captcha solved by ${solver}: "${captchaText}"`)
+		}
+
+		const afterSubmit = await hooks.submitAnswer(captchaText)
+		const sample = { ...image, solver, answer: captchaText, url }
+
+		// Still on the captcha page means the answer was wrong
+		if (afterSubmit.state === PageState.CAPTCHA) {
+			collectCaptcha({ ...sample, accepted: false })
+			if (DEBUG) {
+				console.log("[DEBUG] Captcha was incorrect, retrying...")
+			}
+			hooks.solver.rejected()
+
+			if (attempt === MAX_CAPTCHA_ATTEMPTS) {
+				throw new CaptchaFailedError(
+					`Failed to solve captcha after ${MAX_CAPTCHA_ATTEMPTS} attempts`,
+					{ state: afterSubmit.state, url: afterSubmit.url }
+				)
+			}
+
+			// Continue to next iteration to retry
+			continue
+		}
+
+		if (!isMonthState(afterSubmit.state)) {
+			throw errorForPageState(afterSubmit, "submitting the captcha")
+		}
+
+		// Successfully passed captcha
+		collectCaptcha({ ...sample, accepted: true })
+		increment("captcha.solved")
+		hooks.solver.accepted()
+		if (DEBUG) {
+			console.log("[DEBUG] Captcha submitted successfully!")
+		}
+		return afterSubmit
+	}
+}
+
+/**
+ * Get from the first loaded page to the month view
+ * Records whether a stored session survived and solves the captcha if needed
+ * @param {object} initialPage - classifyPage() result of the first page
+ * @param {object} options - Settings
+ * @param {object} options.target - Target being checked
+ * @param {boolean} options.usedStoredSession - Whether the check started from a stored session
+ * @param {object} options.hooks - Hooks for passCaptcha()
+ * @returns {Promise<object>} classifyPage() result of the first month page
+ */
+export async function enterMonthView(initialPage, options) {
+	const { target, usedStoredSession, hooks } = options
+
+	if (DEBUG) {
+		console.log(`[DEBUG] Initial page state: ${initialPage.state}`)
+	}
+
+	if (isMonthState(initialPage.state)) {
+		if (usedStoredSession) {
+			increment("session.survived")
+			if (DEBUG) {
+				console.log("[DEBUG] Stored session still valid, captcha skipped")
+			}
+		}
+		return initialPage
+	}
+
+	if (initialPage.state !== PageState.CAPTCHA) {
+		throw errorForPageState(initialPage, "loading the appointment page")
+	}
+
+	// The captcha coming back means the stored session has expired
+	if (usedStoredSession) {
+		increment("session.expired")
+		clearSession(target.id)
+		if (DEBUG) {
+			console.log("[DEBUG] Stored session expired")
+		}
+	}
+
+	if (DEBUG) {
+		console.log("[DEBUG] Captcha detected, solving...")
+	}
+
+	return passCaptcha(hooks)
+}
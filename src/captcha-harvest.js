@@ -0,0 +1,78 @@
+/**
+ * Captcha harvesting for the training corpus
+ * Collects captchas without solving them: read the image, click "Load another
+ * picture", repeat - many captchas per session and no solver cost. Images go
+ * to the corpus (see captcha-corpus.js) with a null label, ready to be labeled
+ * by hand. Like the captcha flow, the engine only provides how to read the
+ * captcha page and how to load another image.
+ */
+
+import { createHash } from "node:crypto"
+import { saveCaptchaSample } from "./captcha-corpus.js"
+import { parseCaptchaPage } from "./captcha-page.js"
+import { UnexpectedPageError } from "./errors.js"
+import { errorForPageState, PageState } from "./page-state.js"
+
+// Give up after this many refreshes in a row without a new image
+const MAX_MISSES = 5
+
+/**
+ * Harvest captchas from one session
+ * @param {object} hooks - Engine hooks
+ * @param {() => Promise<{html: string, url: string}>} hooks.readCaptchaPage - Return the current captcha page
+ * @param {() => Promise<object>} hooks.refreshCaptcha - Load another captcha image and return the classifyPage() result
+ * @param {object} options - Settings
+ * @param {number} options.count - Number of captchas to save
+ * @param {string} options.corpusDir - Corpus directory (default getCorpusDir() in captcha-corpus.js)
+ * @param {number} options.delayMs - Pause before each refresh (default 2000)
+ * @param {(file: string, saved: number) => void} options.onCapture - Progress callback
+ * @returns {Promise<string[]>} Saved file names
+ */
+export async function harvestCaptchas(hooks, options) {
+	const { count, corpusDir, delayMs = 2000 } = options
+	const seen = new Set()
+	const files = []
+	let misses = 0
+
+	while (files.length < count) {
+		const { html, url } = await hooks.readCaptchaPage()
+		const { image } = parseCaptchaPage(html, url)
+		const hash =
+			image && createHash("sha256").update(image.imageBase64).digest("hex")
+
+		if (!image || seen.has(hash)) {
+			misses++
+			if (misses === MAX_MISSES) {
+				throw new UnexpectedPageError(
+					image
+						? `No new captcha image after ${MAX_MISSES} refreshes`
+						: "Could not extract base64 image from captcha div",
+					{ state: PageState.CAPTCHA, url }
+				)
+			}
+		} else {
+			misses = 0
+			seen.add(hash)
+			const file = saveCaptchaSample(
+				{ ...image, source: "harvest", url },
+				{ corpusDir }
+			)
+			files.push(file)
+			options.onCapture?.(file, files.length)
+
+			if (files.length === count) {
+				break
+			}
+		}
+
+		// Don't hammer the site
+		await new Promise((resolve) => setTimeout(resolve, delayMs))
+
+		const refreshed = await hooks.refreshCaptcha()
+		if (refreshed.state !== PageState.CAPTCHA) {
+			throw errorForPageState(refreshed, "loading another captcha image")
+		}
+	}
+
+	return files
+}
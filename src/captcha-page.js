@@ -0,0 +1,134 @@
+/**
+ * Parser for the RK-Termin captcha page (appointment_captcha_month form)
+ *
+ * The captcha image isn't an <img>: it is a div whose inline background style
+ * holds the JPEG as a base64 data URL. The form is a plain POST form, so the
+ * hidden fields are all that's needed to submit it without a browser.
+ */
+
+import { decodeEntities, resolveHref } from "./month-page.js"
+
+export const CAPTCHA_FORM_ID = "appointment_captcha_month"
+// Submit button names for "Continue" and "Load another picture"
+export const CONTINUE_ACTION = "action:appointment_showMonth"
+export const REFRESH_ACTION = "action:appointment_refreshCaptchamonth"
+
+/**
+ * Extract the base64 captcha image from a style attribute or page HTML
+ * Format: background: ... url('data:image/jpg;base64,/9j/4AAQ...')
+ * @param {string} text - Style attribute or HTML containing the data URL
+ * @returns {{imageBase64: string, mediaType: string}|null} null if no image was found
+ */
+export function extractCaptchaImage(text) {
+	const match = text?.match(/data:(image\/[^;]+);base64,([^')"\s]+)/)
+
+	if (!match || !match[2]) {
+		return null
+	}
+
+	// The site labels its JPEGs as "image/jpg"
+	const mediaType = match[1] === "image/jpg" ? "image/jpeg" : match[1]
+	return { imageBase64: match[2], mediaType }
+}
+
+/**
+ * Parse the attributes of a single tag
+ * @private
+ */
+function parseAttributes(tag) {
+	const attributes = {}
+	for (const match of tag.matchAll(/([\w:-]+)\s*=\s*"([^"]*)"/g)) {
+		attributes[match[1].toLowerCase()] = decodeEntities(match[2])
+	}
+	return attributes
+}
+
+/**
+ * Parse a POST form on an RK-Termin page
+ * Shared by the captcha page and the booking form, which are built the same way
+ * @param {string} html - Page HTML
+ * @param {string} formId - id attribute of the form
+ * @param {string} pageUrl - URL the page was loaded from (used to resolve the form action)
+ * @returns {{html: string, action: string|null, fields: Object<string, string>, inputs: Array<{name: string, type: string, value: string}>}|null} fields holds what the browser would send without user input; null if the form isn't on the page
+ */
+export function parseForm(html, formId, pageUrl) {
+	const formMatch = html.match(
+		new RegExp(`<form\\b[^>]*id="${formId}"[^>]*>([\\s\\S]*?)</form>`, "i")
+	)
+
+	if (!formMatch) {
+		return null
+	}
+
+	const formTag = formMatch[0].slice(0, formMatch[0].indexOf(">") + 1)
+	const formAttributes = parseAttributes(formTag)
+	const formHtml = formMatch[1]
+
+	const fields = {}
+	const inputs = []
+	for (const match of formHtml.matchAll(/<input\b[^>]*>/gi)) {
+		const input = parseAttributes(match[0])
+		const type = (input.type || "text").toLowerCase()
+
+		if (!input.name) {
+			continue
+		}
+		inputs.push({ name: input.name, type, value: input.value || "" })
+
+		// Submit buttons are only sent for the one that was "clicked"
+		if (type === "hidden" || type === "text") {
+			fields[input.name] = input.value || ""
+		} else if (type === "checkbox" && /\schecked\b/i.test(match[0])) {
+			fields[input.name] = input.value || "on"
+		}
+	}
+
+	for (const match of formHtml.matchAll(
+		/<select\b([^>]*)>([\s\S]*?)<\/select>/gi
+	)) {
+		const select = parseAttributes(match[1])
+		if (!select.name) {
+			continue
+		}
+		inputs.push({ name: select.name, type: "select", value: "" })
+
+		// The selected option, or the first one like a browser would
+		const options = [...match[2].matchAll(/<option\b[^>]*>/gi)].map(
+			(option) => ({
+				value: parseAttributes(option[0]).value ?? "",
+				selected: /\sselected\b/i.test(option[0]),
+			})
+		)
+		const chosen = options.find((option) => option.selected) || options[0]
+		fields[select.name] = chosen?.value ?? ""
+	}
+
+	return {
+		html: formHtml,
+		action: formAttributes.action
+			? resolveHref(html, formAttributes.action, pageUrl)
+			: null,
+		fields,
+		inputs,
+	}
+}
+
+/**
+ * Parse the captcha page
+ * @param {string} html - Captcha page HTML
+ * @param {string} pageUrl - URL the page was loaded from (used to resolve the form action)
+ * @returns {{image: {imageBase64: string, mediaType: string}|null, action: string|null, fields: Object<string, string>}} fields holds the form's text and hidden inputs
+ */
+export function parseCaptchaPage(html, pageUrl) {
+	const form = parseForm(html, CAPTCHA_FORM_ID, pageUrl)
+
+	if (!form) {
+		return { image: extractCaptchaImage(html), action: null, fields: {} }
+	}
+
+	return {
+		image: extractCaptchaImage(form.html),
+		action: form.action,
+		fields: form.fields,
+	}
+}
@@ -1,8 +1,10 @@
 import dotenv from "dotenv"
+import { request } from "./http-client.js"
 
 dotenv.config()
 
 const API_ENDPOINT = "https://api.capsolver.com/createTask"
+const BALANCE_ENDPOINT = "https://api.capsolver.com/getBalance"
 
 /**
  * Solves a captcha image using CapSolver's ImageToText API
@@ -36,15 +38,16 @@ export async function solveCaptchaCapSolver(imageBase64, options = {}) {
 	}
 
 	try {
-		const response = await fetch(API_ENDPOINT, {
-			method: "POST",
-			headers: {
-				"Content-Type": "application/json",
-			},
-			body: JSON.stringify(requestBody),
+		// Not retried: every task is billed
+		const response = await request(API_ENDPOINT, {
+			json: requestBody,
+			timeoutMs: 30000,
 		})
 
-		const data = await response.json()
+		const data = response.data
+		if (!data) {
+			throw new Error(`CapSolver HTTP ${response.status}`)
+		}
 
 		// Check for errors
 		if (data.errorId && data.errorId !== 0) {
@@ -69,3 +72,39 @@ export async function solveCaptchaCapSolver(imageBase64, options = {}) {
 		throw new Error(`Failed to solve captcha: ${error.message}`)
 	}
 }
+
+/**
+ * Get the remaining CapSolver credit
+ * @returns {Promise<number>} Balance in USD
+ */
+export async function getCapSolverBalance() {
+	const clientKey = process.env.CAPSOLVER_API_KEY
+
+	if (!clientKey) {
+		throw new Error("CAPSOLVER_API_KEY not found in environment variables")
+	}
+
+	const response = await request(BALANCE_ENDPOINT, {
+		json: { clientKey },
+		retries: 2,
+	})
+
+	const data = response.data
+	if (!data) {
+		throw new Error(`CapSolver HTTP ${response.status}`)
+	}
+
+	if (data.errorId && data.errorId !== 0) {
+		throw new Error(
+			`CapSolver error ${data.errorId}: ${data.errorCode || "Unknown error"}`
+		)
+	}
+
+	if (typeof data.balance !== "number") {
+		throw new Error(
+			`Unexpected response from CapSolver: ${JSON.stringify(data)}`
+		)
+	}
+
+	return data.balance
+}
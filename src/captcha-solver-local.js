@@ -0,0 +1,362 @@
+/**
+ * Local captcha solver (template matching, no API)
+ * The consulate's captchas are six dark, slightly distorted characters on a
+ * light background with a few strike-through lines. The image is thresholded,
+ * cut into one slice per character along the emptiest columns, and every slice
+ * is scaled to a small ink-density grid. A model is a set of labeled glyph
+ * grids taken from the labeled corpus (see src/train-captcha.js); a glyph is
+ * read as the character of its nearest model glyph.
+ *
+ * Free and fully offline, but only as good as the corpus it was trained on.
+ */
+
+import dotenv from "dotenv"
+import jpeg from "jpeg-js"
+import fs from "node:fs"
+import path from "node:path"
+import { getStatePath } from "./config.js"
+
+dotenv.config()
+
+// Defaults to STATE_DIR/captcha-model.json (see modelFile())
+const CAPTCHA_MODEL_FILE = process.env.CAPTCHA_MODEL_FILE
+
+const MODEL_VERSION = 1
+const GLYPH_WIDTH = 12
+const GLYPH_HEIGHT = 16
+// Strike-through lines are 2-3px thick; text columns have more ink than that
+const MIN_TEXT_COLUMN_INK = 5
+// The image has a 1px frame
+const FRAME = 1
+
+/**
+ * Decode a JPEG captcha to grayscale (0 = black, 1 = white)
+ * @private
+ */
+function decodeImage(imageBase64) {
+	let image
+	try {
+		image = jpeg.decode(Buffer.from(imageBase64, "base64"), {
+			useTArray: true,
+		})
+	} catch (err) {
+		throw new Error(`Local solver can only read JPEG captchas (${err.message})`)
+	}
+
+	const { width, height, data } = image
+	const gray = new Float32Array(width * height)
+	for (let i = 0; i < gray.length; i++) {
+		gray[i] =
+			(0.299 * data[i * 4] +
+				0.587 * data[i * 4 + 1] +
+				0.114 * data[i * 4 + 2]) /
+			255
+	}
+	return { width, height, gray }
+}
+
+/**
+ * Otsu's threshold between text and background
+ * @private
+ */
+function otsuThreshold(gray) {
+	const histogram = new Array(256).fill(0)
+	for (const value of gray) {
+		histogram[Math.round(value * 255)]++
+	}
+
+	let total = 0
+	for (let level = 0; level < 256; level++) {
+		total += level * histogram[level]
+	}
+
+	let best = 0
+	let threshold = 0.5
+	let backgroundWeight = 0
+	let backgroundSum = 0
+	for (let level = 0; level < 256; level++) {
+		backgroundWeight += histogram[level]
+		const foregroundWeight = gray.length - backgroundWeight
+		if (backgroundWeight === 0) {
+			continue
+		}
+		if (foregroundWeight === 0) {
+			break
+		}
+
+		backgroundSum += level * histogram[level]
+		const meanDifference =
+			backgroundSum / backgroundWeight -
+			(total - backgroundSum) / foregroundWeight
+		const between =
+			backgroundWeight * foregroundWeight * meanDifference * meanDifference
+		if (between > best) {
+			best = between
+			threshold = level / 255
+		}
+	}
+
+	return threshold
+}
+
+/**
+ * Column with the least ink near an expected cut
+ * @private
+ */
+function findCut(columns, expected, radius) {
+	let cut = expected
+	for (let offset = 1; offset <= radius; offset++) {
+		for (const x of [expected - offset, expected + offset]) {
+			if (columns[x] !== undefined && columns[x] < columns[cut]) {
+				cut = x
+			}
+		}
+	}
+	return cut
+}
+
+/**
+ * Scale the ink of a slice to a GLYPH_WIDTH x GLYPH_HEIGHT grid of digits 0-9
+ * @private
+ */
+function glyphFeatures(ink, width, left, right, top, bottom) {
+	let features = ""
+	const cellWidth = (right - left) / GLYPH_WIDTH
+	const cellHeight = (bottom - top) / GLYPH_HEIGHT
+
+	for (let row = 0; row < GLYPH_HEIGHT; row++) {
+		const y0 = Math.floor(top + row * cellHeight)
+		const y1 = Math.max(y0 + 1, Math.floor(top + (row + 1) * cellHeight))
+		for (let column = 0; column < GLYPH_WIDTH; column++) {
+			const x0 = Math.floor(left + column * cellWidth)
+			const x1 = Math.max(x0 + 1, Math.floor(left + (column + 1) * cellWidth))
+
+			let sum = 0
+			for (let y = y0; y < y1; y++) {
+				for (let x = x0; x < x1; x++) {
+					sum += ink[y * width + x]
+				}
+			}
+			features += Math.round((sum / ((y1 - y0) * (x1 - x0))) * 9)
+		}
+	}
+
+	return features
+}
+
+/**
+ * Cut a captcha into character glyphs
+ * @param {string} imageBase64 - Base64-encoded JPEG
+ * @param {number} count - Number of characters in the captcha
+ * @returns {string[]} One feature string per character, left to right
+ */
+export function extractGlyphs(imageBase64, count) {
+	const { width, height, gray } = decodeImage(imageBase64)
+	const threshold = otsuThreshold(gray)
+	const ink = new Uint8Array(width * height)
+	for (let y = FRAME; y < height - FRAME; y++) {
+		for (let x = FRAME; x < width - FRAME; x++) {
+			ink[y * width + x] = gray[y * width + x] <= threshold ? 1 : 0
+		}
+	}
+
+	const columns = new Array(width).fill(0)
+	for (let y = 0; y < height; y++) {
+		for (let x = 0; x < width; x++) {
+			columns[x] += ink[y * width + x]
+		}
+	}
+
+	// Text spans the columns with more ink than a strike-through line
+	let left = columns.findIndex((inkCount) => inkCount >= MIN_TEXT_COLUMN_INK)
+	let right = columns.findLastIndex(
+		(inkCount) => inkCount >= MIN_TEXT_COLUMN_INK
+	)
+	if (left === -1 || right - left < count) {
+		left = FRAME
+		right = width - FRAME - 1
+	}
+
+	const span = right + 1 - left
+	const cuts = [left]
+	for (let k = 1; k < count; k++) {
+		const expected = Math.round(left + (k * span) / count)
+		cuts.push(
+			Math.max(
+				cuts[k - 1] + 1,
+				findCut(columns, expected, Math.floor(span / (count * 3)))
+			)
+		)
+	}
+	cuts.push(right + 1)
+
+	return cuts.slice(0, count).map((sliceLeft, k) => {
+		const sliceRight = Math.max(cuts[k + 1], sliceLeft + 1)
+
+		// Crop each glyph to the rows it has ink in
+		let top = height
+		let bottom = 0
+		for (let y = 0; y < height; y++) {
+			let rowInk = 0
+			for (let x = sliceLeft; x < sliceRight; x++) {
+				rowInk += ink[y * width + x]
+			}
+			if (rowInk >= 2) {
+				top = Math.min(top, y)
+				bottom = y + 1
+			}
+		}
+		if (top >= bottom) {
+			top = 0
+			bottom = height
+		}
+
+		return glyphFeatures(ink, width, sliceLeft, sliceRight, top, bottom)
+	})
+}
+
+/**
+ * Squared distance between two glyph feature strings
+ * @private
+ */
+function glyphDistance(a, b) {
+	let distance = 0
+	for (let i = 0; i < a.length; i++) {
+		const difference = a.charCodeAt(i) - b.charCodeAt(i)
+		distance += difference * difference
+	}
+	return distance
+}
+
+/**
+ * Build a model from labeled captchas
+ * @param {Array<{label: string, imageBase64: string}>} samples - Labeled captchas (e.g. from loadCorpus())
+ * @param {object} options - Optional settings
+ * @param {number} options.maxGlyphsPerChar - Most glyphs kept per character (default 50)
+ * @returns {{version: number, length: number, glyphs: Object<string, string[]>, trainedOn: number, trainedAt: string}}
+ */
+export function trainModel(samples, options = {}) {
+	const maxGlyphsPerChar = options.maxGlyphsPerChar ?? 50
+
+	// Captcha length is whatever most labels have (6 on the consulate site)
+	const lengths = new Map()
+	for (const sample of samples) {
+		lengths.set(
+			sample.label.length,
+			(lengths.get(sample.label.length) || 0) + 1
+		)
+	}
+	const [length] = [...lengths].sort((a, b) => b[1] - a[1])[0] || [6]
+
+	const glyphs = {}
+	let trainedOn = 0
+	for (const sample of samples) {
+		if (sample.label.length !== length) {
+			continue
+		}
+
+		const label = sample.label.toLowerCase()
+		extractGlyphs(sample.imageBase64, length).forEach((features, i) => {
+			glyphs[label[i]] = glyphs[label[i]] || []
+			if (glyphs[label[i]].length < maxGlyphsPerChar) {
+				glyphs[label[i]].push(features)
+			}
+		})
+		trainedOn++
+	}
+
+	return {
+		version: MODEL_VERSION,
+		length,
+		glyphs,
+		trainedOn,
+		trainedAt: new Date().toISOString(),
+	}
+}
+
+/**
+ * Read a captcha with a model
+ * @param {object} model - From trainModel()
+ * @param {string} imageBase64 - Base64-encoded JPEG
+ * @returns {string} Recognized text
+ */
+export function recognize(model, imageBase64) {
+	return extractGlyphs(imageBase64, model.length)
+		.map((features) => {
+			let best = null
+			let bestDistance = Infinity
+			for (const [char, charGlyphs] of Object.entries(model.glyphs)) {
+				for (const glyph of charGlyphs) {
+					const distance = glyphDistance(features, glyph)
+					if (distance < bestDistance) {
+						best = char
+						bestDistance = distance
+					}
+				}
+			}
+			return best
+		})
+		.join("")
+}
+
+/**
+ * Model file to use when none is given
+ * A trained model is runtime state, so it lives with the rest of it
+ * @private
+ */
+function modelFile() {
+	return CAPTCHA_MODEL_FILE || getStatePath("captcha-model.json")
+}
+
+/**
+ * Save a model as JSON
+ * @param {object} model - From trainModel()
+ * @param {string} file - Model file (default CAPTCHA_MODEL_FILE, or STATE_DIR/captcha-model.json)
+ * @returns {string} Path the model was written to
+ */
+export function saveModel(model, file = modelFile()) {
+	fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true })
+	fs.writeFileSync(file, JSON.stringify(model))
+	return path.resolve(file)
+}
+
+let cachedModel = null
+
+/**
+ * Load a model, cached until the file changes
+ * @param {string} file - Model file (default CAPTCHA_MODEL_FILE, or STATE_DIR/captcha-model.json)
+ * @returns {object} Model from trainModel()
+ */
+export function loadModel(file = modelFile()) {
+	if (!fs.existsSync(file)) {
+		throw new Error(
+			`No local captcha model at ${file} (train one with pnpm train:captcha)`
+		)
+	}
+
+	const { mtimeMs } = fs.statSync(file)
+	if (cachedModel?.file !== file || cachedModel.mtimeMs !== mtimeMs) {
+		const model = JSON.parse(fs.readFileSync(file, "utf8"))
+		if (model.version !== MODEL_VERSION) {
+			throw new Error(
+				`Captcha model ${file} has version ${model.version}, expected ${MODEL_VERSION} (retrain with pnpm train:captcha)`
+			)
+		}
+		cachedModel = { file, mtimeMs, model }
+	}
+
+	return cachedModel.model
+}
+
+/**
+ * Solve a captcha with the local model
+ * @param {string} imageBase64 - Base64-encoded JPEG
+ * @returns {Promise<string>} The solved captcha text
+ */
+export async function solveCaptchaLocal(imageBase64) {
+	if (!imageBase64) {
+		throw new Error("Image data is required")
+	}
+
+	return recognize(loadModel(), imageBase64)
+}
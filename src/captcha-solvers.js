@@ -0,0 +1,271 @@
+/**
+ * Captcha solver registry
+ * A solver is a function (imageBase64, mediaType) => Promise<string>. Solvers are
+ * registered by name and CAPTCHA_SOLVERS (e.g. "capsolver,claude") picks the
+ * fallback chain. Within a check the chain moves on to the next solver when one
+ * fails (API error, no balance), returns something that can't be a captcha
+ * answer, or when the site rejects its answer. With CAPTCHA_VOTES > 1 several
+ * answers are collected and the majority is submitted.
+ */
+
+import dotenv from "dotenv"
+import { solveCaptcha as solveCaptchaClaude } from "./captcha-solver.js"
+import { solveCaptchaCapSolver } from "./captcha-solver-capsolver.js"
+import { solveCaptchaLocal } from "./captcha-solver-local.js"
+import { recordSolve } from "./captcha-spend.js"
+import { increment } from "./metrics.js"
+
+dotenv.config()
+
+const DEBUG = process.env.DEBUG === "true"
+// Comma-separated solver names, tried in order
+const CAPTCHA_SOLVERS = process.env.CAPTCHA_SOLVERS || "capsolver"
+// The consulate's captchas are lowercase letters and digits of a fixed length
+const CAPTCHA_LENGTH = parseInt(process.env.CAPTCHA_LENGTH || "6", 10)
+// Answers to collect per captcha before submitting the majority
+const CAPTCHA_VOTES = parseInt(process.env.CAPTCHA_VOTES || "1", 10)
+
+const registry = new Map()
+
+/**
+ * Register a captcha solver
+ * @param {string} name - Name used in CAPTCHA_SOLVERS
+ * @param {(imageBase64: string, mediaType: string) => Promise<string>} solve - Solver function
+ * @param {object} options - Optional settings
+ * @param {number} options.costPerSolve - Approximate USD cost of one answer (default 0)
+ */
+export function registerSolver(name, solve, options = {}) {
+	registry.set(name, { solve, costPerSolve: options.costPerSolve ?? 0 })
+}
+
+// CapSolver ImageToText: $0.40 per 1000 images
+registerSolver(
+	"capsolver",
+	(imageBase64) => solveCaptchaCapSolver(imageBase64, { module: "module_005" }),
+	{ costPerSolve: 0.0004 }
+)
+// Claude Opus: ~350 input tokens (prompt + 300x50 image) and a few output tokens
+registerSolver(
+	"claude",
+	(imageBase64, mediaType) => solveCaptchaClaude(imageBase64, mediaType),
+	{ costPerSolve: 0.002 }
+)
+// Template matching against a model trained on the corpus: free, no network
+registerSolver("local", (imageBase64) => solveCaptchaLocal(imageBase64))
+
+/**
+ * Wrap a solver so each answer is added to the spend totals
+ * @private
+ */
+function metered(solver) {
+	return {
+		...solver,
+		solve: async (imageBase64, mediaType) => {
+			const text = await solver.solve(imageBase64, mediaType)
+			recordSolve(solver.name, solver.costPerSolve)
+			return text
+		},
+	}
+}
+
+/**
+ * Look up solvers by name
+ * @param {string|Array<string|{name: string, solve: Function}>} names - Solver names or a comma-separated list (defaults to CAPTCHA_SOLVERS); {name, solve} entries are used as they are
+ * @param {object} options - Optional settings
+ * @param {boolean} options.meter - false keeps the answers out of the spend totals, e.g. for benchmark runs (default true)
+ * @returns {Array<{name: string, solve: (imageBase64: string, mediaType: string) => Promise<string>, costPerSolve: number}>} Every answer is metered (see captcha-spend.js) unless options.meter is false
+ */
+export function getSolvers(names = CAPTCHA_SOLVERS, options = {}) {
+	const wrap = options.meter === false ? (solver) => solver : metered
+
+	const list = (Array.isArray(names) ? names : names.split(","))
+		.map((name) => (typeof name === "string" ? name.trim() : name))
+		.filter(Boolean)
+
+	if (list.length === 0) {
+		throw new Error("No captcha solvers configured (CAPTCHA_SOLVERS)")
+	}
+
+	return list.map((name) => {
+		if (typeof name === "object") {
+			return wrap({ costPerSolve: 0, ...name })
+		}
+
+		const entry = registry.get(name)
+		if (!entry) {
+			throw new Error(
+				`Unknown captcha solver "${name}" (available: ${[
+					...registry.keys(),
+				].join(", ")})`
+			)
+		}
+		return wrap({ name, ...entry })
+	})
+}
+
+/**
+ * Normalize a solver's answer the way the site compares it
+ * @param {string} text - Raw solver output
+ * @returns {string} Lowercase letters and digits only
+ */
+export function normalizeAnswer(text) {
+	return String(text ?? "")
+		.toLowerCase()
+		.replace(/[^a-z0-9]/g, "")
+}
+
+/**
+ * Check a normalized answer against the captcha format
+ * @param {string} text - Normalized answer
+ * @param {number} length - Captcha length (default CAPTCHA_LENGTH)
+ * @returns {boolean}
+ */
+export function isValidAnswer(text, length = CAPTCHA_LENGTH) {
+	return text.length === length && /^[a-z0-9]+$/.test(text)
+}
+
+/**
+ * Majority answer: a whole answer with more than half of the votes, otherwise
+ * the most common character at each position (ties go to the earlier answer)
+ * @param {string[]} answers - Valid answers in the order they came in
+ * @returns {string}
+ */
+export function voteAnswer(answers) {
+	const counts = new Map()
+	for (const answer of answers) {
+		counts.set(answer, (counts.get(answer) || 0) + 1)
+	}
+	for (const [answer, count] of counts) {
+		if (count > answers.length / 2) {
+			return answer
+		}
+	}
+
+	return [...answers[0]]
+		.map((_, position) => {
+			const chars = new Map()
+			for (const answer of answers) {
+				chars.set(answer[position], (chars.get(answer[position]) || 0) + 1)
+			}
+			// Maps keep insertion order, so the earliest answer wins a tie
+			return [...chars].reduce((best, entry) =>
+				entry[1] > best[1] ? entry : best
+			)[0]
+		})
+		.join("")
+}
+
+/**
+ * Create a solver chain for one check
+ * @param {Array<{name: string, solve: Function}>} solvers - Solvers in order (see getSolvers())
+ * @param {object} options - Optional settings
+ * @param {number} options.votes - Answers to collect per captcha (default CAPTCHA_VOTES)
+ * @returns {{solve: (imageBase64: string, mediaType?: string) => Promise<{text: string|null, solver: string|null}>, rejected: () => void, accepted: () => void}}
+ */
+export function createSolverChain(solvers, options = {}) {
+	const votes = Math.max(1, options.votes ?? CAPTCHA_VOTES)
+
+	// Solver to start with for the next captcha, and the one that answered last
+	let start = 0
+	let last = null
+
+	/**
+	 * Solve a captcha with the first solver(s) that return a valid answer
+	 * Solvers are asked in turn (again from the start of the chain if more votes
+	 * are needed) until there are enough valid answers or a majority is certain.
+	 * @param {string} imageBase64 - Base64-encoded image
+	 * @param {string} mediaType - Image MIME type (default image/jpeg)
+	 * @returns {Promise<{text: string|null, solver: string|null}>} text is null if no solver gave a valid answer - get a new image rather than submit a guess
+	 */
+	async function solve(imageBase64, mediaType = "image/jpeg") {
+		const errors = []
+		const broken = new Set()
+		const answers = []
+		const majority = Math.floor(votes / 2) + 1
+
+		for (
+			let query = 0;
+			query < solvers.length * votes && answers.length < votes;
+			query++
+		) {
+			const index = (start + query) % solvers.length
+			const { name, solve: solveWith } = solvers[index]
+			if (broken.has(index)) {
+				continue
+			}
+
+			let text
+			try {
+				text = normalizeAnswer(await solveWith(imageBase64, mediaType))
+			} catch (err) {
+				increment(`captcha.errors.${name}`)
+				console.error(`[Captcha] Solver ${name} failed: ${err.message}`)
+				errors.push(`${name}: ${err.message}`)
+				broken.add(index)
+				continue
+			}
+
+			if (!isValidAnswer(text)) {
+				increment(`captcha.invalid.${name}`)
+				console.error(
+					`[Captcha] Solver ${name} returned an invalid answer "${text}"`
+				)
+				continue
+			}
+
+			if (DEBUG) {
+				console.log(`[DEBUG] [Captcha] ${name} answered "${text}"`)
+			}
+			answers.push({ text, index })
+
+			// No need to ask further once one answer can't be outvoted
+			if (answers.filter((answer) => answer.text === text).length >= majority) {
+				break
+			}
+		}
+
+		if (answers.length === 0) {
+			if (broken.size === solvers.length) {
+				throw new Error(`All captcha solvers failed (${errors.join("; ")})`)
+			}
+			last = null
+			return { text: null, solver: null }
+		}
+
+		const text = voteAnswer(answers.map((answer) => answer.text))
+		const winner = answers.find((answer) => answer.text === text) || answers[0]
+		last = winner.index
+		if (DEBUG && answers.length > 1) {
+			console.log(
+				`[DEBUG] [Captcha] Voted "${text}" from ${answers
+					.map((answer) => answer.text)
+					.join(", ")}`
+			)
+		}
+		return { text, solver: solvers[last].name }
+	}
+
+	/**
+	 * The site rejected the last answer - start with the next solver
+	 */
+	function rejected() {
+		if (last === null) {
+			return
+		}
+		increment(`captcha.rejected.${solvers[last].name}`)
+		start = (last + 1) % solvers.length
+	}
+
+	/**
+	 * The site accepted the last answer
+	 */
+	function accepted() {
+		if (last === null) {
+			return
+		}
+		increment(`captcha.solved.${solvers[last].name}`)
+		console.log(`[Captcha] Passed with ${solvers[last].name}`)
+	}
+
+	return { solve, rejected, accepted }
+}
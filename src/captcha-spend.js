@@ -0,0 +1,230 @@
+/**
+ * Captcha spend tracking
+ * Every answer from a solver is metered at the solver's costPerSolve (see
+ * captcha-solvers.js) and added to per-day totals in STATE_DIR/captcha-spend.json.
+ * The scheduler compares them with CAPTCHA_DAILY_BUDGET / CAPTCHA_MONTHLY_BUDGET
+ * and slows down or pauses once a budget is used up, and checks the CapSolver
+ * balance so the credit doesn't run out unnoticed. Days and months follow the
+ * server's local time.
+ */
+
+import dotenv from "dotenv"
+import fs from "node:fs"
+import { getCapSolverBalance } from "./captcha-solver-capsolver.js"
+import { getStatePath } from "./config.js"
+
+dotenv.config()
+
+const DEBUG = process.env.DEBUG === "true"
+// Budgets in USD (0 = no limit)
+const CAPTCHA_DAILY_BUDGET = parseFloat(process.env.CAPTCHA_DAILY_BUDGET || "0")
+const CAPTCHA_MONTHLY_BUDGET = parseFloat(
+	process.env.CAPTCHA_MONTHLY_BUDGET || "0"
+)
+// "slow" (check CAPTCHA_BUDGET_SLOWDOWN times less often) or "pause" (no checks until the budget resets)
+const CAPTCHA_BUDGET_ACTION = process.env.CAPTCHA_BUDGET_ACTION || "slow"
+const CAPTCHA_BUDGET_SLOWDOWN = parseFloat(
+	process.env.CAPTCHA_BUDGET_SLOWDOWN || "4"
+)
+// Alert when the CapSolver balance drops below this many USD (0 = don't check)
+const CAPSOLVER_LOW_BALANCE = parseFloat(
+	process.env.CAPSOLVER_LOW_BALANCE || "1"
+)
+const CAPSOLVER_BALANCE_CHECK_MINUTES = parseFloat(
+	process.env.CAPSOLVER_BALANCE_CHECK_MINUTES || "60"
+)
+
+// Enough days for the current and the previous month
+const KEEP_DAYS = 62
+
+/**
+ * Local date as YYYY-MM-DD
+ * @private
+ */
+function dayKey(date) {
+	return date.toLocaleDateString("en-CA")
+}
+
+/**
+ * Read the stored totals
+ * @private
+ * @returns {{days: Object<string, Object<string, {calls: number, cost: number}>>}}
+ */
+function readSpend() {
+	const file = getStatePath("captcha-spend.json")
+	if (!fs.existsSync(file)) {
+		return { days: {} }
+	}
+
+	try {
+		return JSON.parse(fs.readFileSync(file, "utf8"))
+	} catch (err) {
+		console.error(`[Spend] Ignoring unreadable ${file}: ${err.message}`)
+		return { days: {} }
+	}
+}
+
+/**
+ * Add one solver answer to today's totals
+ * Never throws - losing a data point is better than failing the check
+ * @param {string} solver - Solver name
+ * @param {number} cost - Cost of the answer in USD
+ * @param {Date} date - When the answer came in (default now)
+ */
+export function recordSolve(solver, cost, date = new Date()) {
+	try {
+		const spend = readSpend()
+		const day = (spend.days[dayKey(date)] ||= {})
+		const entry = (day[solver] ||= { calls: 0, cost: 0 })
+		entry.calls++
+		// Keep the sum free of floating point noise
+		entry.cost = Math.round((entry.cost + cost) * 1e6) / 1e6
+
+		for (const key of Object.keys(spend.days).sort().slice(0, -KEEP_DAYS)) {
+			delete spend.days[key]
+		}
+
+		fs.writeFileSync(
+			getStatePath("captcha-spend.json"),
+			JSON.stringify(spend, null, 2)
+		)
+	} catch (err) {
+		console.error(`[Spend] Could not record captcha spend: ${err.message}`)
+	}
+}
+
+/**
+ * Spend of a day and of its month
+ * @param {Date} date - Day to report (default today)
+ * @returns {{today: {calls: number, cost: number, bySolver: Object<string, {calls: number, cost: number}>}, month: {calls: number, cost: number}}}
+ */
+export function getSpend(date = new Date()) {
+	const { days } = readSpend()
+	const today = dayKey(date)
+	const month = today.slice(0, 7)
+	const sum = (entries) =>
+		entries.reduce(
+			(total, entry) => ({
+				calls: total.calls + entry.calls,
+				cost: Math.round((total.cost + entry.cost) * 1e6) / 1e6,
+			}),
+			{ calls: 0, cost: 0 }
+		)
+
+	return {
+		today: {
+			...sum(Object.values(days[today] || {})),
+			bySolver: days[today] || {},
+		},
+		month: sum(
+			Object.entries(days)
+				.filter(([key]) => key.startsWith(month))
+				.flatMap(([, solvers]) => Object.values(solvers))
+		),
+	}
+}
+
+/**
+ * One-line summary for the scheduler log
+ * @param {object} spend - From getSpend()
+ * @returns {string}
+ */
+export function formatSpend(spend) {
+	const solvers = Object.entries(spend.today.bySolver).map(
+		([name, entry]) => `${name} ${entry.calls}`
+	)
+
+	return `captcha spend today $${spend.today.cost.toFixed(4)} (${
+		spend.today.calls
+	} answers${solvers.length > 0 ? `: ${solvers.join(", ")}` : ""}), this month $${spend.month.cost.toFixed(4)}`
+}
+
+/**
+ * Compare the spend with the budgets
+ * @param {Date} date - Day to check (default today)
+ * @returns {{exceeded: boolean, period?: "day"|"month", key?: string, spent?: number, budget?: number, action?: "slow"|"pause", slowdown?: number, message?: string}} key identifies the budget period (for alerting once)
+ */
+export function getBudgetStatus(date = new Date()) {
+	const spend = getSpend(date)
+	const today = dayKey(date)
+
+	// The monthly budget lasts longer, so it wins when both are used up
+	const over = [
+		{
+			period: "month",
+			key: today.slice(0, 7),
+			spent: spend.month.cost,
+			budget: CAPTCHA_MONTHLY_BUDGET,
+		},
+		{
+			period: "day",
+			key: today,
+			spent: spend.today.cost,
+			budget: CAPTCHA_DAILY_BUDGET,
+		},
+	].find(({ spent, budget }) => budget > 0 && spent >= budget)
+
+	if (!over) {
+		return { exceeded: false }
+	}
+
+	const action = CAPTCHA_BUDGET_ACTION === "pause" ? "pause" : "slow"
+	return {
+		exceeded: true,
+		...over,
+		action,
+		slowdown: CAPTCHA_BUDGET_SLOWDOWN,
+		message: `Captcha spend this ${over.period} is $${over.spent.toFixed(
+			4
+		)} (budget $${over.budget.toFixed(2)}) - ${
+			action === "pause"
+				? "checks are paused until the budget resets"
+				: `checking ${CAPTCHA_BUDGET_SLOWDOWN}x less often until the budget resets`
+		}`,
+	}
+}
+
+// Last balance query and whether the low balance has been reported
+let lastBalanceCheck = 0
+let lowBalanceReported = false
+
+/**
+ * Query the CapSolver balance (at most every CAPSOLVER_BALANCE_CHECK_MINUTES)
+ * Never throws - a failed query is logged and retried next time
+ * @param {object} options - Optional settings
+ * @param {() => Promise<number>} options.getBalance - Balance query (default getCapSolverBalance())
+ * @param {boolean} options.force - Ignore the check interval
+ * @returns {Promise<{balance: number, threshold: number, low: boolean, alert: boolean}|null>} alert is true the first time the balance is seen below the threshold; null if not checked
+ */
+export async function checkCapSolverBalance(options = {}) {
+	const getBalance = options.getBalance || getCapSolverBalance
+	const due =
+		Date.now() - lastBalanceCheck >= CAPSOLVER_BALANCE_CHECK_MINUTES * 60_000
+
+	if (
+		CAPSOLVER_LOW_BALANCE <= 0 ||
+		(!options.getBalance && !process.env.CAPSOLVER_API_KEY) ||
+		(!due && !options.force)
+	) {
+		return null
+	}
+
+	lastBalanceCheck = Date.now()
+	let balance
+	try {
+		balance = await getBalance()
+	} catch (err) {
+		console.error(`[Spend] CapSolver balance check failed: ${err.message}`)
+		return null
+	}
+
+	const low = balance < CAPSOLVER_LOW_BALANCE
+	const alert = low && !lowBalanceReported
+	lowBalanceReported = low
+
+	if (DEBUG) {
+		console.log(`[DEBUG] [Spend] CapSolver balance: $${balance.toFixed(4)}`)
+	}
+
+	return { balance, threshold: CAPSOLVER_LOW_BALANCE, low, alert }
+}
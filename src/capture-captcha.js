@@ -1,94 +1,113 @@
-import { chromium } from 'playwright';
-import fs from 'fs';
-import path from 'path';
-import { fileURLToPath } from 'url';
-import dotenv from 'dotenv';
-
-dotenv.config();
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+import dotenv from "dotenv"
+import path from "node:path"
+import { createBrowserPool } from "./browser-pool.js"
+import { harvestCaptchas } from "./captcha-harvest.js"
+import {
+	loadPage,
+	preparePage,
+	readCaptchaPage,
+	refreshCaptcha,
+} from "./checker.js"
+import { getTargets } from "./config.js"
+import { classifyPage, errorForPageState, PageState } from "./page-state.js"
+
+dotenv.config()
 
 /**
- * Captures a captcha image from the consulate appointment page
- * Saves it to screenshots/captcha.png for testing
+ * Harvest real captchas from the consulate site for the training corpus
+ * Usage: node src/capture-captcha.js [--count 50] [--target=id] [--corpus=dir] [--delay=ms]
+ * Opens the appointment page the way the checker does (HEADLESS, PROXY_SERVER)
+ * and clicks "Load another picture" until --count new captchas (default 1) are
+ * saved to the corpus (default CAPTCHA_CORPUS_DIR, or STATE_DIR/captcha-corpus)
+ * with a null label, waiting --delay ms (default 2000) between images. No
+ * solver is called.
  */
 async function captureCaptcha() {
-  const url = process.env.APPOINTMENT_URL;
-
-  if (!url) {
-    console.error('Error: APPOINTMENT_URL not found in .env file');
-    process.exit(1);
-  }
-
-  console.log(`Navigating to: ${url}`);
-
-  const browser = await chromium.launch({
-    headless: false, // Show browser so you can see what's happening
-  });
-
-  try {
-    const page = await browser.newPage();
-
-    // Set reasonable viewport
-    await page.setViewportSize({ width: 1280, height: 720 });
-
-    console.log('Loading page...');
-    await page.goto(url, { waitUntil: 'networkidle' });
-
-    console.log('Page loaded. Looking for captcha image...');
-
-    // Try to find the captcha image - common selectors
-    // Adjust these selectors based on the actual page structure
-    const captchaSelectors = [
-      'img[alt*="captcha" i]',
-      'img[src*="captcha" i]',
-      'img[id*="captcha" i]',
-      '#captcha img',
-      '.captcha img',
-      'img[alt*="security" i]',
-    ];
-
-    let captchaElement = null;
-    for (const selector of captchaSelectors) {
-      const element = await page.$(selector);
-      if (element) {
-        console.log(`Found captcha using selector: ${selector}`);
-        captchaElement = element;
-        break;
-      }
-    }
-
-    if (!captchaElement) {
-      console.log('\nCould not auto-detect captcha. Please manually inspect the page.');
-      console.log('Look for the captcha image and note its selector.');
-      console.log('\nBrowser will remain open for 60 seconds for manual inspection...');
-      await page.waitForTimeout(60000);
-      throw new Error('Captcha element not found automatically');
-    }
-
-    // Take screenshot of the captcha element
-    const screenshotPath = path.join(
-      process.cwd(),
-      'screenshots',
-      'captcha.png'
-    );
-
-    await captchaElement.screenshot({ path: screenshotPath });
-
-    console.log(`\n✅ Captcha screenshot saved to: ${screenshotPath}`);
-    console.log('\nYou can now test the captcha solver with:');
-    console.log('pnpm test:captcha screenshots/captcha.png');
-
-  } catch (error) {
-    console.error('\n❌ Error:', error.message);
-    throw error;
-  } finally {
-    await browser.close();
-  }
+	// Accept both --name=value and --name value
+	const option = (name) => {
+		const index = process.argv.findIndex(
+			(arg) => arg === `--${name}` || arg.startsWith(`--${name}=`)
+		)
+		if (index === -1) {
+			return undefined
+		}
+		const arg = process.argv[index]
+		return arg.includes("=")
+			? arg.slice(name.length + 3)
+			: process.argv[index + 1]
+	}
+
+	const count = parseInt(option("count") || "1", 10)
+	const delayMs = parseInt(option("delay") || "2000", 10)
+	const corpusDir = option("corpus") && path.resolve(option("corpus"))
+	const targets = getTargets()
+	const target = option("target")
+		? targets.find((candidate) => candidate.id === option("target"))
+		: targets[0]
+
+	if (!target) {
+		console.error(
+			`Error: unknown target "${option("target")}" (available: ${targets
+				.map((candidate) => candidate.id)
+				.join(", ")})`
+		)
+		process.exit(1)
+	}
+	if (!(count > 0)) {
+		console.error("Error: --count must be a positive number")
+		process.exit(1)
+	}
+
+	console.log(`Harvesting ${count} captcha(s) from ${target.label}`)
+	console.log(`Navigating to: ${target.url}`)
+
+	const browserPool = createBrowserPool()
+	let saved = 0
+
+	try {
+		// A fresh context has no consulate session, so the captcha comes up
+		const context = await browserPool.newContext()
+		const page = await context.newPage()
+		await preparePage(page)
+
+		const initialPage = classifyPage(await loadPage(page, target.url))
+		if (initialPage.state !== PageState.CAPTCHA) {
+			throw errorForPageState(initialPage, "loading the captcha page")
+		}
+
+		const files = await harvestCaptchas(
+			{
+				readCaptchaPage: () => readCaptchaPage(page),
+				refreshCaptcha: () => refreshCaptcha(page),
+			},
+			{
+				count,
+				corpusDir,
+				delayMs,
+				onCapture: (file, total) => {
+					saved = total
+					console.log(`[${total}/${count}] ${file}`)
+				},
+			}
+		)
+
+		console.log(`\n✅ Saved ${files.length} captcha(s)`)
+		console.log(
+			"\nLabel them in labels.json in the corpus directory, then run:"
+		)
+		console.log("pnpm bench:captcha   # compare the solvers")
+		console.log("pnpm train:captcha   # train the offline solver")
+	} catch (error) {
+		console.error(
+			`\n❌ Harvest stopped after ${saved} captcha(s): ${error.message}`
+		)
+		process.exitCode = 1
+	} finally {
+		await browserPool.close()
+	}
 }
 
 captureCaptcha().catch((error) => {
-  console.error('Fatal error:', error);
-  process.exit(1);
-});
+	console.error("Fatal error:", error.message)
+	process.exit(1)
+})
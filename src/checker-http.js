@@ -0,0 +1,255 @@
+/**
+ * HTTP-only checker engine
+ * Runs the same flow as the Playwright engine with plain HTTP requests and a
+ * cookie jar: the month and captcha pages are server-rendered and the captcha
+ * form is a normal POST form, so no browser is needed. Useful on small VPSes
+ * that can't host Chromium. Select it with CHECKER_ENGINE=http.
+ */
+
+import dotenv from "dotenv"
+import { fetch, ProxyAgent } from "undici"
+import { autoBook } from "./booking.js"
+import { enterMonthView } from "./captcha-flow.js"
+import {
+	CONTINUE_ACTION,
+	parseCaptchaPage,
+	REFRESH_ACTION,
+} from "./captcha-page.js"
+import { createCookieJar } from "./cookie-jar.js"
+import { SessionExpiredError, UnexpectedPageError } from "./errors.js"
+import { increment } from "./metrics.js"
+import { buildResult, walkMonths } from "./month-walk.js"
+import { classifyPage } from "./page-state.js"
+import { clearSession, loadSession, saveSession } from "./session-store.js"
+
+dotenv.config()
+
+const DEBUG = process.env.DEBUG === "true"
+const PROXY_SERVER = process.env.PROXY_SERVER || null
+const REQUEST_TIMEOUT_MS = 20000
+const MAX_REDIRECTS = 5
+
+const REQUEST_HEADERS = {
+	"User-Agent":
+		"Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/131.0.0.0 Safari/537.36",
+	"Accept-Language": "en-US,en;q=0.9",
+	Accept: "text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8",
+}
+
+/**
+ * Build the undici dispatcher for PROXY_SERVER
+ * @private
+ * @returns {ProxyAgent|undefined} undefined when no proxy is configured
+ */
+function createProxyDispatcher() {
+	if (!PROXY_SERVER) {
+		return undefined
+	}
+
+	const proxyUrl = new URL(PROXY_SERVER)
+	if (!["http:", "https:"].includes(proxyUrl.protocol)) {
+		throw new Error(
+			`HTTP engine only supports http(s) proxies, not ${proxyUrl.protocol}`
+		)
+	}
+
+	return new ProxyAgent({
+		uri: PROXY_SERVER,
+		// Ignore SSL certificate errors (needed for BrightData and similar proxies)
+		requestTls: { rejectUnauthorized: false },
+	})
+}
+
+/**
+ * Create a small HTTP client that keeps cookies and follows redirects
+ * @private
+ */
+function createClient(jar) {
+	const dispatcher = createProxyDispatcher()
+
+	/**
+	 * Request a page
+	 * @returns {Promise<{html: string, status: number, url: string}>}
+	 */
+	async function request(url, { method = "GET", form } = {}) {
+		let currentUrl = url
+		let currentMethod = method
+		let body = form ? new URLSearchParams(form).toString() : undefined
+
+		for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+			const headers = { ...REQUEST_HEADERS }
+			const cookie = jar.header(currentUrl)
+			if (cookie) {
+				headers.Cookie = cookie
+			}
+			if (body) {
+				headers["Content-Type"] = "application/x-www-form-urlencoded"
+			}
+
+			if (DEBUG) {
+				console.log(`[DEBUG] Request: ${currentMethod} ${currentUrl}`)
+			}
+
+			const response = await fetch(currentUrl, {
+				method: currentMethod,
+				headers,
+				body,
+				redirect: "manual",
+				dispatcher,
+				signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+			})
+
+			if (DEBUG) {
+				console.log(`[DEBUG] Response: ${response.status} ${currentUrl}`)
+			}
+
+			jar.store(currentUrl, response.headers)
+
+			const location = response.headers.get("location")
+			if (response.status >= 300 && response.status < 400 && location) {
+				// Drain the body so the connection can be reused
+				await response.arrayBuffer()
+				currentUrl = new URL(location, currentUrl).toString()
+
+				// 303 (and 301/302 after a POST, like browsers do) switch to GET
+				const switchToGet =
+					response.status === 303 ||
+					([301, 302].includes(response.status) && currentMethod === "POST")
+				if (switchToGet) {
+					currentMethod = "GET"
+					body = undefined
+				}
+				continue
+			}
+
+			return {
+				html: await response.text(),
+				status: response.status,
+				url: currentUrl,
+			}
+		}
+
+		throw new UnexpectedPageError(`Too many redirects loading ${url}`, { url })
+	}
+
+	return { request }
+}
+
+/**
+ * Classify a page loaded by the HTTP client
+ * @private
+ */
+function classify(page) {
+	return classifyPage({ html: page.html, status: page.status, url: page.url })
+}
+
+/**
+ * Post the captcha form with the given extra fields (answer, button)
+ * @private
+ */
+async function postCaptchaForm(client, page, extraFields) {
+	const { action, fields } = parseCaptchaPage(page.html, page.url)
+
+	if (!action) {
+		throw new UnexpectedPageError("Captcha form not found", { url: page.url })
+	}
+
+	return client.request(action, {
+		method: "POST",
+		form: { ...fields, ...extraFields },
+	})
+}
+
+/**
+ * Check for appointment availability over plain HTTP
+ * Same result shape as checkAppointments() in checker.js (without a screenshot)
+ * @param {object} target - Target from getTargets()
+ * @param {object} options - Settings
+ * @param {object} options.solver - Solver chain from createSolverChain()
+ * @returns {Promise<object>} Check result (see buildResult() in month-walk.js)
+ */
+export async function checkAppointmentsHttp(target, options) {
+	// Start from the stored consulate session so the captcha can be skipped
+	const storedSession = loadSession(target.id)
+	if (storedSession) {
+		increment("session.reused")
+	}
+
+	const jar = createCookieJar(storedSession)
+	const client = createClient(jar)
+
+	try {
+		if (DEBUG) {
+			console.log(
+				`[DEBUG] [HTTP] Navigating to: ${target.url} (${target.label})`
+			)
+		}
+
+		// Step 1: Load the appointment page
+		let current = await client.request(target.url)
+
+		// Step 2: Check for and solve captcha if present
+		const firstMonth = await enterMonthView(classify(current), {
+			target,
+			usedStoredSession: Boolean(storedSession),
+			hooks: {
+				readCaptchaPage: async () => ({ html: current.html, url: current.url }),
+				submitAnswer: async (captchaText) => {
+					// Same fields the browser would send when clicking "Continue"
+					current = await postCaptchaForm(client, current, {
+						captchaText,
+						[CONTINUE_ACTION]: "Continue",
+					})
+					return classify(current)
+				},
+				refreshCaptcha: async () => {
+					current = await postCaptchaForm(client, current, {
+						[REFRESH_ACTION]: "Load another picture",
+					})
+					return classify(current)
+				},
+				solver: options.solver,
+			},
+		})
+
+		// Step 3: Walk the current month plus MONTHS_AHEAD following months
+		const months = await walkMonths(firstMonth, {
+			loadMonth: async (monthUrl) => {
+				current = await client.request(monthUrl)
+				return classify(current)
+			},
+		})
+
+		// Keep the session for the next check
+		saveSession(target.id, jar.toStorageState())
+
+		const result = buildResult(target, months, null)
+
+		// Step 4: Book the first free time while the session is still warm
+		if (target.autoBook && result.available) {
+			result.booking = await autoBook(result.slots, {
+				target,
+				solver: options.solver,
+				hooks: {
+					loadPage: (url) => client.request(url),
+					submitForm: ({ action, fields, submit }) =>
+						client.request(action, {
+							method: "POST",
+							form: { ...fields, [submit.name]: submit.value },
+						}),
+				},
+			})
+		}
+
+		return result
+	} catch (error) {
+		if (error instanceof SessionExpiredError) {
+			clearSession(target.id)
+		}
+
+		if (DEBUG) {
+			console.error("[DEBUG] [HTTP] Error during check:", error)
+		}
+		throw error
+	}
+}
@@ -1,122 +1,210 @@
 import dotenv from "dotenv"
-import { chromium } from "playwright"
-import { solveCaptchaCapSolver } from "./captcha-solver-capsolver.js"
+import { autoBook } from "./booking.js"
+import { createBrowserPool } from "./browser-pool.js"
+import { enterMonthView } from "./captcha-flow.js"
+import { createSolverChain, getSolvers } from "./captcha-solvers.js"
+import { checkAppointmentsHttp } from "./checker-http.js"
+import { getTargets } from "./config.js"
+import {
+	BlockedError,
+	CaptchaFailedError,
+	SessionExpiredError,
+	SiteDownError,
+} from "./errors.js"
+import { increment } from "./metrics.js"
+import { buildResult, walkMonths } from "./month-walk.js"
+import { classifyPage } from "./page-state.js"
+import { detectPageChange } from "./page-watch.js"
+import { clearSession, loadSession, saveSession } from "./session-store.js"
 
 dotenv.config()
 
-const APPOINTMENT_URL = process.env.APPOINTMENT_URL
-const HEADLESS = process.env.HEADLESS !== "false"
 const DEBUG = process.env.DEBUG === "true"
-const PROXY_SERVER = process.env.PROXY_SERVER || null
+// "playwright" (default) or "http" (plain HTTP requests, no Chromium needed)
+const CHECKER_ENGINE = process.env.CHECKER_ENGINE || "playwright"
+// Retry a failed HTTP-engine check with Playwright
+const CHECKER_FALLBACK = process.env.CHECKER_FALLBACK !== "false"
+
+// HTTP status of the last main-frame document response, per page
+const documentStatuses = new WeakMap()
 
 /**
  * Check for appointment availability
- * @returns {Promise<{available: boolean, message: string, screenshot?: string}>}
+ * Walks the current month plus MONTHS_AHEAD following months in one captcha session
+ * @param {object} target - Target from getTargets() (defaults to the first configured target)
+ * @param {object} options - Optional settings
+ * @param {string|Array<string|{name: string, solve: Function}>} options.solvers - Captcha solver chain (defaults to CAPTCHA_SOLVERS, see captcha-solvers.js)
+ * @param {(imageBase64: string, mediaType: string) => Promise<string>} options.solveCaptcha - Single captcha solver, shorthand for options.solvers
+ * @param {object} options.browserPool - Shared pool from createBrowserPool() (defaults to launching a browser just for this check)
+ * @param {string} options.engine - "playwright" or "http" (defaults to CHECKER_ENGINE)
+ * @param {boolean} options.fallback - Retry a failed HTTP check with Playwright (defaults to CHECKER_FALLBACK)
+ * @returns {Promise<{available: boolean, month: string|null, monthUrl: string|null, slots: Array<{date: string, url: string}>, months: Array<{month: string|null, url: string|null, available: boolean, slots: Array<{date: string, url: string}>}>, target: {id: string, label: string, url: string}, message: string, pageText: string|null, pageChange: object|null, screenshot?: string, booking?: object}>} booking is set when the target has autoBook enabled (see autoBook() in booking.js), pageChange when the page text differs from the last check (see detectPageChange() in page-watch.js)
  */
-export async function checkAppointments() {
-	const launchOptions = {
-		headless: HEADLESS,
-		args: [
-			"--disable-blink-features=AutomationControlled",
-			"--no-sandbox",
-			"--disable-setuid-sandbox",
-			"--disable-dev-shm-usage", // Helps with Docker/container environments
-			"--disable-gpu",
-			"--disable-software-rasterizer",
-		],
+export async function checkAppointments(
+	target = getTargets()[0],
+	options = {}
+) {
+	const result = await runEngine(target, options)
+
+	// Announcements about upcoming releases show up before the slots do
+	result.pageChange = detectPageChange(target, result)
+
+	return result
+}
+
+/**
+ * Run the check with the configured engine, falling back to Playwright
+ * @private
+ */
+async function runEngine(target, options) {
+	// One chain per check, so a solver that failed earlier gets another chance
+	const solver = createSolverChain(
+		getSolvers(
+			options.solvers ??
+				(options.solveCaptcha
+					? [{ name: "custom", solve: options.solveCaptcha }]
+					: undefined)
+		)
+	)
+	const engineOptions = { ...options, solver }
+	const engine = options.engine || CHECKER_ENGINE
+
+	if (engine === "playwright") {
+		return checkWithBrowser(target, engineOptions)
 	}
 
-	// Add proxy configuration if provided
-	if (PROXY_SERVER) {
-		// Parse proxy URL to extract credentials
-		const proxyUrl = new URL(PROXY_SERVER)
+	if (engine !== "http") {
+		throw new Error(
+			`Unknown CHECKER_ENGINE "${engine}" (expected "playwright" or "http")`
+		)
+	}
 
-		launchOptions.proxy = {
-			server: `${proxyUrl.protocol}//${proxyUrl.host}`,
+	try {
+		return await checkAppointmentsHttp(target, engineOptions)
+	} catch (error) {
+		// An outage, a block or rejected captchas look the same from a browser,
+		// and retrying would only spend more captchas or prolong the block
+		const fallback = options.fallback ?? CHECKER_FALLBACK
+		if (
+			!fallback ||
+			error instanceof SiteDownError ||
+			error instanceof BlockedError ||
+			error instanceof CaptchaFailedError
+		) {
+			throw error
 		}
 
-		// Add credentials if present in the URL
-		if (proxyUrl.username && proxyUrl.password) {
-			launchOptions.proxy.username = proxyUrl.username
-			launchOptions.proxy.password = proxyUrl.password
+		console.error(
+			`[Checker] HTTP engine failed (${error.message}), falling back to Playwright`
+		)
+		increment("engine.fallback")
+		return checkWithBrowser(target, engineOptions)
+	}
+}
+
+/**
+ * Set up a page the way every check uses it: no images/fonts/styles (the
+ * captcha is inline), a regular user agent, no navigator.webdriver, and the
+ * document status recorded for the page classifier
+ * @param {import("playwright").Page} page - New page
+ */
+export async function preparePage(page) {
+	// Block unnecessary resources to speed up loading through proxy
+	await page.route("**/*", (route) => {
+		const resourceType = route.request().resourceType()
+		// Block images, fonts, and stylesheets to save bandwidth
+		if (["image", "font", "stylesheet"].includes(resourceType)) {
+			route.abort()
+		} else {
+			route.continue()
+		}
+	})
+
+	// Set viewport
+	await page.setViewportSize({ width: 1280, height: 720 })
+
+	// Set a realistic user agent
+	await page.setExtraHTTPHeaders({
+		"User-Agent":
+			"Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/131.0.0.0 Safari/537.36",
+		"Accept-Language": "en-US,en;q=0.9",
+	})
+
+	// Override navigator.webdriver
+	await page.addInitScript(() => {
+		Object.defineProperty(navigator, "webdriver", {
+			get: () => undefined,
+		})
+	})
+
+	// Remember the document status so the page classifier can spot 403/5xx pages
+	page.on("response", (response) => {
+		if (
+			response.request().isNavigationRequest() &&
+			response.frame() === page.mainFrame()
+		) {
+			documentStatuses.set(page, response.status())
 		}
+	})
 
-		// Ignore SSL certificate errors (needed for BrightData and similar proxies)
-		launchOptions.ignoreHTTPSErrors = true
-		if (DEBUG) {
-			console.log(`[DEBUG] Using proxy: ${proxyUrl.protocol}//${proxyUrl.host}`)
+	// Debug: Log network requests and responses
+	if (DEBUG) {
+		page.on("request", (request) => {
+			console.log(`[DEBUG] Request: ${request.method()} ${request.url()}`)
+		})
+		page.on("response", (response) => {
+			console.log(`[DEBUG] Response: ${response.status()} ${response.url()}`)
+		})
+		page.on("requestfailed", (request) => {
 			console.log(
-				`[DEBUG] Proxy credentials configured: ${
-					proxyUrl.username ? "Yes" : "No"
+				`[DEBUG] Request failed: ${request.url()} - ${
+					request.failure()?.errorText
 				}`
 			)
-		}
+		})
 	}
+}
+
+/**
+ * Playwright engine: run the check in a Chromium context
+ * @private
+ */
+async function checkWithBrowser(target, options) {
+	const { solver } = options
+
+	// Use the scheduler's shared browser, or a one-off pool for standalone checks
+	const browserPool = options.browserPool || createBrowserPool()
 
-	const browser = await chromium.launch(launchOptions)
+	// Start from the stored consulate session so the captcha can be skipped
+	const storedSession = loadSession(target.id)
+	if (storedSession) {
+		increment("session.reused")
+	}
 
+	let context
 	try {
-		// Create context with ignoreHTTPSErrors if using proxy
-		const contextOptions = {}
-		if (PROXY_SERVER) {
-			contextOptions.ignoreHTTPSErrors = true
+		context = await browserPool.newContext(
+			storedSession ? { storageState: storedSession } : {}
+		)
+	} catch (error) {
+		if (!options.browserPool) {
+			await browserPool.close()
 		}
+		throw error
+	}
 
-		const context = await browser.newContext(contextOptions)
+	try {
 		const page = await context.newPage()
 
-		// Block unnecessary resources to speed up loading through proxy
-		await page.route("**/*", (route) => {
-			const resourceType = route.request().resourceType()
-			// Block images, fonts, and stylesheets to save bandwidth
-			if (["image", "font", "stylesheet"].includes(resourceType)) {
-				route.abort()
-			} else {
-				route.continue()
-			}
-		})
-
-		// Set viewport
-		await page.setViewportSize({ width: 1280, height: 720 })
-
-		// Set a realistic user agent
-		await page.setExtraHTTPHeaders({
-			"User-Agent":
-				"Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/131.0.0.0 Safari/537.36",
-			"Accept-Language": "en-US,en;q=0.9",
-		})
-
-		// Override navigator.webdriver
-		await page.addInitScript(() => {
-			Object.defineProperty(navigator, "webdriver", {
-				get: () => undefined,
-			})
-		})
+		await preparePage(page)
 
-		// Debug: Log network requests and responses
 		if (DEBUG) {
-			page.on("request", (request) => {
-				console.log(`[DEBUG] Request: ${request.method()} ${request.url()}`)
-			})
-			page.on("response", (response) => {
-				console.log(`[DEBUG] Response: ${response.status()} ${response.url()}`)
-			})
-			page.on("requestfailed", (request) => {
-				console.log(
-					`[DEBUG] Request failed: ${request.url()} - ${
-						request.failure()?.errorText
-					}`
-				)
-			})
-		}
-
-		if (DEBUG) {
-			console.log(`[DEBUG] Navigating to: ${APPOINTMENT_URL}`)
+			console.log(`[DEBUG] Navigating to: ${target.url} (${target.label})`)
 		}
 
 		// Step 1: Navigate to the appointment page
 		// Use 'commit' for faster initial load, then wait for specific elements
-		await page.goto(APPOINTMENT_URL, {
+		await page.goto(target.url, {
 			waitUntil: "commit",
 			timeout: 20000, // Reduced timeout
 		})
@@ -131,303 +219,243 @@ export async function checkAppointments() {
 		await page.waitForTimeout(1500)
 
 		// Step 2: Check for and solve captcha if present
-		// Captcha is in a div with background-image containing base64 data
-		const captchaPresent = await page
-			.locator('div[style*="background"][style*="data:image"]')
-			.count()
-
-		if (captchaPresent > 0) {
-			if (DEBUG) {
-				console.log("[DEBUG] Captcha detected, solving...")
-			}
-
-			await solveCaptchaAndSubmit(page)
-		} else {
-			if (DEBUG) {
-				console.log("[DEBUG] No captcha detected")
-			}
-		}
-
-		// Step 3: Check current month for availability
-		const currentMonthAvailable = await checkPageForAvailability(page)
-
-		if (currentMonthAvailable) {
-			if (DEBUG) {
-				console.log("[DEBUG] Appointments available in current month!")
-			}
-
-			// Take screenshot if available
-			let screenshot = null
-			if (DEBUG) {
-				screenshot = await page.screenshot({ fullPage: true })
-			}
-
-			return {
-				available: true,
-				message: "Appointments available in current month!",
-				screenshot: screenshot?.toString("base64"),
-			}
-		}
-
-		if (DEBUG) {
-			console.log(
-				"[DEBUG] No appointments in current month, checking next month..."
-			)
-		}
-
-		// Step 4: Click "next month" button and check again
-		const nextMonthAvailable = await checkNextMonth(page)
-
-		if (nextMonthAvailable) {
-			if (DEBUG) {
-				console.log("[DEBUG] Appointments available in next month!")
-			}
+		const firstMonth = await enterMonthView(await getPageState(page), {
+			target,
+			usedStoredSession: Boolean(storedSession),
+			hooks: {
+				readCaptchaPage: () => readCaptchaPage(page),
+				submitAnswer: (captchaText) => submitCaptchaAnswer(page, captchaText),
+				refreshCaptcha: () => refreshCaptcha(page),
+				solver,
+			},
+		})
 
-			let screenshot = null
-			if (DEBUG) {
-				screenshot = await page.screenshot({ fullPage: true })
-			}
+		// Step 3: Walk the current month plus MONTHS_AHEAD following months
+		let screenshot = null
+		const months = await walkMonths(firstMonth, {
+			loadMonth: (monthUrl) => goToMonth(page, monthUrl),
+			onAvailable: async () => {
+				// Take screenshot of the first month with slots (attached to email alerts)
+				if (!screenshot) {
+					screenshot = await page.screenshot({ fullPage: true })
+				}
+			},
+			onUnexpectedPage: () => logPageDetails(page),
+		})
 
-			return {
-				available: true,
-				message: "Appointments available in next month!",
-				screenshot: screenshot?.toString("base64"),
-			}
+		// Keep the session for the next check
+		saveSession(target.id, await context.storageState())
+
+		const result = buildResult(target, months, screenshot)
+
+		// Step 4: Book the first free time while the session is still warm
+		if (target.autoBook && result.available) {
+			result.booking = await autoBook(result.slots, {
+				target,
+				solver,
+				hooks: {
+					loadPage: (url) => loadPage(page, url),
+					submitForm: (form) => submitForm(page, form),
+					screenshot: () => page.screenshot({ fullPage: true }),
+				},
+			})
 		}
 
-		if (DEBUG) {
-			console.log("[DEBUG] No appointments available")
+		return result
+	} catch (error) {
+		if (error instanceof SessionExpiredError) {
+			clearSession(target.id)
 		}
 
-		return {
-			available: false,
-			message: "No appointments available in current or next month",
-		}
-	} catch (error) {
 		if (DEBUG) {
 			console.error("[DEBUG] Error during check:", error)
 		}
 		throw error
 	} finally {
-		await browser.close()
+		await context.close().catch(() => {})
+		if (!options.browserPool) {
+			await browserPool.close()
+		}
 	}
 }
 
 /**
- * Detect and solve captcha, then submit
- * @private
+ * Wait for the captcha and return the page HTML
+ * @param {import("playwright").Page} page - Page showing the captcha
+ * @returns {Promise<{html: string, url: string}>}
  */
-async function solveCaptchaAndSubmit(page) {
-	const maxRetries = 3
-
-	for (let attempt = 1; attempt <= maxRetries; attempt++) {
-		if (DEBUG) {
-			console.log(`[DEBUG] Captcha attempt ${attempt}/${maxRetries}`)
-		}
+export async function readCaptchaPage(page) {
+	// The captcha image is in a div with background-image style
+	// Find the div that contains the captcha (has a long ID and background-image with base64 data)
+	const captchaDiv = page
+		.locator('div[style*="background"][style*="data:image"]')
+		.first()
 
-		// The captcha image is in a div with background-image style
-		// Find the div that contains the captcha (has a long ID and background-image with base64 data)
-		const captchaDiv = page
-			.locator('div[style*="background"][style*="data:image"]')
-			.first()
-
-		// Wait for the captcha div to be visible
-		await captchaDiv.waitFor({ state: "visible", timeout: 10000 })
-
-		if (DEBUG) {
-			console.log(
-				"[DEBUG] Found captcha div, extracting base64 from style attribute..."
-			)
-		}
+	// Wait for the captcha div to be visible
+	await captchaDiv.waitFor({ state: "visible", timeout: 10000 })
 
-		// Extract the base64 image directly from the style attribute
-		const styleAttr = await captchaDiv.getAttribute("style")
-
-		// Parse the base64 data from the background-image URL
-		// Format: background: ... url('data:image/jpg;base64,/9j/4AAQ...')
-		const base64Match = styleAttr.match(/data:image\/[^;]+;base64,([^')]+)/)
-
-		if (!base64Match || !base64Match[1]) {
-			throw new Error("Could not extract base64 image from captcha div")
-		}
-
-		const imageBase64 = base64Match[1]
-
-		if (DEBUG) {
-			console.log(
-				`[DEBUG] Extracted base64 image (${imageBase64.length} chars)`
-			)
-		}
-
-		if (DEBUG) {
-			console.log("[DEBUG] Captcha image extracted, sending to CapSolver...")
-		}
-
-		// Solve the captcha
-		const captchaText = await solveCaptchaCapSolver(imageBase64, {
-			module: "module_005",
-		})
-
-		if (DEBUG) {
-			console.log(`[DEBUG] Captcha solved: "${captchaText}"`)
-		}
-
-		// Find the captcha input field by name
-		const captchaInput = page.locator('input[name="captchaText"]')
+	return { html: await page.content(), url: page.url() }
+}
 
-		// Clear any existing text and fill in the captcha
-		await captchaInput.clear()
-		await captchaInput.fill(captchaText)
+/**
+ * Type the captcha answer, click Continue and classify the resulting page
+ * @private
+ */
+async function submitCaptchaAnswer(page, captchaText) {
+	// Find the captcha input field by name
+	const captchaInput = page.locator('input[name="captchaText"]')
 
-		// Wait a brief moment to ensure the text is filled
-		await page.waitForTimeout(1500)
+	// Clear any existing text and fill in the captcha
+	await captchaInput.clear()
+	await captchaInput.fill(captchaText)
 
-		if (DEBUG) {
-			const filledValue = await captchaInput.inputValue()
-			console.log(`[DEBUG] Captcha text entered: "${filledValue}"`)
-			console.log("[DEBUG] Clicking Continue button...")
-		}
+	// Wait a brief moment to ensure the text is filled
+	await page.waitForTimeout(1500)
 
-		// Click the "Continue" button (id="appointment_captcha_month_appointment_showMonth")
-		const continueButton = page.locator(
-			"#appointment_captcha_month_appointment_showMonth"
-		)
+	if (DEBUG) {
+		const filledValue = await captchaInput.inputValue()
+		console.log(`[DEBUG] Captcha text entered: "${filledValue}"`)
+		console.log("[DEBUG] Clicking Continue button...")
+	}
 
-		await continueButton.click()
+	// Click the "Continue" button (id="appointment_captcha_month_appointment_showMonth")
+	const continueButton = page.locator(
+		"#appointment_captcha_month_appointment_showMonth"
+	)
 
-		if (DEBUG) {
-			console.log("[DEBUG] Continue button clicked, waiting for navigation...")
-		}
+	await continueButton.click()
 
-		// Wait for navigation after submitting captcha
-		await page.waitForLoadState("commit", { timeout: 15000 })
+	if (DEBUG) {
+		console.log("[DEBUG] Continue button clicked, waiting for navigation...")
+	}
 
-		// Wait for dynamic content
-		await page.waitForTimeout(1500)
+	// Wait for navigation after submitting captcha
+	await page.waitForLoadState("commit", { timeout: 15000 })
 
-		// Check if we're still on the captcha page (indicates failure)
-		const stillOnCaptchaPage =
-			(await page.locator('input[name="captchaText"]').count()) > 0
+	// Wait for dynamic content
+	await page.waitForTimeout(1500)
 
-		if (stillOnCaptchaPage) {
-			if (DEBUG) {
-				console.log("[DEBUG] Captcha was incorrect, retrying...")
-			}
+	return getPageState(page)
+}
 
-			if (attempt === maxRetries) {
-				throw new Error(`Failed to solve captcha after ${maxRetries} attempts`)
-			}
+/**
+ * Click "Load another picture" and classify the page with the new captcha
+ * @param {import("playwright").Page} page - Page showing the captcha
+ * @returns {Promise<object>} classifyPage() result
+ */
+export async function refreshCaptcha(page) {
+	await page.locator("#appointment_captcha_month_refreshcaptcha").click()
+	await page.waitForLoadState("commit", { timeout: 15000 })
+	await page.waitForTimeout(1500)
 
-			// Continue to next iteration to retry
-			continue
-		}
+	return getPageState(page)
+}
 
-		// Successfully passed captcha
-		if (DEBUG) {
-			console.log("[DEBUG] Captcha submitted successfully!")
-		}
-		return
+/**
+ * Read the page currently loaded in the browser
+ * @private
+ * @returns {Promise<{html: string, status: number|null, url: string}>}
+ */
+async function readPage(page) {
+	return {
+		html: await page.content(),
+		status: documentStatuses.get(page) ?? null,
+		url: page.url(),
 	}
 }
 
 /**
- * Check the current page for the "no appointments" message
+ * Classify the page currently loaded in the browser
  * @private
- * @returns {Promise<boolean>} true if appointments are available
  */
-async function checkPageForAvailability(page) {
-	// First, verify we're not still on the captcha page
-	const onCaptchaPage =
-		(await page.locator('input[name="captchaText"]').count()) > 0
+async function getPageState(page) {
+	return classifyPage(await readPage(page))
+}
 
-	if (onCaptchaPage) {
-		if (DEBUG) {
-			console.log("[DEBUG] Still on captcha page - something went wrong")
-		}
-		throw new Error("Still on captcha page after submission")
+/**
+ * Log what the browser is looking at when the page is unexpected
+ * @private
+ */
+async function logPageDetails(page) {
+	if (!DEBUG) {
+		return
 	}
 
-	// Look for the H2 element with the "no appointments" message
-	const noAppointmentsH2 = page.locator(
-		'h2:has-text("Unfortunately, there are no appointments available")'
-	)
-
-	const count = await noAppointmentsH2.count()
-
-	// Verify we're on the appointments page by checking for month navigation
-	const onAppointmentsPage =
-		(await page.locator('img[src="images/go-next.gif"]').count()) > 0
-
-	if (!onAppointmentsPage) {
-		if (DEBUG) {
-			console.log("[DEBUG] Not on appointments page - unexpected page state")
-			// Get current URL and page title for debugging
-			const url = page.url()
-			const title = await page.title()
-			console.log(`[DEBUG] Current URL: ${url}`)
-			console.log(`[DEBUG] Page title: ${title}`)
-
-			// Check what we can find on the page
-			const bodyText = await page.locator("body").textContent()
-			console.log(
-				`[DEBUG] Page body (first 500 chars): ${bodyText?.substring(0, 500)}`
-			)
-		}
-		throw new Error(
-			"Not on expected appointments page - check debug logs for details"
-		)
-	}
+	// Get current URL and page title for debugging
+	const url = page.url()
+	const title = await page.title()
+	console.log(`[DEBUG] Current URL: ${url}`)
+	console.log(`[DEBUG] Page title: ${title}`)
 
-	// If the H2 is NOT found, appointments might be available
-	const available = count === 0
+	// Check what we can find on the page
+	const bodyText = await page.locator("body").textContent()
+	console.log(
+		`[DEBUG] Page body (first 500 chars): ${bodyText?.substring(0, 500)}`
+	)
+}
 
-	if (DEBUG) {
-		console.log(
-			`[DEBUG] Availability check: ${
-				available ? "AVAILABLE" : "NOT AVAILABLE"
-			} (no-appointments h2 count: ${count})`
-		)
-	}
+/**
+ * Navigate to a URL and read the page once it has rendered
+ * @param {import("playwright").Page} page - Page to navigate
+ * @param {string} url - URL to load
+ * @returns {Promise<{html: string, status: number|null, url: string}>}
+ */
+export async function loadPage(page, url) {
+	await page.goto(url, {
+		waitUntil: "commit",
+		timeout: 20000,
+	})
+
+	// Wait for the page body and any dynamic content
+	await page.waitForSelector("body", { timeout: 10000 })
+	await page.waitForTimeout(1500)
 
-	return available
+	return readPage(page)
 }
 
 /**
- * Click next month button and check for availability
+ * Navigate to another month via its dateStr link
  * @private
- * @returns {Promise<boolean>} true if appointments are available next month
  */
-async function checkNextMonth(page) {
-	// Find the "next month" navigation button
-	// It's an <a> tag containing an <img src="images/go-next.gif"/>
-	const nextMonthLink = page
-		.locator('a img[src="images/go-next.gif"]')
-		.locator("..")
-
-	if ((await nextMonthLink.count()) === 0) {
-		if (DEBUG) {
-			console.log("[DEBUG] No next month button found")
-		}
-		return false
-	}
-
-	if (DEBUG) {
-		console.log("[DEBUG] Found next month button, clicking...")
-	}
-
-	// Click the next month link
-	await nextMonthLink.first().click()
-
-	if (DEBUG) {
-		console.log("[DEBUG] Clicked next month button, waiting for page load...")
-	}
+async function goToMonth(page, monthUrl) {
+	return classifyPage(await loadPage(page, monthUrl))
+}
 
-	// Wait for the page to load
-	await page.waitForLoadState("commit", { timeout: 15000 })
+/**
+ * Fill a form in one go and click its submit button
+ * Hidden fields the form already carries are sent as they are. The navigation
+ * is awaited together with the submit, so it can't reject unhandled when the
+ * submit itself throws.
+ * @private
+ */
+async function submitForm(page, { formId, fields, submit }) {
+	const navigation = page.waitForEvent("framenavigated", {
+		predicate: (frame) => frame === page.mainFrame(),
+		timeout: 20000,
+	})
+
+	const submitted = page.evaluate(
+		({ formId, fields, submitName }) => {
+			const form = document.getElementById(formId)
+			for (const [name, value] of Object.entries(fields)) {
+				const element = form.elements.namedItem(name)
+				if (!element || element.type === "hidden") {
+					continue
+				}
+				if (element.type === "checkbox") {
+					element.checked = value !== "" && value !== "false"
+				} else {
+					element.value = value
+				}
+			}
+			form.requestSubmit(form.elements.namedItem(submitName))
+		},
+		{ formId, fields, submitName: submit.name }
+	)
 
-	// Wait for dynamic content
+	await Promise.all([navigation, submitted])
+	await page.waitForSelector("body", { timeout: 10000 })
 	await page.waitForTimeout(1500)
 
-	// Check availability on the new page
-	return await checkPageForAvailability(page)
+	return readPage(page)
 }
@@ -0,0 +1,147 @@
+/**
+ * Configuration loader
+ * Reads the optional JSON config file (CONFIG_FILE, defaults to config.json)
+ * and falls back to environment variables for anything it doesn't declare.
+ */
+
+import dotenv from "dotenv"
+import fs from "node:fs"
+import path from "node:path"
+
+dotenv.config()
+
+const DEFAULT_BASE_URL =
+	"https://service2.diplo.de/rktermin/extern/appointment_showMonth.do"
+
+let cachedConfig = null
+
+/**
+ * Resolve a path inside the state directory (STATE_DIR, defaults to .state)
+ * Creates the parent directory so callers can write straight away
+ * @param {...string} parts - Path segments below the state directory
+ * @returns {string} Absolute path
+ */
+export function getStatePath(...parts) {
+	const fullPath = path.resolve(process.env.STATE_DIR || ".state", ...parts)
+	fs.mkdirSync(path.dirname(fullPath), { recursive: true })
+	return fullPath
+}
+
+/**
+ * Load and cache the JSON config file
+ * @returns {object} Parsed config, or an empty object if there is no file
+ */
+export function loadConfig() {
+	if (cachedConfig) {
+		return cachedConfig
+	}
+
+	const configPath = path.resolve(process.env.CONFIG_FILE || "config.json")
+
+	if (!fs.existsSync(configPath)) {
+		if (process.env.CONFIG_FILE) {
+			throw new Error(`Config file not found: ${configPath}`)
+		}
+		cachedConfig = {}
+		return cachedConfig
+	}
+
+	try {
+		cachedConfig = JSON.parse(fs.readFileSync(configPath, "utf8"))
+	} catch (err) {
+		throw new Error(`Invalid config file ${configPath}: ${err.message}`)
+	}
+
+	return cachedConfig
+}
+
+/**
+ * Build the month page URL for a target
+ * @param {object} target - Target with locationCode, realmId and categoryId
+ * @returns {string} Appointment month URL
+ */
+export function buildAppointmentUrl(target) {
+	if (target.url) {
+		return target.url
+	}
+
+	const url = new URL(target.baseUrl || DEFAULT_BASE_URL)
+	url.searchParams.set("locationCode", target.locationCode)
+	url.searchParams.set("realmId", String(target.realmId))
+	url.searchParams.set("categoryId", String(target.categoryId))
+	return url.toString()
+}
+
+/**
+ * Validate a target entry from the config file and fill in defaults
+ * @private
+ */
+function normalizeTarget(target, index, config) {
+	if (!target.url) {
+		for (const field of ["locationCode", "realmId", "categoryId"]) {
+			if (target[field] === undefined || target[field] === "") {
+				throw new Error(
+					`Target #${index + 1}${target.id ? ` ("${target.id}")` : ""} is missing "${field}"`
+				)
+			}
+		}
+	}
+
+	const id =
+		target.id || `${target.locationCode}-${target.realmId}-${target.categoryId}`
+
+	return {
+		...target,
+		id,
+		label: target.label || id,
+		notify: target.notify || {},
+		url: buildAppointmentUrl(target),
+		autoBook: target.autoBook ?? process.env.AUTO_BOOK === "true",
+		applicant: target.applicant || config.applicant || null,
+	}
+}
+
+/**
+ * Get the list of appointment targets to monitor
+ * Uses "targets" from the config file, or a single target built from
+ * APPOINTMENT_URL when the file doesn't declare any
+ * @returns {Array<{id: string, label: string, url: string, notify: {ntfyTopic?: string, ntfyErrorTopic?: string, smsPhones?: string[], emailTo?: string[]}, autoBook: boolean, applicant: object|null}>}
+ */
+export function getTargets() {
+	const config = loadConfig()
+
+	if (Array.isArray(config.targets) && config.targets.length > 0) {
+		// Number targets by their place in the file, disabled ones included
+		const targets = config.targets
+			.map((target, index) => ({ target, index }))
+			.filter(({ target }) => target.enabled !== false)
+			.map(({ target, index }) => normalizeTarget(target, index, config))
+
+		const ids = new Set()
+		for (const target of targets) {
+			if (ids.has(target.id)) {
+				throw new Error(`Duplicate target id "${target.id}"`)
+			}
+			ids.add(target.id)
+		}
+
+		return targets
+	}
+
+	if (!process.env.APPOINTMENT_URL) {
+		throw new Error(
+			"No targets configured: add targets to config.json or set APPOINTMENT_URL"
+		)
+	}
+
+	return [
+		{
+			id: "default",
+			label: "German Consulate NY",
+			url: process.env.APPOINTMENT_URL,
+			notify: {},
+			autoBook: process.env.AUTO_BOOK === "true",
+			applicant: config.applicant || null,
+		},
+	]
+}
@@ -0,0 +1,156 @@
+/**
+ * Minimal cookie jar for the HTTP engine
+ * Stores cookies in Playwright's storage state format so sessions saved by
+ * either engine can be reused by the other (see session-store.js).
+ */
+
+/**
+ * Parse a single Set-Cookie header into a storage state cookie
+ * @private
+ */
+function parseSetCookie(header, requestUrl) {
+	const [pair, ...attributeParts] = header.split(";")
+	const separator = pair.indexOf("=")
+	if (separator <= 0) {
+		return null
+	}
+
+	const cookie = {
+		name: pair.slice(0, separator).trim(),
+		value: pair.slice(separator + 1).trim(),
+		domain: requestUrl.hostname,
+		path: "/",
+		expires: -1,
+		httpOnly: false,
+		secure: false,
+		sameSite: "Lax",
+	}
+
+	// Default path is the directory of the request path
+	const lastSlash = requestUrl.pathname.lastIndexOf("/")
+	if (lastSlash > 0) {
+		cookie.path = requestUrl.pathname.slice(0, lastSlash)
+	}
+
+	for (const part of attributeParts) {
+		const [rawKey, ...rawValue] = part.split("=")
+		const key = rawKey.trim().toLowerCase()
+		const value = rawValue.join("=").trim()
+
+		if (key === "domain" && value) {
+			// Domain cookies are stored with a leading dot, like Playwright does
+			cookie.domain = `.${value.replace(/^\./, "")}`
+		} else if (key === "path" && value.startsWith("/")) {
+			cookie.path = value
+		} else if (key === "max-age") {
+			cookie.expires = Math.floor(Date.now() / 1000) + Number(value)
+		} else if (key === "expires" && cookie.expires === -1) {
+			const time = Date.parse(value)
+			if (!Number.isNaN(time)) {
+				cookie.expires = Math.floor(time / 1000)
+			}
+		} else if (key === "httponly") {
+			cookie.httpOnly = true
+		} else if (key === "secure") {
+			cookie.secure = true
+		} else if (key === "samesite" && value) {
+			cookie.sameSite = value[0].toUpperCase() + value.slice(1).toLowerCase()
+		}
+	}
+
+	return cookie
+}
+
+/**
+ * Whether a cookie should be sent with a request to a URL
+ * @private
+ */
+function matches(cookie, url) {
+	const host = url.hostname
+	const domainMatches = cookie.domain.startsWith(".")
+		? host === cookie.domain.slice(1) || host.endsWith(cookie.domain)
+		: host === cookie.domain
+
+	const pathMatches =
+		url.pathname === cookie.path ||
+		url.pathname.startsWith(
+			cookie.path.endsWith("/") ? cookie.path : `${cookie.path}/`
+		)
+
+	return (
+		domainMatches &&
+		pathMatches &&
+		(!cookie.secure || url.protocol === "https:")
+	)
+}
+
+/**
+ * Whether a cookie has expired
+ * @private
+ */
+function isExpired(cookie) {
+	return cookie.expires > 0 && cookie.expires * 1000 <= Date.now()
+}
+
+/**
+ * Create a cookie jar
+ * @param {object} storageState - Playwright storage state to start from (optional)
+ * @returns {{store: (url: string, headers: Headers) => void, header: (url: string) => string, toStorageState: () => object}}
+ */
+export function createCookieJar(storageState) {
+	let cookies = (storageState?.cookies || []).filter(
+		(cookie) => !isExpired(cookie)
+	)
+
+	/**
+	 * Store the cookies set by a response
+	 * @param {string} url - Request URL
+	 * @param {Headers} headers - Response headers
+	 */
+	function store(url, headers) {
+		const requestUrl = new URL(url)
+
+		for (const header of headers.getSetCookie()) {
+			const cookie = parseSetCookie(header, requestUrl)
+			if (!cookie) {
+				continue
+			}
+
+			cookies = cookies.filter(
+				(existing) =>
+					!(
+						existing.name === cookie.name &&
+						existing.domain === cookie.domain &&
+						existing.path === cookie.path
+					)
+			)
+
+			if (!isExpired(cookie)) {
+				cookies.push(cookie)
+			}
+		}
+	}
+
+	/**
+	 * Build the Cookie header for a request
+	 * @param {string} url - Request URL
+	 * @returns {string} Cookie header value (empty if no cookies match)
+	 */
+	function header(url) {
+		const requestUrl = new URL(url)
+		return cookies
+			.filter((cookie) => !isExpired(cookie) && matches(cookie, requestUrl))
+			.map((cookie) => `${cookie.name}=${cookie.value}`)
+			.join("; ")
+	}
+
+	/**
+	 * Export the jar as Playwright storage state
+	 * @returns {{cookies: Array<object>, origins: Array<object>}}
+	 */
+	function toStorageState() {
+		return { cookies: [...cookies], origins: [] }
+	}
+
+	return { store, header, toStorageState }
+}
@@ -0,0 +1,40 @@
+/**
+ * Typed errors raised by the checker
+ * Lets the scheduler and notifiers tell a wrong captcha apart from an IP block
+ * or a maintenance window without matching on message strings.
+ */
+
+/**
+ * Base class for all checker errors
+ * @param {string} message - Error message
+ * @param {object} options - Optional settings
+ * @param {string} options.state - Page state that caused the error (see page-state.js)
+ * @param {string} options.url - URL of the page the error happened on
+ * @param {Error} options.cause - Underlying error
+ */
+export class CheckerError extends Error {
+	constructor(message, options = {}) {
+		super(message, { cause: options.cause })
+		this.name = this.constructor.name
+		this.state = options.state || null
+		this.url = options.url || null
+	}
+}
+
+/** The captcha answer was rejected on every attempt */
+export class CaptchaFailedError extends CheckerError {}
+
+/** The site refused us (HTTP 403/429, access denied page) - usually an IP block */
+export class BlockedError extends CheckerError {}
+
+/** The site is down or showing a maintenance page */
+export class SiteDownError extends CheckerError {}
+
+/** The consulate session ran out mid-check (e.g. captcha page came back) */
+export class SessionExpiredError extends CheckerError {}
+
+/** The page didn't match any known state */
+export class UnexpectedPageError extends CheckerError {}
+
+/** Auto-booking couldn't complete (no times left, form rejected, incomplete applicant profile) */
+export class BookingFailedError extends CheckerError {}
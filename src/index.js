@@ -1,11 +1,43 @@
 import dotenv from "dotenv"
+import { randomUUID } from "node:crypto"
+import { createBrowserPool } from "./browser-pool.js"
+import { recordCheckFailure, recordCheckResult } from "./alert-state.js"
+import {
+	checkCapSolverBalance,
+	formatSpend,
+	getBudgetStatus,
+	getSpend,
+} from "./captcha-spend.js"
 import { checkAppointments } from "./checker.js"
-import { notifyAvailability, notifyError } from "./notify.js"
+import { getTargets } from "./config.js"
+import { SiteDownError } from "./errors.js"
+import { formatSessionMetrics } from "./metrics.js"
+import { getChannels } from "./notifiers.js"
+import {
+	alertAvailability,
+	alertAvailabilityGone,
+	alertBooking,
+	alertBudget,
+	alertError,
+	alertLowBalance,
+	alertPageChange,
+	alertRecovered,
+} from "./notify-all.js"
+import { createScheduler, formatDuration } from "./scheduler.js"
 
 dotenv.config()
 
 const DEBUG = process.env.DEBUG === "true"
 
+// One Chromium instance shared by every check; each check gets a fresh context
+const browserPool = createBrowserPool()
+
+// Budget period (day or month) that has already been reported as used up
+let budgetAlerted = null
+
+// Outcome of the last check of each target, by target id (for /status)
+const lastResults = new Map()
+
 /**
  * Calculate the next check interval based on current time
  * Uses adaptive intervals to check more frequently during peak release times
@@ -52,70 +84,212 @@ function randomInterval(min, max) {
 }
 
 /**
- * Format milliseconds to human-readable duration
- * @param {number} ms - Milliseconds
- * @returns {string} Formatted duration (e.g., "3m 24s" or "45m 12s")
+ * Check a single target
+ * Logs the result and routes notifications to the target's channels
+ * @param {object} target - Target from getTargets()
+ * @returns {Promise<boolean>} true if the check completed
  */
-function formatDuration(ms) {
-	const totalSeconds = Math.floor(ms / 1000)
-	const minutes = Math.floor(totalSeconds / 60)
-	const seconds = totalSeconds % 60
-
-	if (minutes > 0) {
-		return `${minutes}m ${seconds}s`
-	}
-	return `${seconds}s`
-}
-
-/**
- * Main check cycle
- * Runs once, logs result, returns success/failure
- */
-async function runCheck() {
-	const timestamp = new Date().toISOString()
-	console.log(`\n[${timestamp}] Starting appointment check...`)
+async function runTargetCheck(target) {
+	// Identifies this check in webhook payloads
+	const check = { id: randomUUID(), startedAt: new Date() }
+	const timestamp = check.startedAt.toISOString()
+	console.log(`\n[${timestamp}] Checking ${target.label}...`)
 
 	try {
-		const result = await checkAppointments()
+		const result = await checkAppointments(target, { browserPool })
+		lastResults.set(target.id, {
+			label: target.label,
+			at: new Date(),
+			ok: true,
+			available: result.available,
+			message: result.message,
+			slots: result.slots,
+		})
+
+		// Only transitions (and reminders) are alerted, see alert-state.js
+		const alert = recordCheckResult(target.id, result)
+		if (alert.recovered) {
+			console.log(
+				`[${timestamp}] ✅ ${target.label} works again after ${alert.failures} failed checks`
+			)
+			await alertRecovered(target, alert.failures, check)
+		}
 
 		if (result.available) {
-			console.log(`[${timestamp}] 🎉 AVAILABILITY DETECTED!`)
+			console.log(
+				`[${timestamp}] 🎉 AVAILABILITY DETECTED for ${target.label}!`
+			)
 			console.log(`Message: ${result.message}`)
+			for (const slot of result.slots) {
+				console.log(`  📅 ${slot.date}: ${slot.url}`)
+			}
+
+			// Send urgent notification on every channel
+			if (alert.availability) {
+				await alertAvailability(result, target, check, {
+					reminder: alert.availability === "remind",
+				})
+			} else {
+				console.log(
+					`[${timestamp}] 🔕 Same slots as already alerted, not notifying again`
+				)
+			}
 
-			// Send urgent notification
-			await notifyAvailability()
-			console.log(`[${timestamp}] ✅ Availability notification sent!`)
+			if (result.booking) {
+				console.log(`[${timestamp}] 📝 ${result.booking.message}`)
+				await alertBooking(result.booking, target, check)
+			}
 
 			// Continue checking even after finding availability
 			// User may want to know if more slots open up
 		} else {
-			console.log(`[${timestamp}] ℹ️  No availability`)
+			console.log(`[${timestamp}] ℹ️  No availability for ${target.label}`)
 			console.log(`Message: ${result.message}`)
+
+			if (alert.availability === "gone") {
+				console.log(`[${timestamp}] 📭 Appointments gone for ${target.label}`)
+				await alertAvailabilityGone(target, alert.availableSince, check)
+			}
+		}
+
+		if (result.pageChange) {
+			console.log(`[${timestamp}] 📝 Page changed for ${target.label}:`)
+			console.log(result.pageChange.diff)
+			await alertPageChange(result.pageChange, target, check)
 		}
 
 		return true
 	} catch (error) {
-		console.error(`[${timestamp}] ❌ Check failed:`, error.message)
+		console.error(
+			`[${timestamp}] ❌ Check failed for ${target.label}:`,
+			error.message
+		)
+		lastResults.set(target.id, {
+			label: target.label,
+			at: new Date(),
+			ok: false,
+			available: false,
+			message: error.message,
+			slots: [],
+		})
 
 		if (DEBUG) {
 			console.error("Stack trace:", error.stack)
 		}
 
-		// Send error notification
-		try {
-			await notifyError(error.message)
-			console.log(`[${timestamp}] Error notification sent`)
-		} catch (notifyErr) {
-			console.error(
-				`[${timestamp}] Failed to send error notification:`,
-				notifyErr.message
+		// Maintenance windows and outages aren't actionable - don't page anyone
+		if (error instanceof SiteDownError) {
+			console.log(
+				`[${timestamp}] 🛠️  Site is down, skipping error notification`
 			)
+			return false
 		}
 
+		// Page someone only after ALERT_ERROR_THRESHOLD failures in a row, once
+		const alert = recordCheckFailure(target.id)
+		if (!alert.escalate) {
+			console.log(
+				`[${timestamp}] 🔕 Failure ${alert.failures} in a row (alerting at ${alert.threshold}${
+					alert.failures > alert.threshold ? ", already alerted" : ""
+				})`
+			)
+			return false
+		}
+
+		// Send error notification (failures are logged per channel)
+		await alertError(error, target, check, alert.failures)
+
 		return false
 	}
 }
 
+/**
+ * Look at captcha spend before a cycle
+ * Reports a used-up budget once per period and a low CapSolver balance once
+ * until it is topped up
+ * @returns {Promise<object>} getBudgetStatus() result
+ */
+async function checkSpend() {
+	const budget = getBudgetStatus()
+	if (budget.exceeded && budgetAlerted !== budget.key) {
+		budgetAlerted = budget.key
+		console.log(`💸 ${budget.message}`)
+		await alertBudget(budget)
+	}
+
+	const balance = await checkCapSolverBalance()
+	if (balance?.alert) {
+		console.log(`💸 CapSolver balance low: $${balance.balance.toFixed(2)}`)
+		await alertLowBalance(balance)
+	}
+
+	return budget
+}
+
+/**
+ * Main check cycle
+ * Checks every configured target once (one browser at a time), returns success/failure
+ */
+async function runCheck() {
+	const timestamp = new Date().toISOString()
+
+	const budget = await checkSpend()
+	if (budget.exceeded && budget.action === "pause") {
+		console.log(`\n[${timestamp}] ⏸️  Captcha budget used up, skipping check`)
+		return true
+	}
+
+	console.log(`\n[${timestamp}] Starting appointment check...`)
+
+	let allSucceeded = true
+	for (const target of getTargets()) {
+		const succeeded = await runTargetCheck(target)
+		allSucceeded = allSucceeded && succeeded
+	}
+
+	console.log(`📊 ${formatSessionMetrics()}`)
+	console.log(`💰 ${formatSpend(getSpend())}`)
+
+	if (DEBUG) {
+		console.log("[DEBUG] Browser pool:", browserPool.stats())
+	}
+
+	return allSucceeded
+}
+
+// Runs runCheck() at adaptive intervals; bot commands can trigger, pause or resume it
+const scheduler = createScheduler({
+	runCheck,
+	nextInterval: () => {
+		// Past the captcha budget, "slow" stretches the interval
+		const budget = getBudgetStatus()
+		return budget.exceeded && budget.action === "slow"
+			? Math.round(getNextInterval() * budget.slowdown)
+			: getNextInterval()
+	},
+	onSchedule: (interval, nextCheckTime) => {
+		console.log(
+			`\n⏰ Next check in ${formatDuration(
+				interval
+			)} (at ${nextCheckTime.toLocaleTimeString()})`
+		)
+	},
+})
+
+// What bot commands can see and do (see listen() in notifiers.js)
+const control = {
+	status: () => ({
+		...scheduler.status(),
+		targets: [...lastResults.values()],
+	}),
+	checkNow: () => scheduler.checkNow(),
+	pause: () => scheduler.pause(),
+	resume: () => scheduler.resume(),
+}
+
+// Channels that accept commands, stopped on shutdown
+const listeners = []
+
 /**
  * Main scheduler loop
  * Runs checks at adaptive intervals indefinitely
@@ -124,40 +298,50 @@ async function startScheduler() {
 	console.log("🚀 German Consulate Appointment Checker")
 	console.log("=".repeat(50))
 	console.log(`Started at: ${new Date().toLocaleString()}`)
-	console.log(`Target URL: ${process.env.APPOINTMENT_URL}`)
+	for (const target of getTargets()) {
+		console.log(
+			`Target: ${target.label} (${target.url})${
+				target.autoBook ? " [auto-book]" : ""
+			}`
+		)
+	}
+	for (const channel of getChannels()) {
+		console.log(
+			`Notifications: ${channel.name} (${channel.type}, ${channel.minSeverity} and up)`
+		)
+	}
+	console.log(`Months ahead: ${process.env.MONTHS_AHEAD ?? "1"}`)
+	if (process.env.SEARCH_HORIZON) {
+		console.log(`Search horizon: ${process.env.SEARCH_HORIZON}`)
+	}
 	console.log(`Headless mode: ${process.env.HEADLESS !== "false"}`)
 	console.log(`Debug mode: ${DEBUG}`)
 	console.log("=".repeat(50))
 	console.log("\nScheduler active. Press Ctrl+C to stop.\n")
 
-	// Run first check immediately
-	await runCheck()
-
-	// Schedule subsequent checks
-	while (true) {
-		const interval = getNextInterval()
-		const nextCheckTime = new Date(Date.now() + interval)
-
-		console.log(
-			`\n⏰ Next check in ${formatDuration(
-				interval
-			)} (at ${nextCheckTime.toLocaleTimeString()})`
-		)
-
-		// Wait for the interval
-		await new Promise((resolve) => setTimeout(resolve, interval))
-
-		// Run the check
-		await runCheck()
+	for (const channel of getChannels()) {
+		const listener = channel.listen?.(control)
+		if (listener) {
+			listeners.push(listener)
+			console.log(`Listening for commands on ${channel.name}`)
+		}
 	}
+
+	// Runs the first check immediately
+	await scheduler.start()
 }
 
 /**
  * Graceful shutdown handler
  */
 function setupShutdownHandler() {
-	const shutdown = () => {
+	const shutdown = async () => {
 		console.log("\n\n👋 Shutting down gracefully...")
+		scheduler.stop()
+		for (const listener of listeners) {
+			listener.stop()
+		}
+		await browserPool.close()
 		console.log(`Stopped at: ${new Date().toLocaleString()}`)
 		process.exit(0)
 	}
@@ -168,7 +352,8 @@ function setupShutdownHandler() {
 
 // Entry point
 setupShutdownHandler()
-startScheduler().catch((error) => {
+startScheduler().catch(async (error) => {
 	console.error("\n💥 Fatal error in scheduler:", error)
+	await browserPool.close()
 	process.exit(1)
 })
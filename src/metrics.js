@@ -0,0 +1,44 @@
+/**
+ * In-process counters for the scheduler
+ * Kept deliberately simple: named counters that are logged after each cycle.
+ */
+
+const counters = new Map()
+
+/**
+ * Increment a counter
+ * @param {string} name - Counter name (e.g. "session.reused")
+ * @param {number} amount - Amount to add (default 1)
+ */
+export function increment(name, amount = 1) {
+	counters.set(name, (counters.get(name) || 0) + amount)
+}
+
+/**
+ * Get the current value of every counter
+ * @returns {Object<string, number>} Counter values by name
+ */
+export function getMetrics() {
+	return Object.fromEntries(counters)
+}
+
+/**
+ * Summarise how often stored consulate sessions skipped the captcha
+ * @returns {string} e.g. "sessions reused 12, survived 9 (75%), expired 3; captchas solved 5 (capsolver 4, claude 1)"
+ */
+export function formatSessionMetrics() {
+	const reused = counters.get("session.reused") || 0
+	const survived = counters.get("session.survived") || 0
+	const expired = counters.get("session.expired") || 0
+	const solved = counters.get("captcha.solved") || 0
+	const refreshed = counters.get("captcha.refreshed") || 0
+	const rate = reused > 0 ? ` (${Math.round((survived / reused) * 100)}%)` : ""
+
+	// Which solver passed the captchas (see captcha-solvers.js)
+	const bySolver = [...counters]
+		.filter(([name]) => name.startsWith("captcha.solved."))
+		.map(([name, count]) => `${name.slice("captcha.solved.".length)} ${count}`)
+	const solvers = bySolver.length > 0 ? ` (${bySolver.join(", ")})` : ""
+
+	return `sessions reused ${reused}, survived ${survived}${rate}, expired ${expired}; captchas solved ${solved}${solvers}, refreshed ${refreshed}`
+}
@@ -0,0 +1,180 @@
+/**
+ * Parser for the RK-Termin month view (appointment_showMonth.do)
+ *
+ * Works on raw HTML so it can be fed from page.content() or any other source.
+ * Bookable days are rendered as anchors pointing at appointment_showDay.do with
+ * a dateStr=DD.MM.YYYY query param; days without slots are empty divs.
+ */
+
+const NO_APPOINTMENTS_TEXT =
+	"Unfortunately, there are no appointments available"
+
+/**
+ * Decode the handful of HTML entities that show up in hrefs and headings
+ * @param {string} text - Raw HTML text
+ * @returns {string} Decoded text
+ */
+export function decodeEntities(text) {
+	return text
+		.replace(/&amp;/g, "&")
+		.replace(/&nbsp;/g, " ")
+		.replace(/&quot;/g, '"')
+		.replace(/&#39;/g, "'")
+		.replace(/&lt;/g, "<")
+		.replace(/&gt;/g, ">")
+}
+
+/**
+ * Convert a site date string (DD.MM.YYYY) to ISO format (YYYY-MM-DD)
+ * @param {string} dateStr - Date in DD.MM.YYYY format
+ * @returns {string|null} ISO date, or null if the input doesn't match
+ */
+export function dateStrToIso(dateStr) {
+	const match = dateStr?.match(/^(\d{2})\.(\d{2})\.(\d{4})$/)
+	if (!match) {
+		return null
+	}
+	const [, day, month, year] = match
+	return `${year}-${month}-${day}`
+}
+
+/**
+ * Resolve an href from the page against its <base href> (or the page URL)
+ * @param {string} html - Page HTML
+ * @param {string} href - Relative or absolute href
+ * @param {string} pageUrl - URL the page was loaded from
+ * @returns {string} Absolute URL
+ */
+export function resolveHref(html, href, pageUrl) {
+	const baseMatch = html.match(/<base\s+href="([^"]+)"/i)
+	const base = baseMatch ? baseMatch[1] : pageUrl
+
+	try {
+		return new URL(href, base).toString()
+	} catch {
+		return href
+	}
+}
+
+/**
+ * Extract all anchor hrefs matching a pattern
+ * @param {string} html - Page HTML
+ * @param {RegExp} pattern - Pattern the href must match
+ * @returns {string[]} Decoded hrefs
+ */
+function findHrefs(html, pattern) {
+	const hrefs = []
+	for (const match of html.matchAll(/<a\b[^>]*\bhref="([^"]*)"/gi)) {
+		const href = decodeEntities(match[1])
+		if (pattern.test(href)) {
+			hrefs.push(href)
+		}
+	}
+	return hrefs
+}
+
+/**
+ * Find the href of the anchor wrapping a month navigation arrow image
+ * @param {string} html - Page HTML
+ * @param {string} arrow - Arrow image name without extension (go-next or go-previous)
+ * @returns {string|null} Decoded href, or null if the arrow isn't on the page
+ */
+function findNavHref(html, arrow) {
+	const pattern = new RegExp(
+		`<a\\b[^>]*\\bhref="([^"]*)"[^>]*>\\s*<img[^>]+src="images/${arrow}\\.gif"`,
+		"i"
+	)
+	const match = html.match(pattern)
+	return match ? decodeEntities(match[1]) : null
+}
+
+/**
+ * Extract the visible text of the page's content area, one block per line
+ * Leaves out scripts, the "please wait" dialog and the month heading between
+ * the arrows, so the text only changes when the consulate changes the page.
+ * @param {string} html - Page HTML
+ * @returns {string} Normalized text
+ */
+export function extractContentText(html) {
+	let content = html
+	const start = content.search(/<div id="content">/i)
+	if (start >= 0) {
+		content = content.slice(start)
+	}
+	const end = content.search(/<div id="commit-request"|<div class="bottom">/i)
+	if (end > 0) {
+		content = content.slice(0, end)
+	}
+
+	return decodeEntities(
+		content
+			.replace(/<script[\s\S]*?<\/script>/gi, " ")
+			// Source line breaks mean nothing, block elements do
+			.replace(/\s+/g, " ")
+			.replace(/<\/?(?:h\d|p|div|br|li|ul|table|tr)\b[^>]*>/gi, "\n")
+			.replace(/<[^>]*>/g, " ")
+	)
+		.split("\n")
+		.map((line) => line.replace(/\s+/g, " ").trim())
+		.filter((line) => line && !/^\d{1,2}\/\d{4}$/.test(line))
+		.join("\n")
+}
+
+/**
+ * Parse the month view into a structured result
+ * @param {string} html - Month page HTML
+ * @param {string} pageUrl - URL the page was loaded from (used to resolve links)
+ * @returns {{isMonthPage: boolean, month: string|null, noAppointmentsMessage: boolean, slots: Array<{date: string, url: string}>, previousUrl: string|null, nextUrl: string|null, contentText: string}} contentText is extractContentText() of the page
+ */
+export function parseMonthPage(html, pageUrl) {
+	// The month navigation arrows only appear on the month view
+	const isMonthPage = /<img[^>]+src="images\/go-(next|previous)\.gif"/i.test(
+		html
+	)
+
+	// The heading between the arrows reads e.g. "12/2025"
+	let month = null
+	const navHeading = html.match(
+		/<h2>((?:(?!<\/h2>)[\s\S])*go-next\.gif(?:(?!<\/h2>)[\s\S])*)<\/h2>/i
+	)
+	if (navHeading) {
+		const headingText = navHeading[1].replace(/<[^>]*>/g, " ")
+		const monthMatch = headingText.match(/\b(\d{1,2})\/(\d{4})\b/)
+		if (monthMatch) {
+			month = `${monthMatch[2]}-${monthMatch[1].padStart(2, "0")}`
+		}
+	}
+
+	const noAppointmentsMessage = html.includes(NO_APPOINTMENTS_TEXT)
+
+	// Each bookable day links to the day view with its dateStr
+	const slots = []
+	const seen = new Set()
+	for (const href of findHrefs(html, /appointment_showDay\.do/)) {
+		const url = resolveHref(html, href, pageUrl)
+		const date = dateStrToIso(href.match(/[?&]dateStr=([^&#]*)/)?.[1])
+
+		if (!date || seen.has(date)) {
+			continue
+		}
+
+		seen.add(date)
+		slots.push({ date, url })
+	}
+
+	slots.sort((a, b) => a.date.localeCompare(b.date))
+
+	// Prev/next arrows link to the same page with a dateStr in the other month
+	const previousHref = findNavHref(html, "go-previous")
+	const nextHref = findNavHref(html, "go-next")
+
+	return {
+		isMonthPage,
+		month,
+		noAppointmentsMessage,
+		slots,
+		previousUrl: previousHref ? resolveHref(html, previousHref, pageUrl) : null,
+		nextUrl: nextHref ? resolveHref(html, nextHref, pageUrl) : null,
+		contentText: extractContentText(html),
+	}
+}
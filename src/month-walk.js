@@ -0,0 +1,241 @@
+/**
+ * Month walk shared by the checker engines
+ * Starting from the first month page, follows the dateStr "next" links for
+ * MONTHS_AHEAD months (stopping at SEARCH_HORIZON) and builds the check result.
+ * The engines only provide how to load a month and how to react to slots.
+ */
+
+import dotenv from "dotenv"
+import { SessionExpiredError } from "./errors.js"
+import { errorForPageState, PageState } from "./page-state.js"
+
+dotenv.config()
+
+const DEBUG = process.env.DEBUG === "true"
+// Number of months to check after the current one (1 = current + next)
+export const MONTHS_AHEAD = Math.max(
+	0,
+	parseInt(process.env.MONTHS_AHEAD ?? "1", 10) || 0
+)
+// Optional last date (YYYY-MM-DD) worth booking; later months are not checked
+export const SEARCH_HORIZON = process.env.SEARCH_HORIZON || null
+
+/**
+ * Whether a page state is one of the month views
+ * @param {string} state - State from classifyPage()
+ * @returns {boolean}
+ */
+export function isMonthState(state) {
+	return (
+		state === PageState.MONTH_NO_SLOTS || state === PageState.MONTH_WITH_SLOTS
+	)
+}
+
+/**
+ * Check whether a month (YYYY-MM) lies entirely past the search horizon
+ * @private
+ */
+function isPastHorizon(month) {
+	if (!SEARCH_HORIZON || !month) {
+		return false
+	}
+	return month > SEARCH_HORIZON.slice(0, 7)
+}
+
+/**
+ * Turn a classified month page into a month result
+ * @private
+ * @returns {{available: boolean, month: string|null, slots: Array<{date: string, url: string}>, nextUrl: string|null, contentText: string}}
+ */
+function monthFromPage(classification) {
+	// The captcha coming back mid-walk means the session ran out
+	if (classification.state === PageState.CAPTCHA) {
+		if (DEBUG) {
+			console.log("[DEBUG] Back on captcha page - session expired")
+		}
+		throw new SessionExpiredError(
+			"Captcha page came back while checking months",
+			{ state: classification.state, url: classification.url }
+		)
+	}
+
+	// Verify we're on the appointments page
+	if (!isMonthState(classification.state)) {
+		throw errorForPageState(classification, "checking months")
+	}
+
+	const { month, noAppointmentsMessage, slots, nextUrl, contentText } =
+		classification.month
+
+	// Only bookable day links count as availability; a missing "no appointments"
+	// heading on its own is not enough
+	const available = classification.state === PageState.MONTH_WITH_SLOTS
+
+	if (DEBUG) {
+		console.log(
+			`[DEBUG] Availability check for ${month}: ${
+				available ? "AVAILABLE" : "NOT AVAILABLE"
+			} (${slots.length} bookable days, no-appointments message: ${
+				noAppointmentsMessage ? "yes" : "no"
+			})`
+		)
+		if (!available && !noAppointmentsMessage) {
+			console.log(
+				"[DEBUG] No day links and no 'no appointments' message - page layout may have changed"
+			)
+		}
+	}
+
+	return { available, month, slots, nextUrl, contentText }
+}
+
+/**
+ * Walk the current month plus MONTHS_AHEAD following months
+ * @param {object} firstPage - classifyPage() result for the first month page
+ * @param {object} hooks - Engine hooks
+ * @param {(url: string) => Promise<object>} hooks.loadMonth - Load a month URL and return its classifyPage() result
+ * @param {(month: object) => Promise<void>} hooks.onAvailable - Called while a month with slots is loaded (optional)
+ * @param {(classification: object) => Promise<void>} hooks.onUnexpectedPage - Called before throwing on an unexpected page (optional)
+ * @returns {Promise<Array<{available: boolean, month: string|null, slots: Array<{date: string, url: string}>, nextUrl: string|null, contentText: string}>>}
+ */
+export async function walkMonths(firstPage, hooks) {
+	const months = []
+	let page = firstPage
+
+	for (let offset = 0; offset <= MONTHS_AHEAD; offset++) {
+		if (offset > 0) {
+			const previous = months[months.length - 1]
+
+			if (!previous.nextUrl) {
+				if (DEBUG) {
+					console.log("[DEBUG] No next month link found")
+				}
+				break
+			}
+
+			// Follow the dateStr link to the next month
+			if (DEBUG) {
+				console.log(`[DEBUG] Navigating to next month: ${previous.nextUrl}`)
+			}
+			page = await hooks.loadMonth(previous.nextUrl)
+		}
+
+		if (!isMonthState(page.state) && page.state !== PageState.CAPTCHA) {
+			if (DEBUG) {
+				console.log(
+					`[DEBUG] Not on appointments page - page state: ${page.state}`
+				)
+			}
+			await hooks.onUnexpectedPage?.(page)
+		}
+
+		const monthResult = monthFromPage(page)
+
+		if (isPastHorizon(monthResult.month)) {
+			if (DEBUG) {
+				console.log(
+					`[DEBUG] ${monthResult.month} is past the search horizon (${SEARCH_HORIZON}), stopping`
+				)
+			}
+			break
+		}
+
+		// Ignore days beyond the horizon within the last month
+		if (SEARCH_HORIZON) {
+			monthResult.slots = monthResult.slots.filter(
+				(slot) => slot.date <= SEARCH_HORIZON
+			)
+			monthResult.available = monthResult.slots.length > 0
+		}
+
+		months.push(monthResult)
+
+		if (monthResult.available) {
+			if (DEBUG) {
+				console.log(`[DEBUG] Appointments available in ${monthResult.month}!`)
+			}
+
+			await hooks.onAvailable?.(monthResult)
+		} else if (DEBUG) {
+			console.log(`[DEBUG] No appointments in ${monthResult.month}`)
+		}
+	}
+
+	return months
+}
+
+/**
+ * Link to one month of the target's appointment page
+ * The site shows the month of the dateStr param, like its own month arrows
+ * @private
+ */
+function monthUrl(targetUrl, month) {
+	if (!targetUrl || !month) {
+		return targetUrl ?? null
+	}
+
+	try {
+		const url = new URL(targetUrl)
+		const [year, monthNumber] = month.split("-")
+		url.searchParams.set("dateStr", `01.${monthNumber}.${year}`)
+		return url.toString()
+	} catch {
+		return targetUrl
+	}
+}
+
+/**
+ * Combine the per-month results into the check result
+ * @param {object} target - Target that was checked
+ * @param {Array<object>} months - Result of walkMonths()
+ * @param {Buffer|null} screenshot - Screenshot of the first month with slots (optional)
+ * @returns {{available: boolean, month: string|null, monthUrl: string|null, slots: Array<{date: string, url: string}>, months: Array<{month: string|null, url: string|null, available: boolean, slots: Array<{date: string, url: string}>}>, target: {id: string, label: string, url: string}, message: string, pageText: string|null, screenshot?: string}} pageText is the first month's content text (see extractContentText()); monthUrl links to the first month with slots
+ */
+export function buildResult(target, months, screenshot) {
+	const targetInfo = { id: target.id, label: target.label, url: target.url }
+	const pageText = months[0]?.contentText ?? null
+	const perMonth = months.map(({ month, available, slots }) => ({
+		month,
+		url: monthUrl(target.url, month),
+		available,
+		slots,
+	}))
+	const availableMonths = perMonth.filter((month) => month.available)
+	const checkedMonths = perMonth.map((month) => month.month).join(", ")
+
+	if (availableMonths.length === 0) {
+		if (DEBUG) {
+			console.log("[DEBUG] No appointments available")
+		}
+
+		return {
+			available: false,
+			month: null,
+			monthUrl: null,
+			slots: [],
+			months: perMonth,
+			target: targetInfo,
+			message: `No appointments available (checked ${checkedMonths})`,
+			pageText,
+		}
+	}
+
+	const summary = availableMonths
+		.map(
+			(month) =>
+				`${month.month}: ${month.slots.map((slot) => slot.date).join(", ")}`
+		)
+		.join("; ")
+
+	return {
+		available: true,
+		month: availableMonths[0].month,
+		monthUrl: availableMonths[0].url,
+		slots: availableMonths.flatMap((month) => month.slots),
+		months: perMonth,
+		target: targetInfo,
+		message: `Appointments available - ${summary}`,
+		pageText,
+		screenshot: screenshot?.toString("base64"),
+	}
+}
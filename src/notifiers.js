@@ -0,0 +1,457 @@
+/**
+ * Notification channel registry
+ * A notifier type is a factory (options) => {send(event), accepts?(event),
+ * listen?(control)} registered by name; listen() is for channels that also take
+ * commands (see index.js). The channels themselves are declared under
+ * "notifications.channels" in the config file - each with a name, a type, an
+ * "enabled" flag, the lowest severity it wants and the type's credentials.
+ * Without that section the channels are built from the environment as before
+ * (ntfy on NTFY_TOPIC at NTFY_SERVER, TextBelt SMS to SMS_PHONE_NUMBERS for slot alerts
+ * and to ERROR_PHONE_NUMBERS for errors, email over SMTP_HOST to EMAIL_TO, Telegram with TELEGRAM_BOT_TOKEN, a webhook to
+ * WEBHOOK_URL).
+ *
+ * An event goes out on every channel that reaches its severity, all at once,
+ * and the outcome is reported per channel.
+ */
+
+import dotenv from "dotenv"
+import { loadConfig } from "./config.js"
+import { notify, sendWebhook } from "./notify.js"
+import { createEmailTransport, sendEmail } from "./notify-email.js"
+import {
+	formatTelegramMessage,
+	sendTelegram,
+	startTelegramBot,
+} from "./notify-telegram.js"
+import { fitSms, sendSMS } from "./notify-sms.js"
+
+dotenv.config()
+
+const DEBUG = process.env.DEBUG === "true"
+
+/**
+ * Severities, lowest first. A channel gets the events at or above its minSeverity.
+ */
+export const SEVERITIES = ["info", "warning", "error", "critical"]
+
+/**
+ * @typedef {object} NotificationEvent
+ * @property {string} type - "availability", "availabilityGone", "booking", "pageChange", "error", "recovered", "budget" or "lowBalance"
+ * @property {"info"|"warning"|"error"|"critical"} severity
+ * @property {string} title - Notification title
+ * @property {string} message - Full text
+ * @property {string} summary - One-line text for length-limited channels (SMS)
+ * @property {string} variant - Outcome within the type, e.g. "failed" bookings or "blocked" errors (optional, see NTFY_EVENT_STYLES)
+ * @property {string} url - Page the alert is about, e.g. the month with slots (optional; ntfy click, SMS link)
+ * @property {Array<{label: string, url: string}>} actions - Link buttons, most important first (optional)
+ * @property {boolean} operational - About the checker itself rather than appointments (goes to error topics)
+ * @property {object} target - Target the event is about (optional)
+ * @property {object} result - checkAppointments() result (availability only)
+ * @property {object} booking - Booking outcome (booking only)
+ * @property {object} change - Page change with its diff (pageChange only)
+ * @property {string|Error} error - The error (error only)
+ * @property {{id: string, startedAt: Date}} check - Check the event came from (optional)
+ */
+
+const registry = new Map()
+
+/**
+ * Register a notifier type
+ * @param {string} type - Name used as "type" in the channel config
+ * @param {(options: object) => {send: (event: NotificationEvent) => Promise<*>, accepts?: (event: NotificationEvent) => boolean, listen?: (control: object) => {stop: () => void}|null}} create - Builds a channel from its config entry; accepts() can turn down events it has no recipient for, listen() starts taking commands
+ * @param {object} options - Optional settings
+ * @param {string} options.minSeverity - Default minSeverity for channels of this type (default "info")
+ */
+export function registerNotifier(type, create, options = {}) {
+	registry.set(type, { create, minSeverity: options.minSeverity || "info" })
+}
+
+// ntfy priority for event types without a style
+const NTFY_PRIORITIES = {
+	info: "default",
+	warning: "high",
+	error: "high",
+	critical: "urgent",
+}
+
+/**
+ * How each event type looks on ntfy, keyed by type or "type:variant"
+ * A channel's "events" map is merged over these, field by field; a variant
+ * gets its type's fields first. Besides priority and tags an entry can set
+ * delay, cache and firebase (see notify() in notify.js).
+ */
+export const NTFY_EVENT_STYLES = {
+	availability: { priority: "urgent", tags: ["rotating_light", "de"] },
+	availabilityGone: { priority: "default", tags: ["no_entry_sign", "de"] },
+	booking: { priority: "urgent", tags: ["white_check_mark", "de"] },
+	"booking:failed": { tags: ["warning", "de"] },
+	pageChange: { priority: "default", tags: ["memo", "de"] },
+	error: { priority: "high", tags: ["warning"] },
+	"error:blocked": { tags: ["warning", "no_entry"] },
+	recovered: { priority: "default", tags: ["white_check_mark"] },
+	budget: { priority: "high", tags: ["money_with_wings"] },
+	lowBalance: { priority: "high", tags: ["warning", "moneybag"] },
+}
+
+/**
+ * Look up the ntfy style of an event
+ * @private
+ */
+function ntfyStyle(event, overrides = {}) {
+	const keys = [event.type]
+	if (event.variant) {
+		keys.push(`${event.type}:${event.variant}`)
+	}
+
+	const style = { priority: NTFY_PRIORITIES[event.severity] }
+	for (const styles of [NTFY_EVENT_STYLES, overrides]) {
+		for (const key of keys) {
+			Object.assign(style, styles[key])
+		}
+	}
+	return style
+}
+
+// ntfy push: { server, token, user, password, topic, errorTopic, events, cache,
+// firebase, attachScreenshot, proxy }. server defaults to ntfy.sh; a token or
+// user/password is needed for protected topics on a self-hosted server.
+// "events" restyles event types (see NTFY_EVENT_STYLES). A target's
+// notify.ntfyTopic / notify.ntfyErrorTopic replace the channel's topics for that
+// target. Slot alerts open the month when tapped, have buttons for it and the
+// first days, and carry the screenshot unless attachScreenshot is false.
+registerNotifier("ntfy", (options) => ({
+	send: (event) => {
+		const routing = event.target?.notify || {}
+		const topic = event.operational
+			? routing.ntfyErrorTopic ||
+				options.errorTopic ||
+				routing.ntfyTopic ||
+				options.topic
+			: routing.ntfyTopic || options.topic
+
+		const style = ntfyStyle(event, options.events)
+		const screenshot =
+			options.attachScreenshot !== false && event.result?.screenshot
+
+		return notify(event.message, {
+			title: event.title,
+			priority: style.priority,
+			tags: style.tags,
+			delay: style.delay,
+			cache: style.cache ?? options.cache,
+			firebase: style.firebase ?? options.firebase,
+			click: event.url,
+			actions: event.actions,
+			attachment: screenshot ? Buffer.from(screenshot, "base64") : undefined,
+			filename: "screenshot.png",
+			server: options.server,
+			token: options.token,
+			user: options.user,
+			password: options.password,
+			proxy: options.proxy,
+			topic,
+		})
+	},
+}))
+
+// TextBelt SMS: { phones, apiKey, segments, events, proxy }. A target's notify.smsPhones replace
+// the channel's phones for that target's slot alerts. Costs money, so by default
+// only critical events (slots found, booking outcome) are texted, each cut to
+// one segment (or "segments") with the link to the month kept whole. "Slots
+// gone" and "recovered" notices aren't worth a text at any minSeverity;
+// "events" limits the channel further to some event types.
+const SMS_SKIPPED_EVENTS = ["availabilityGone", "recovered"]
+
+registerNotifier(
+	"sms",
+	(options) => {
+		const events = options.events ? toList(options.events) : null
+		const phonesFor = (event) =>
+			!event.operational && event.target?.notify?.smsPhones?.length > 0
+				? event.target.notify.smsPhones
+				: options.phones || []
+
+		return {
+			accepts: (event) =>
+				!SMS_SKIPPED_EVENTS.includes(event.type) &&
+				(!events || events.includes(event.type)) &&
+				phonesFor(event).length > 0,
+			send: async (event) => {
+				const phones = phonesFor(event)
+				const text = fitSms(event.summary, event.url, options.segments)
+				const results = await Promise.allSettled(
+					phones.map((phone) =>
+						sendSMS(phone, text, { key: options.apiKey, proxy: options.proxy })
+					)
+				)
+				const errors = results
+					.filter((r) => r.status === "rejected")
+					.map((r) => r.reason.message)
+
+				if (errors.length === phones.length) {
+					throw new Error(errors.join("; "))
+				}
+				if (errors.length > 0) {
+					console.error(
+						`[SMS] Failed to send to ${errors.length}/${
+							phones.length
+						} numbers: ${errors.join("; ")}`
+					)
+				}
+			},
+		}
+	},
+	{ minSeverity: "critical" }
+)
+
+/**
+ * Split a list given as an array or a comma-separated string
+ * @private
+ */
+function toList(value) {
+	return (Array.isArray(value) ? value : String(value ?? "").split(","))
+		.map((item) => String(item ?? "").trim())
+		.filter(Boolean)
+}
+
+// SMTP email: { host, port, secure, requireTLS, rejectUnauthorized, user, pass,
+// from, to }. A target's notify.emailTo replaces the recipients of its slot and
+// booking alerts. Slot alerts are HTML with the screenshot attached.
+registerNotifier(
+	"email",
+	(options) => {
+		const transport = createEmailTransport(options)
+		const from = options.from || options.user
+		const recipientsFor = (event) =>
+			!event.operational && event.target?.notify?.emailTo?.length > 0
+				? toList(event.target.notify.emailTo)
+				: toList(options.to)
+
+		return {
+			accepts: (event) => recipientsFor(event).length > 0,
+			send: (event) =>
+				sendEmail(transport, event, { from, to: recipientsFor(event) }),
+		}
+	},
+	{ minSeverity: "error" }
+)
+
+// Telegram bot: { token, chatIds, commands, proxy }. Also answers /status, /check,
+// /pause, /resume and /next from those chats unless commands is false.
+registerNotifier(
+	"telegram",
+	(options) => {
+		const chatIds = toList(options.chatIds ?? options.chatId)
+
+		return {
+			send: (event) =>
+				sendTelegram(options, chatIds, formatTelegramMessage(event)),
+			listen: (control) =>
+				options.commands === false
+					? null
+					: startTelegramBot(options, chatIds, control),
+		}
+	},
+	{ minSeverity: "error" }
+)
+
+// Webhook: { url, secret, headers, events, retries, retryDelayMs, timeoutMs,
+// proxy }. POSTs a versioned JSON payload signed with HMAC-SHA256 (see
+// sendWebhook() in notify.js); "events" limits it to some event types.
+registerNotifier("webhook", (options) => {
+	const events = options.events ? toList(options.events) : null
+
+	return {
+		accepts: (event) => !events || events.includes(event.type),
+		send: (event) => sendWebhook(event, options),
+	}
+})
+
+/**
+ * Channels implied by the environment when the config file declares none
+ * @private
+ */
+function defaultChannelConfigs() {
+	const phones = toList([
+		process.env.SMS_PHONE_NUMBER,
+		...toList(process.env.SMS_PHONE_NUMBERS),
+	])
+
+	const channels = [
+		{
+			name: "ntfy",
+			type: "ntfy",
+			server: process.env.NTFY_SERVER,
+			token: process.env.NTFY_TOKEN,
+			user: process.env.NTFY_USER,
+			password: process.env.NTFY_PASSWORD,
+			topic: process.env.NTFY_TOPIC,
+			errorTopic: process.env.NTFY_ERROR_TOPIC,
+		},
+		{
+			name: "sms",
+			type: "sms",
+			phones: [...new Set(phones)],
+			apiKey: process.env.TEXTBELT_API_KEY,
+			segments: parseInt(process.env.SMS_SEGMENTS || "1", 10),
+		},
+	]
+
+	// Numbers that only get error texts
+	if (process.env.ERROR_PHONE_NUMBERS) {
+		channels.push({
+			name: "sms-errors",
+			type: "sms",
+			minSeverity: "error",
+			events: ["error"],
+			phones: [...new Set(toList(process.env.ERROR_PHONE_NUMBERS))],
+			apiKey: process.env.TEXTBELT_API_KEY,
+			segments: parseInt(process.env.SMS_SEGMENTS || "1", 10),
+		})
+	}
+
+	if (process.env.SMTP_HOST) {
+		channels.push({
+			name: "email",
+			type: "email",
+			host: process.env.SMTP_HOST,
+			port: process.env.SMTP_PORT,
+			secure: process.env.SMTP_SECURE === "true",
+			requireTLS: process.env.SMTP_REQUIRE_TLS === "true",
+			user: process.env.SMTP_USER,
+			pass: process.env.SMTP_PASS,
+			from: process.env.EMAIL_FROM,
+			to: process.env.EMAIL_TO,
+		})
+	}
+
+	if (process.env.WEBHOOK_URL) {
+		channels.push({
+			name: "webhook",
+			type: "webhook",
+			url: process.env.WEBHOOK_URL,
+			secret: process.env.WEBHOOK_SECRET,
+		})
+	}
+
+	if (process.env.TELEGRAM_BOT_TOKEN) {
+		channels.push({
+			name: "telegram",
+			type: "telegram",
+			token: process.env.TELEGRAM_BOT_TOKEN,
+			chatIds: process.env.TELEGRAM_CHAT_IDS,
+			commands: process.env.TELEGRAM_COMMANDS !== "false",
+		})
+	}
+
+	return channels
+}
+
+/**
+ * Build channels from config entries
+ * @param {Array<{name?: string, type: string, enabled?: boolean, minSeverity?: string}>} configs - Channel entries; the remaining fields are the type's options
+ * @returns {Array<{name: string, type: string, minSeverity: string, send: Function, accepts?: Function}>} Enabled channels
+ */
+export function createChannels(configs) {
+	const names = new Set()
+
+	return configs
+		.filter((config) => config.enabled !== false)
+		.map((config, index) => {
+			const {
+				name = config.type,
+				type,
+				enabled,
+				minSeverity,
+				...options
+			} = config
+			const entry = registry.get(type)
+
+			if (!entry) {
+				throw new Error(
+					`Notification channel #${index + 1} has unknown type "${type}" (available: ${[
+						...registry.keys(),
+					].join(", ")})`
+				)
+			}
+			if (names.has(name)) {
+				throw new Error(`Duplicate notification channel "${name}"`)
+			}
+			names.add(name)
+
+			const severity = minSeverity || entry.minSeverity
+			if (!SEVERITIES.includes(severity)) {
+				throw new Error(
+					`Notification channel "${name}" has unknown minSeverity "${severity}" (available: ${SEVERITIES.join(
+						", "
+					)})`
+				)
+			}
+
+			return { ...entry.create(options), name, type, minSeverity: severity }
+		})
+}
+
+let cachedChannels = null
+
+/**
+ * Get the configured channels
+ * Uses "notifications.channels" from the config file, or the channels implied
+ * by NTFY_TOPIC / SMS_PHONE_NUMBERS / ERROR_PHONE_NUMBERS / SMTP_HOST /
+ * TELEGRAM_BOT_TOKEN / WEBHOOK_URL
+ * when it declares none
+ * @returns {Array<{name: string, type: string, minSeverity: string}>} See createChannels()
+ */
+export function getChannels() {
+	if (!cachedChannels) {
+		const configs = loadConfig().notifications?.channels
+		cachedChannels = createChannels(
+			Array.isArray(configs) ? configs : defaultChannelConfigs()
+		)
+	}
+	return cachedChannels
+}
+
+/**
+ * Send an event on every channel that wants it
+ * Sending never throws - failures are reported per channel (only an invalid
+ * channel config does)
+ * @param {NotificationEvent} event - Event to send
+ * @param {Array<object>} channels - Channels (default getChannels())
+ * @returns {Promise<Array<{channel: string, type: string, ok: boolean, error?: string}>>} One entry per channel the event was sent on
+ */
+export async function dispatch(event, channels = getChannels()) {
+	const rank = SEVERITIES.indexOf(event.severity)
+	const selected = channels.filter(
+		(channel) =>
+			rank >= SEVERITIES.indexOf(channel.minSeverity) &&
+			(!channel.accepts || channel.accepts(event))
+	)
+
+	const settled = await Promise.allSettled(
+		selected.map(async (channel) => channel.send(event))
+	)
+
+	const results = selected.map((channel, i) =>
+		settled[i].status === "fulfilled"
+			? { channel: channel.name, type: channel.type, ok: true }
+			: {
+					channel: channel.name,
+					type: channel.type,
+					ok: false,
+					error: settled[i].reason.message,
+				}
+	)
+
+	if (DEBUG) {
+		console.log(
+			`[DEBUG] [Notify] ${event.type} (${event.severity}): ${
+				results
+					.map((r) => `${r.channel} ${r.ok ? "ok" : "failed"}`)
+					.join(", ") || "no channels"
+			}`
+		)
+	}
+
+	return results
+}
@@ -1,89 +1,262 @@
 /**
  * Unified notification module
- * Sends notifications to all configured channels (ntfy + SMS)
+ * Turns checker outcomes into notification events and sends them on every
+ * configured channel (see notifiers.js), logging which channels got them.
  */
 
-import { smsAvailability, smsError } from "./notify-sms.js"
-import { notifyAvailability, notifyError } from "./notify.js"
+import { BlockedError } from "./errors.js"
+import { dispatch } from "./notifiers.js"
+import { formatSlotDates, formatSlotMonths } from "./notify.js"
+import { formatDuration } from "./scheduler.js"
 
 /**
- * Send availability alert to all configured channels
- * Always sends to ntfy, optionally sends SMS if phone numbers are configured
+ * Send an event and log the outcome per channel
+ * @private
  */
-export async function alertAvailability() {
-	const results = []
-	const errors = []
-
-	// Always send ntfy notification
-	try {
-		await notifyAvailability()
-		results.push("ntfy")
-	} catch (err) {
-		errors.push(`ntfy: ${err.message}`)
-	}
-
-	// Send SMS if phone numbers are configured
-	const hasPhoneNumbers =
-		process.env.SMS_PHONE_NUMBER || process.env.SMS_PHONE_NUMBERS
-	if (hasPhoneNumbers) {
-		try {
-			await smsAvailability()
-			results.push("SMS")
-		} catch (err) {
-			errors.push(`SMS: ${err.message}`)
-		}
-	}
+async function send(label, event) {
+	const results = await dispatch(event)
+	const sent = results.filter((r) => r.ok).map((r) => r.channel)
+	const errors = results
+		.filter((r) => !r.ok)
+		.map((r) => `${r.channel}: ${r.error}`)
 
-	// Log results
-	if (results.length > 0) {
-		console.log(`✓ Availability alert sent via: ${results.join(", ")}`)
+	if (sent.length > 0) {
+		console.log(`✓ ${label} alert sent via: ${sent.join(", ")}`)
 	}
 
 	if (errors.length > 0) {
 		console.error(`⚠️  Some notifications failed: ${errors.join("; ")}`)
 	}
 
-	// Return success if at least one notification was sent
-	return results.length > 0
+	if (results.length === 0) {
+		console.error(
+			`⚠️  No notification channel takes ${event.severity} alerts - ${label.toLowerCase()} alert not sent`
+		)
+	}
+
+	return results
 }
 
 /**
- * Send error alert to all configured channels
- * Always sends to ntfy, optionally sends SMS if phone numbers are configured
+ * Send an availability alert (critical)
+ * Lists the months with slots, links the first of them (ntfy click, SMS) and
+ * offers buttons for it and the first bookable days
+ * @param {object} result - Result from checkAppointments() (optional)
+ * @param {object} target - Target that matched, used for routing (optional)
+ * @param {{id: string, startedAt: Date}} check - Check the alert came from (optional)
+ * @param {object} options - Optional settings
+ * @param {boolean} options.reminder - The slots were already alerted and are still there (see alert-state.js)
+ * @returns {Promise<Array<{channel: string, type: string, ok: boolean, error?: string}>>} Per-channel results (see dispatch())
  */
-export async function alertError(errorMessage) {
-	const results = []
-	const errors = []
-
-	// Always send ntfy notification
-	try {
-		await notifyError(errorMessage)
-		results.push("ntfy")
-	} catch (err) {
-		errors.push(`ntfy: ${err.message}`)
-	}
+export async function alertAvailability(result, target, check, options = {}) {
+	const dates = formatSlotDates(result)
+	const label = target?.label || result?.target?.label
+	const where = label ? ` (${label})` : ""
+	const title = label
+		? `${label} - Appointments Available!`
+		: "German Consulate - Appointments Available!"
+	const url = result?.monthUrl || target?.url || result?.target?.url
+	const months = formatSlotMonths(result)
 
-	// Send SMS if phone numbers are configured
-	// const hasPhoneNumbers =
-	// 	process.env.SMS_PHONE_NUMBER || process.env.SMS_PHONE_NUMBERS
-	// if (hasPhoneNumbers) {
-	// 	try {
-	// 		await smsError(errorMessage)
-	// 		results.push("SMS")
-	// 	} catch (err) {
-	// 		errors.push(`SMS: ${err.message}`)
-	// 	}
-	// }
-
-	// Log results
-	if (results.length > 0) {
-		console.log(`✓ Error alert sent via: ${results.join(", ")}`)
-	}
+	const headline = dates
+		? `🚨 APPOINTMENT SLOTS AVAILABLE${where}: ${dates}. Book immediately!`
+		: `🚨 APPOINTMENT SLOTS MAY BE AVAILABLE${where}! Check immediately!`
 
-	if (errors.length > 0) {
-		console.error(`⚠️  Some notifications failed: ${errors.join("; ")}`)
-	}
+	return send(options.reminder ? "Availability reminder" : "Availability", {
+		type: "availability",
+		severity: "critical",
+		title: options.reminder ? `Still open: ${title}` : title,
+		message: [headline, ...months].join("\n"),
+		summary: dates
+			? `🚨 ${label || "German Consulate NY"} appointments available: ${dates}`
+			: `🚨 APPOINTMENT SLOTS MAY BE AVAILABLE at ${label || "German Consulate NY"}!`,
+		url,
+		actions: [
+			...(url ? [{ label: "Open month", url }] : []),
+			...(result?.slots || []).map((slot) => ({
+				label: `Book ${slot.date}`,
+				url: slot.url,
+			})),
+		],
+		operational: false,
+		target,
+		result,
+		check,
+	})
+}
+
+/**
+ * Send the outcome of an automatic booking (critical)
+ * @param {object} booking - result.booking from checkAppointments() (see autoBook() in booking.js)
+ * @param {object} target - Target the booking was made for, used for routing (optional)
+ * @param {object} check - Check the alert came from (optional, see alertAvailability())
+ * @returns {Promise<Array<object>>} Per-channel results (see dispatch())
+ */
+export async function alertBooking(booking, target, check) {
+	const label = target?.label || "German Consulate"
+	const where = target?.label ? ` (${target.label})` : ""
+	const link = booking.url ? ` Book manually: ${booking.url}` : ""
+
+	return send("Booking", {
+		type: "booking",
+		severity: "critical",
+		title: booking.booked
+			? `${label} - Appointment Booked!`
+			: `${label} - Auto-Booking Failed`,
+		message: booking.booked
+			? `✅ ${booking.message}${where}. Check your email for the confirmation link.`
+			: `⚠️ ${booking.message}${where}.${link}`,
+		summary: booking.booked
+			? `✅ ${label}: ${booking.message}. Confirm via email!`
+			: `⚠️ ${label}: ${booking.message}`,
+		variant: booking.booked ? undefined : "failed",
+		operational: false,
+		target,
+		booking,
+		check,
+	})
+}
+
+/**
+ * Send an "appointments gone" notice after an availability alert
+ * Same severity as the alert so it reaches the same channels (except SMS,
+ * which skips it), but ntfy delivers it at normal priority (see
+ * NTFY_EVENT_STYLES in notifiers.js)
+ * @param {object} target - Target whose slots are gone
+ * @param {string|null} availableSince - When the slots appeared (ISO, see alert-state.js)
+ * @param {object} check - Check the alert came from (optional, see alertAvailability())
+ * @returns {Promise<Array<object>>} Per-channel results (see dispatch())
+ */
+export async function alertAvailabilityGone(target, availableSince, check) {
+	const label = target?.label || "German Consulate"
+	const open = availableSince
+		? ` after ${formatDuration(Date.now() - Date.parse(availableSince))}`
+		: ""
+
+	return send("Appointments gone", {
+		type: "availabilityGone",
+		severity: "critical",
+		title: `${label} - Appointments Gone`,
+		message: `The appointment slots${target?.label ? ` for ${target.label}` : ""} are gone${open}.`,
+		summary: `${label}: appointments gone${open}`,
+		operational: false,
+		target,
+		check,
+	})
+}
+
+/**
+ * Send a "page changed" notice (info - below slot alerts)
+ * @param {object} change - result.pageChange from checkAppointments() (see detectPageChange() in page-watch.js)
+ * @param {object} target - Target whose page changed, used for routing (optional)
+ * @param {object} check - Check the alert came from (optional, see alertAvailability())
+ * @returns {Promise<Array<object>>} Per-channel results (see dispatch())
+ */
+export async function alertPageChange(change, target, check) {
+	const where = target?.label ? ` (${target.label})` : ""
+	// ntfy messages are limited to 4 KB
+	const diff =
+		change.diff.length > 3000 ? `${change.diff.slice(0, 3000)}\n…` : change.diff
+
+	return send("Page change", {
+		type: "pageChange",
+		severity: "info",
+		title: target?.label
+			? `${target.label} - Page Changed`
+			: "German Consulate - Page Changed",
+		message: `The appointment page${where} changed:\n${diff}`,
+		summary: `📝 The appointment page${where} changed`,
+		operational: false,
+		target,
+		change,
+		check,
+	})
+}
+
+/**
+ * Send an error alert (error)
+ * @param {string|Error} error - The error message, or a checker error (see errors.js)
+ * @param {object} target - Target the error happened on, used for routing (optional)
+ * @param {object} check - Check the alert came from (optional, see alertAvailability())
+ * @param {number} failures - Failed checks in a row (optional, see alert-state.js)
+ * @returns {Promise<Array<object>>} Per-channel results (see dispatch())
+ */
+export async function alertError(error, target, check, failures) {
+	const errorMessage = typeof error === "string" ? error : error.message
+	const where = target?.label ? ` (${target.label})` : ""
+	const blocked = error instanceof BlockedError
+	const streak = failures > 1 ? ` (${failures} checks in a row)` : ""
+
+	return send("Error", {
+		type: "error",
+		severity: "error",
+		title: blocked ? "Consulate Checker Blocked" : "Consulate Checker Error",
+		message: `Checker error${where}${streak}: ${errorMessage}`,
+		summary: `⚠️ German Consulate checker error${where}: ${errorMessage}`,
+		variant: blocked ? "blocked" : undefined,
+		operational: true,
+		target,
+		error,
+		check,
+	})
+}
+
+/**
+ * Send a "recovered" notice after an error alert
+ * Same severity as the error alert so it reaches the same channels, but ntfy
+ * delivers it at normal priority (see NTFY_EVENT_STYLES in notifiers.js)
+ * @param {object} target - Target that works again
+ * @param {number} failures - Failed checks before this one
+ * @param {object} check - Check the alert came from (optional, see alertAvailability())
+ * @returns {Promise<Array<object>>} Per-channel results (see dispatch())
+ */
+export async function alertRecovered(target, failures, check) {
+	const where = target?.label ? ` (${target.label})` : ""
+
+	return send("Recovery", {
+		type: "recovered",
+		severity: "error",
+		title: "Consulate Checker Recovered",
+		message: `Checks${where} work again after ${failures} failed in a row.`,
+		summary: `✅ German Consulate checker${where} recovered after ${failures} failures`,
+		operational: true,
+		target,
+		check,
+	})
+}
+
+/**
+ * Send a "captcha budget used up" alert (warning)
+ * @param {object} status - From getBudgetStatus() in captcha-spend.js
+ * @returns {Promise<Array<object>>} Per-channel results (see dispatch())
+ */
+export async function alertBudget(status) {
+	return send("Budget", {
+		type: "budget",
+		severity: "warning",
+		title: "Captcha Budget Exceeded",
+		message: status.message,
+		summary: `💸 ${status.message}`,
+		operational: true,
+	})
+}
+
+/**
+ * Send a "CapSolver credit running low" alert (warning)
+ * @param {object} check - From checkCapSolverBalance() in captcha-spend.js
+ * @returns {Promise<Array<object>>} Per-channel results (see dispatch())
+ */
+export async function alertLowBalance(check) {
+	const balance = `CapSolver balance is $${check.balance.toFixed(
+		2
+	)} (alert threshold $${check.threshold.toFixed(2)})`
 
-	// Return success if at least one notification was sent
-	return results.length > 0
+	return send("Balance", {
+		type: "lowBalance",
+		severity: "warning",
+		title: "CapSolver Balance Low",
+		message: `${balance}. Top up at capsolver.com before captchas start failing.`,
+		summary: `💸 ${balance}`,
+		operational: true,
+	})
 }
@@ -0,0 +1,133 @@
+/**
+ * Email notification module using SMTP (nodemailer)
+ * Works with any SMTP server: a mail provider (Gmail app password, Fastmail,
+ * SES, ...), a self-hosted relay, or a local sink such as Mailpit for testing.
+ *
+ * Slot alerts are HTML with the bookable dates, direct links and the
+ * screenshot of the month page attached; everything else is plain text.
+ */
+
+import nodemailer from "nodemailer"
+import { formatSlotDates } from "./notify.js"
+
+/**
+ * Escape text for HTML
+ * @private
+ */
+function escapeHtml(text) {
+	return String(text).replace(
+		/[&<>"']/g,
+		(char) =>
+			({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[
+				char
+			]
+	)
+}
+
+/**
+ * Build an SMTP transport
+ * @param {object} options - SMTP settings
+ * @param {string} options.host - SMTP server
+ * @param {number} options.port - Port (default 465 with secure, else 587)
+ * @param {boolean} options.secure - TLS from the start (port 465); otherwise STARTTLS is used when the server offers it
+ * @param {boolean} options.requireTLS - Refuse to send unless STARTTLS succeeds
+ * @param {boolean} options.rejectUnauthorized - Verify the server certificate (default true)
+ * @param {string} options.user - Username (optional - no auth without it)
+ * @param {string} options.pass - Password
+ * @returns {object} nodemailer transport
+ */
+export function createEmailTransport(options) {
+	if (!options.host) {
+		throw new Error("SMTP host is not set")
+	}
+
+	const secure = options.secure === true || options.secure === "true"
+	return nodemailer.createTransport({
+		host: options.host,
+		port: Number(options.port) || (secure ? 465 : 587),
+		secure,
+		requireTLS: options.requireTLS === true || options.requireTLS === "true",
+		auth: options.user ? { user: options.user, pass: options.pass } : undefined,
+		tls: { rejectUnauthorized: options.rejectUnauthorized !== false },
+		connectionTimeout: 15000,
+		greetingTimeout: 15000,
+		socketTimeout: 30000,
+	})
+}
+
+/**
+ * Render a slot alert as HTML
+ * @param {object} event - Availability event (see notifiers.js)
+ * @param {boolean} withScreenshot - Whether the screenshot is attached inline
+ * @returns {string} HTML body
+ */
+export function formatAvailabilityHtml(event, withScreenshot) {
+	const result = event.result || {}
+	const label = event.target?.label || result.target?.label
+	const pageUrl = event.url || event.target?.url || result.target?.url
+	const slots = (result.slots || [])
+		.map(
+			(slot) =>
+				`<li><a href="${escapeHtml(slot.url)}">${escapeHtml(slot.date)}</a></li>`
+		)
+		.join("\n")
+
+	return `<!DOCTYPE html>
+<html><body style="font-family: sans-serif">
+<h2>🚨 ${escapeHtml(event.title)}</h2>
+<p>${
+		slots
+			? `Bookable dates${label ? ` for <b>${escapeHtml(label)}</b>` : ""}: ${escapeHtml(
+					formatSlotDates(result)
+				)}. Book immediately - slots go within minutes.`
+			: escapeHtml(event.message)
+	}</p>
+${slots ? `<ul>\n${slots}\n</ul>` : ""}
+${pageUrl ? `<p><a href="${escapeHtml(pageUrl)}">Open the ${result.monthUrl ? "month with slots" : "appointment page"}</a></p>` : ""}
+${withScreenshot ? '<p><img src="cid:screenshot" alt="Month view with slots" style="max-width: 100%"></p>' : ""}
+</body></html>`
+}
+
+/**
+ * Send a notification email
+ * @param {object} transport - From createEmailTransport()
+ * @param {object} event - Event to send (see notifiers.js)
+ * @param {object} options - Addressing
+ * @param {string} options.from - Sender address
+ * @param {string[]} options.to - Recipients
+ * @returns {Promise<boolean>} True if the server accepted the message
+ */
+export async function sendEmail(transport, event, options) {
+	if (!options.to || options.to.length === 0) {
+		throw new Error("No email recipients configured")
+	}
+
+	const message = {
+		from: options.from,
+		to: options.to.join(", "),
+		subject: event.title,
+		text: event.message,
+	}
+
+	if (event.type === "availability") {
+		const screenshot = event.result?.screenshot
+		message.html = formatAvailabilityHtml(event, Boolean(screenshot))
+		if (screenshot) {
+			message.attachments = [
+				{
+					filename: "appointments.png",
+					content: Buffer.from(screenshot, "base64"),
+					contentType: "image/png",
+					cid: "screenshot",
+				},
+			]
+		}
+	}
+
+	try {
+		await transport.sendMail(message)
+		return true
+	} catch (err) {
+		throw new Error(`Email send failed: ${err.message}`)
+	}
+}
@@ -0,0 +1,299 @@
+/**
+ * Telegram bot notifications and commands
+ * https://core.telegram.org/bots/api
+ *
+ * Alerts are sent with sendMessage to the configured chats. The same bot
+ * long-polls getUpdates for commands from those chats (anyone else is ignored)
+ * and answers them through the scheduler control from index.js:
+ *   /status  last check of every target and when it ran
+ *   /check   run a check now
+ *   /pause   stop checking until /resume
+ *   /resume  start checking again
+ *   /next    when the next check is due
+ */
+
+import { request } from "./http-client.js"
+import { formatDuration } from "./scheduler.js"
+
+const TELEGRAM_API_URL = "https://api.telegram.org"
+// Telegram rejects longer messages
+const MAX_MESSAGE_LENGTH = 4096
+// Seconds a getUpdates call waits for new messages
+const POLL_TIMEOUT = 30
+// Wait before polling again after a failed getUpdates
+const POLL_RETRY_MS = 10000
+
+const HELP = `Commands:
+/status - last check result and time
+/check - run a check now
+/pause - stop checking until /resume
+/resume - start checking again
+/next - time of the next check`
+
+/**
+ * Call a Bot API method
+ * @param {object} options - Bot settings
+ * @param {string} options.token - Bot token from @BotFather
+ * @param {string} options.apiUrl - Bot API server (default https://api.telegram.org)
+ * @param {string} options.proxy - Proxy for the requests (optional, see http-client.js)
+ * @param {string} method - API method (e.g. "sendMessage")
+ * @param {object} params - Method parameters
+ * @param {AbortSignal} signal - Abort signal (optional)
+ * @returns {Promise<*>} The "result" field of the response
+ */
+export async function callTelegram(options, method, params, signal) {
+	if (!options.token) {
+		throw new Error("Telegram bot token is not set")
+	}
+
+	const response = await request(
+		`${options.apiUrl || TELEGRAM_API_URL}/bot${options.token}/${method}`,
+		{
+			json: params,
+			signal,
+			proxy: options.proxy,
+			// getUpdates holds the request open for params.timeout seconds
+			timeoutMs: (params.timeout ?? 0) * 1000 + 15000,
+		}
+	).catch((err) => {
+		throw new Error(`Telegram ${method} failed: ${err.message}`, {
+			cause: err,
+		})
+	})
+	const data = response.data || {}
+
+	if (!response.ok || !data.ok) {
+		throw new Error(
+			`Telegram ${method} failed: ${data.description || `HTTP ${response.status}`}`
+		)
+	}
+
+	return data.result
+}
+
+/**
+ * Send a text message to every chat
+ * @param {object} options - Bot settings (see callTelegram())
+ * @param {string[]} chatIds - Chats to send to
+ * @param {string} text - Message text
+ * @returns {Promise<boolean>} True if every chat got it
+ */
+export async function sendTelegram(options, chatIds, text) {
+	if (chatIds.length === 0) {
+		throw new Error("No Telegram chats configured")
+	}
+
+	const message =
+		text.length > MAX_MESSAGE_LENGTH
+			? `${text.slice(0, MAX_MESSAGE_LENGTH - 1)}…`
+			: text
+	const results = await Promise.allSettled(
+		chatIds.map((chatId) =>
+			callTelegram(options, "sendMessage", {
+				chat_id: chatId,
+				text: message,
+				disable_web_page_preview: true,
+			})
+		)
+	)
+	const errors = results
+		.filter((r) => r.status === "rejected")
+		.map((r) => r.reason.message)
+
+	if (errors.length > 0) {
+		throw new Error(errors.join("; "))
+	}
+	return true
+}
+
+/**
+ * Render an event as a Telegram message
+ * @param {object} event - Event to send (see notifiers.js)
+ * @returns {string} Message text
+ */
+export function formatTelegramMessage(event) {
+	const links = (event.result?.slots || []).map(
+		(slot) => `📅 ${slot.date}: ${slot.url}`
+	)
+	return [event.title, event.message, ...links].join("\n\n")
+}
+
+/**
+ * Describe the scheduler state for /status
+ * @private
+ */
+function formatStatus(status) {
+	const lines = [
+		status.paused
+			? "⏸️ Paused"
+			: status.running
+				? "🔄 Checking now"
+				: "▶️ Running",
+	]
+
+	if (!status.lastRun) {
+		lines.push("No check has finished yet")
+	} else {
+		lines.push(
+			`Last check: ${status.lastRun.finishedAt.toLocaleString()} (${
+				status.lastRun.ok ? "ok" : "failed"
+			})`
+		)
+	}
+
+	for (const target of status.targets) {
+		const icon = !target.ok ? "❌" : target.available ? "🎉" : "ℹ️"
+		lines.push(`${icon} ${target.label}: ${target.message}`)
+		for (const slot of target.slots) {
+			lines.push(`📅 ${slot.date}: ${slot.url}`)
+		}
+	}
+
+	return lines.join("\n")
+}
+
+/**
+ * Describe when the next check runs for /next
+ * @private
+ */
+function formatNext(status) {
+	if (status.paused) {
+		return "⏸️ Paused - no check until /resume"
+	}
+	if (status.running || !status.nextCheckAt) {
+		return "🔄 A check is running now"
+	}
+	return `⏰ Next check at ${status.nextCheckAt.toLocaleTimeString()} (in ${formatDuration(
+		Math.max(0, status.nextCheckAt - Date.now())
+	)})`
+}
+
+/**
+ * Answer a bot command
+ * @param {string} text - Message text (e.g. "/status" or "/status@MyBot")
+ * @param {object} control - Scheduler control from index.js: status(), checkNow(), pause(), resume()
+ * @param {(text: string) => Promise<*>} reply - Send a message back to the chat
+ * @returns {Promise<void>}
+ */
+export async function handleCommand(text, control, reply) {
+	const command = text.trim().split(/\s+/)[0].split("@")[0].toLowerCase()
+
+	switch (command) {
+		case "/status":
+			return reply(formatStatus(control.status()))
+
+		case "/check": {
+			await reply(
+				control.status().running
+					? "🔄 A check is already running, waiting for it..."
+					: "🔄 Checking now..."
+			)
+			const ok = await control.checkNow()
+			return reply(
+				`${ok ? "✅ Check finished" : "⚠️ Check failed"}\n${formatStatus(
+					control.status()
+				)}`
+			)
+		}
+
+		case "/pause":
+			return reply(
+				control.pause()
+					? "⏸️ Paused - no checks until /resume"
+					: "⏸️ Already paused"
+			)
+
+		case "/resume": {
+			if (!control.resume()) {
+				return reply("▶️ Not paused")
+			}
+			// The scheduler picks the next check time once it wakes up
+			await new Promise((resolve) => setImmediate(resolve))
+			return reply(`▶️ Resumed\n${formatNext(control.status())}`)
+		}
+
+		case "/next":
+			return reply(formatNext(control.status()))
+
+		default:
+			return reply(HELP)
+	}
+}
+
+/**
+ * Poll for commands and answer them
+ * Each command is answered in the background, so polling goes on during a
+ * long /check
+ * @param {object} options - Bot settings (see callTelegram())
+ * @param {number} options.pollTimeout - Seconds each getUpdates call waits (default 30)
+ * @param {number} options.retryMs - Wait after a failed getUpdates (default 10000)
+ * @param {string[]} chatIds - Chats whose commands are accepted
+ * @param {object} control - Scheduler control (see handleCommand())
+ * @returns {{stop: () => void, done: Promise<void>}} stop() ends polling; done resolves once it has and the commands still running are answered
+ */
+export function startTelegramBot(options, chatIds, control) {
+	const abort = new AbortController()
+	const allowed = new Set(chatIds.map(String))
+	// Commands sent while the checker was down are stale (Telegram dates are in seconds)
+	const startedAt = Math.floor(Date.now() / 1000)
+	// Commands still being answered
+	const running = new Set()
+
+	const poll = async () => {
+		let offset = 0
+
+		while (!abort.signal.aborted) {
+			let updates
+			try {
+				updates = await callTelegram(
+					options,
+					"getUpdates",
+					{
+						offset,
+						timeout: options.pollTimeout ?? POLL_TIMEOUT,
+						allowed_updates: ["message"],
+					},
+					abort.signal
+				)
+			} catch (err) {
+				if (abort.signal.aborted) {
+					break
+				}
+				console.error(`[Telegram] Polling failed: ${err.message}`)
+				await new Promise((resolve) =>
+					setTimeout(resolve, options.retryMs ?? POLL_RETRY_MS)
+				)
+				continue
+			}
+
+			for (const update of updates) {
+				offset = update.update_id + 1
+				const message = update.message
+				if (!message?.text?.startsWith("/") || message.date < startedAt) {
+					continue
+				}
+
+				const chatId = String(message.chat.id)
+				if (!allowed.has(chatId)) {
+					console.log(`[Telegram] Ignoring command from chat ${chatId}`)
+					continue
+				}
+
+				console.log(`[Telegram] ${message.text} from chat ${chatId}`)
+				// Not awaited, so a /pause or /status during a long /check is answered
+				const command = handleCommand(message.text, control, (text) =>
+					sendTelegram(options, [chatId], text)
+				)
+					.catch((err) => {
+						console.error(`[Telegram] ${message.text} failed: ${err.message}`)
+					})
+					.finally(() => running.delete(command))
+				running.add(command)
+			}
+		}
+
+		await Promise.all(running)
+	}
+
+	return { stop: () => abort.abort(), done: poll() }
+}
@@ -1,22 +1,52 @@
 /**
- * Push notification module using ntfy.sh
- * https://ntfy.sh - simple HTTP-based pub/sub notifications
+ * Push notification module using ntfy
+ * https://ntfy.sh - simple HTTP-based pub/sub notifications, either on ntfy.sh
+ * or a self-hosted server (NTFY_SERVER) with access control
  *
- * Note: Uses curl instead of fetch due to Node.js undici network issues
- * on some servers (ETIMEDOUT with IPv4/IPv6 dual-stack)
+ * Also home of the generic webhook channel: a signed, versioned JSON POST for
+ * tooling such as Home Assistant, Slack relays or queues.
+ *
+ * Requests go through http-client.js (IPv4 only by default - some servers time
+ * out on ntfy.sh over IPv6)
  */
 
-import { execSync } from "node:child_process"
+import { createHmac, randomUUID } from "node:crypto"
+import { request } from "./http-client.js"
+
+const DEFAULT_NTFY_SERVER = "https://ntfy.sh"
+// ntfy shows at most three action buttons
+const MAX_NTFY_ACTIONS = 3
 
-const NTFY_BASE_URL = "https://ntfy.sh"
+/**
+ * Encode a header value that isn't plain ASCII (RFC 2047, decoded by ntfy)
+ * @private
+ */
+function encodeHeader(value) {
+	return /^[\x20-\x7e]*$/.test(value)
+		? value
+		: `=?UTF-8?B?${Buffer.from(value).toString("base64")}?=`
+}
 
 /**
- * Send a push notification via ntfy.sh
+ * Send a push notification via ntfy
  * @param {string} message - The notification message
  * @param {object} options - Optional settings
+ * @param {string} options.topic - Topic (defaults to env NTFY_TOPIC)
+ * @param {string} options.server - ntfy server (defaults to env NTFY_SERVER, or https://ntfy.sh)
+ * @param {string} options.token - Access token (defaults to env NTFY_TOKEN)
+ * @param {string} options.user - Username for basic auth instead of a token (defaults to env NTFY_USER)
+ * @param {string} options.password - Password for basic auth (defaults to env NTFY_PASSWORD)
  * @param {string} options.title - Notification title
  * @param {string} options.priority - Priority: min, low, default, high, urgent
  * @param {string[]} options.tags - Emoji tags (e.g., ['warning', 'skull'])
+ * @param {string} options.click - URL opened when the notification is tapped
+ * @param {Array<{label: string, url: string}>} options.actions - Link buttons (first three are shown)
+ * @param {Buffer} options.attachment - File to attach (e.g. a screenshot); if the server rejects it, the message is sent without it
+ * @param {string} options.filename - Name of the attachment (default "attachment")
+ * @param {string} options.delay - Scheduled delivery, e.g. "30m" or "tomorrow, 9am" (optional)
+ * @param {boolean} options.cache - false keeps the message out of the server's cache (default true)
+ * @param {boolean} options.firebase - false skips Firebase, i.e. Android push via Google (default true)
+ * @param {string} options.proxy - Proxy to send through (optional, see http-client.js)
  */
 export async function notify(message, options = {}) {
 	const topic = options.topic || process.env.NTFY_TOPIC
@@ -25,52 +55,235 @@ export async function notify(message, options = {}) {
 		throw new Error("NTFY_TOPIC environment variable is not set")
 	}
 
-	// Build curl command with headers
-	const headers = []
+	const server = (
+		options.server ||
+		process.env.NTFY_SERVER ||
+		DEFAULT_NTFY_SERVER
+	).replace(/\/+$/, "")
+	const token = options.token ?? process.env.NTFY_TOKEN
+	const user = options.user ?? process.env.NTFY_USER
+	const password = options.password ?? process.env.NTFY_PASSWORD
+	const headers = {}
+
+	if (token) {
+		headers.Authorization = `Bearer ${token}`
+	} else if (user) {
+		headers.Authorization = `Basic ${Buffer.from(`${user}:${password ?? ""}`).toString("base64")}`
+	}
 
 	if (options.title) {
-		headers.push(`-H "Title: ${options.title}"`)
+		headers.Title = encodeHeader(options.title)
 	}
 
 	if (options.priority) {
-		headers.push(`-H "Priority: ${options.priority}"`)
+		headers.Priority = options.priority
 	}
 
 	if (options.tags && options.tags.length > 0) {
-		headers.push(`-H "Tags: ${options.tags.join(",")}"`)
+		headers.Tags = encodeHeader(options.tags.join(","))
+	}
+
+	if (options.click) {
+		headers.Click = options.click
+	}
+
+	if (options.actions && options.actions.length > 0) {
+		// Short format: "view, <label>, <url>"; commas and semicolons would split it
+		headers.Actions = encodeHeader(
+			options.actions
+				.slice(0, MAX_NTFY_ACTIONS)
+				.map(
+					(action) =>
+						`view, ${action.label.replace(/[,;]/g, " ")}, ${action.url}`
+				)
+				.join("; ")
+		)
 	}
 
-	const url = `${NTFY_BASE_URL}/${topic}`
-	const escapedMessage = message.replace(/"/g, '\\"')
-	const cmd = `curl -s ${headers.join(" ")} -d "${escapedMessage}" "${url}"`
+	if (options.delay) {
+		headers.Delay = String(options.delay)
+	}
+
+	if (options.cache === false) {
+		headers.Cache = "no"
+	}
+
+	if (options.firebase === false) {
+		headers.Firebase = "no"
+	}
+
+	const publish = (attachment) => {
+		const publishHeaders = { ...headers }
+		if (attachment) {
+			// The file is the request body, so the text moves to the Message header
+			publishHeaders.Filename = options.filename || "attachment"
+			publishHeaders.Message = encodeHeader(message)
+		}
+		return request(`${server}/${topic}`, {
+			method: attachment ? "PUT" : "POST",
+			headers: publishHeaders,
+			body: attachment || message,
+			proxy: options.proxy,
+			// Uploads take longer than a text message
+			timeoutMs: attachment ? 30000 : 10000,
+			retries: 2,
+			// A timed out publish may have gone through; a retry would push it twice
+			retryTimeouts: false,
+		})
+	}
+
+	let response = await publish(options.attachment)
+
+	// Servers with attachments turned off answer 400, ntfy.sh answers 413 for
+	// files over its limit: the text still has to get through without the file
+	if (
+		options.attachment &&
+		response.status >= 400 &&
+		response.status < 500 &&
+		![401, 403].includes(response.status)
+	) {
+		console.warn(
+			`ntfy ${server} rejected the attachment (HTTP ${response.status}: ${
+				response.data?.error || response.text
+			}), sending the message without it`
+		)
+		response = await publish(null)
+	}
 
-	try {
-		execSync(cmd, { encoding: "utf8", timeout: 10000 })
-		return true
-	} catch (err) {
-		throw new Error(`ntfy.sh curl failed: ${err.message}`)
+	if (!response.ok) {
+		throw new Error(
+			`ntfy ${server} HTTP ${response.status}: ${response.data?.error || response.text}`
+		)
 	}
+	return true
 }
 
 /**
- * Send an availability alert (high priority, loud)
+ * Format the bookable dates from a check result for alert text
+ * @param {object} result - Result from checkAppointments()
+ * @returns {string} Comma-separated dates, or an empty string if none
  */
-export async function notifyAvailability() {
-	return notify("🚨 APPOINTMENT SLOTS MAY BE AVAILABLE! Check immediately!", {
-		title: "German Consulate - Appointments Available!",
-		priority: "urgent",
-		tags: ["rotating_light", "de"],
-	})
+export function formatSlotDates(result) {
+	return (result?.slots || []).map((slot) => slot.date).join(", ")
+}
+
+/**
+ * List the months with slots and a link to each, for alert text
+ * @param {object} result - Result from checkAppointments()
+ * @returns {string[]} One line per month, e.g. "📅 2026-01 (2 days): https://..."
+ */
+export function formatSlotMonths(result) {
+	return (result?.months || [])
+		.filter((month) => month.available)
+		.map((month) => {
+			const days = `${month.slots.length} ${month.slots.length === 1 ? "day" : "days"}`
+			return `📅 ${month.month} (${days})${month.url ? `: ${month.url}` : ""}`
+		})
+}
+
+// Bumped when a field changes meaning or goes away; new fields don't bump it
+export const WEBHOOK_PAYLOAD_VERSION = 1
+
+/**
+ * Build the JSON body of a webhook
+ * @param {object} event - Event to send (see notifiers.js)
+ * @param {Date} sentAt - Delivery time (default now)
+ * @returns {object} Versioned payload
+ */
+export function buildWebhookPayload(event, sentAt = new Date()) {
+	const target = event.target || event.result?.target
+	const error = event.error
+
+	return {
+		version: WEBHOOK_PAYLOAD_VERSION,
+		event: event.type,
+		severity: event.severity,
+		title: event.title,
+		message: event.message,
+		target: target
+			? { id: target.id ?? null, label: target.label, url: target.url ?? null }
+			: null,
+		url: event.url ?? null,
+		slots: event.result?.slots || [],
+		booking: event.booking || null,
+		pageChange: event.change ? { diff: event.change.diff } : null,
+		error: error
+			? {
+					name: typeof error === "string" ? "Error" : error.name,
+					message: typeof error === "string" ? error : error.message,
+				}
+			: null,
+		checkId: event.check?.id ?? null,
+		checkStartedAt: event.check?.startedAt?.toISOString() ?? null,
+		sentAt: sentAt.toISOString(),
+	}
+}
+
+/**
+ * Sign a webhook body
+ * Receivers recompute HMAC-SHA256(secret, `${timestamp}.${body}`) and compare it
+ * with the X-Checker-Signature header; the timestamp guards against replays
+ * @param {string} secret - Shared secret
+ * @param {number} timestamp - Unix seconds (X-Checker-Timestamp header)
+ * @param {string} body - Raw JSON body
+ * @returns {string} "sha256=<hex>"
+ */
+export function signWebhook(secret, timestamp, body) {
+	const hmac = createHmac("sha256", secret)
+		.update(`${timestamp}.${body}`)
+		.digest("hex")
+	return `sha256=${hmac}`
 }
 
 /**
- * Send an error notification
+ * POST an event to a webhook, retrying with exponential backoff
+ * Network errors, timeouts, 429 and 5xx are retried; other 4xx are not
+ * @param {object} event - Event to send (see notifiers.js)
+ * @param {object} options - Webhook settings
+ * @param {string} options.url - Endpoint
+ * @param {string} options.secret - HMAC secret (optional - unsigned without it)
+ * @param {Object<string, string>} options.headers - Extra headers (e.g. Authorization)
+ * @param {number} options.retries - Retries after the first attempt (default 4)
+ * @param {number} options.retryDelayMs - First retry delay, doubled each time (default 1000)
+ * @param {number} options.timeoutMs - Timeout per attempt (default 10000)
+ * @returns {Promise<{status: number, attempts: number}>}
  */
-export async function notifyError(errorMessage) {
-	return notify(`Checker error: ${errorMessage}`, {
-		title: "Consulate Checker Error",
-		priority: "high",
-		tags: ["warning"],
-		topic: process.env.NTFY_ERROR_TOPIC || process.env.NTFY_TOPIC,
+export async function sendWebhook(event, options) {
+	if (!options.url) {
+		throw new Error("Webhook URL is not set")
+	}
+
+	// Same id on every attempt so receivers can drop duplicates
+	const deliveryId = randomUUID()
+	// Sent time and signature are per attempt
+	const response = await request(options.url, {
+		method: "POST",
+		body: () => JSON.stringify(buildWebhookPayload(event)),
+		headers: (attempt, body) => {
+			const timestamp = Math.floor(Date.now() / 1000)
+			return {
+				"Content-Type": "application/json",
+				"User-Agent": "consulate-checker",
+				"X-Checker-Event": event.type,
+				"X-Checker-Delivery": deliveryId,
+				"X-Checker-Timestamp": String(timestamp),
+				...(options.secret && {
+					"X-Checker-Signature": signWebhook(options.secret, timestamp, body),
+				}),
+				...options.headers,
+			}
+		},
+		proxy: options.proxy,
+		ipv4: options.ipv4,
+		timeoutMs: options.timeoutMs ?? 10000,
+		retries: options.retries ?? 4,
+		retryDelayMs: options.retryDelayMs ?? 1000,
+	}).catch((err) => {
+		throw new Error(`Webhook ${options.url} failed: ${err.message}`)
 	})
+
+	if (!response.ok) {
+		throw new Error(`Webhook ${options.url} failed: HTTP ${response.status}`)
+	}
+	return { status: response.status, attempts: response.attempts }
 }
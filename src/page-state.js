@@ -0,0 +1,179 @@
+/**
+ * Page state classifier for the RK-Termin booking site
+ * Maps a loaded page (HTML + HTTP status) to one of a fixed set of states so the
+ * checker can decide what to do next instead of probing for individual selectors.
+ */
+
+import {
+	BlockedError,
+	CaptchaFailedError,
+	SessionExpiredError,
+	SiteDownError,
+	UnexpectedPageError,
+} from "./errors.js"
+import { parseMonthPage } from "./month-page.js"
+
+export const PageState = Object.freeze({
+	CAPTCHA: "captcha",
+	MONTH_NO_SLOTS: "month-no-slots",
+	MONTH_WITH_SLOTS: "month-with-slots",
+	DAY_VIEW: "day-view",
+	BOOKING_FORM: "booking-form",
+	BOOKING_CONFIRMED: "booking-confirmed",
+	MAINTENANCE: "maintenance",
+	BLOCKED: "blocked",
+	SESSION_EXPIRED: "session-expired",
+	UNKNOWN: "unknown",
+})
+
+// Lowercased phrases (English and German) that identify the non-booking pages
+const MAINTENANCE_PHRASES = [
+	"maintenance",
+	"wartungsarbeiten",
+	"temporarily unavailable",
+	"vorübergehend nicht verfügbar",
+	"service unavailable",
+	"currently not available",
+]
+
+const BLOCKED_PHRASES = [
+	"access denied",
+	"request rejected",
+	"the requested url was rejected",
+	"zugriff verweigert",
+	"too many requests",
+]
+
+const BOOKING_CONFIRMED_PHRASES = [
+	"appointment has been booked",
+	"successfully booked",
+	"appointment request has been",
+	"termin wurde gebucht",
+	"erfolgreich gebucht",
+	"terminanfrage wurde",
+]
+
+const SESSION_EXPIRED_PHRASES = [
+	"session has expired",
+	"session expired",
+	"sitzung ist abgelaufen",
+	"sitzung abgelaufen",
+]
+
+/**
+ * Reduce HTML to lowercased visible text for phrase matching
+ * @private
+ */
+function toText(html) {
+	return html
+		.replace(/<script[\s\S]*?<\/script>/gi, " ")
+		.replace(/<style[\s\S]*?<\/style>/gi, " ")
+		.replace(/<[^>]*>/g, " ")
+		.replace(/\s+/g, " ")
+		.toLowerCase()
+}
+
+/**
+ * Classify a loaded page
+ * @param {object} page - Loaded page
+ * @param {string} page.html - Page HTML
+ * @param {number} page.status - HTTP status of the document response (optional)
+ * @param {string} page.url - Page URL (used to resolve links and detect the day view)
+ * @returns {{state: string, status: number|null, url: string, month: object|null}} month is the parseMonthPage() result on month pages
+ */
+export function classifyPage({ html = "", status = null, url = "" }) {
+	const result = { state: PageState.UNKNOWN, status, url, month: null }
+	const text = toText(html)
+	const hasPhrase = (phrases) => phrases.some((phrase) => text.includes(phrase))
+
+	// HTTP status wins over whatever the error page says
+	if (status === 403 || status === 429) {
+		return { ...result, state: PageState.BLOCKED }
+	}
+	if (status >= 500) {
+		return { ...result, state: PageState.MAINTENANCE }
+	}
+
+	// The booking form carries a captcha too, so check for it first
+	if (/id="appointment_newAppointmentForm"/i.test(html)) {
+		return { ...result, state: PageState.BOOKING_FORM }
+	}
+
+	if (/name="captchaText"/i.test(html)) {
+		return { ...result, state: PageState.CAPTCHA }
+	}
+
+	const month = parseMonthPage(html, url)
+	if (month.isMonthPage) {
+		return {
+			...result,
+			state:
+				month.slots.length > 0
+					? PageState.MONTH_WITH_SLOTS
+					: PageState.MONTH_NO_SLOTS,
+			month,
+		}
+	}
+
+	if (
+		/appointment_showDay\.do/.test(url) ||
+		/appointment_showForm\.do/.test(html)
+	) {
+		return { ...result, state: PageState.DAY_VIEW }
+	}
+
+	if (hasPhrase(BOOKING_CONFIRMED_PHRASES)) {
+		return { ...result, state: PageState.BOOKING_CONFIRMED }
+	}
+	if (hasPhrase(SESSION_EXPIRED_PHRASES)) {
+		return { ...result, state: PageState.SESSION_EXPIRED }
+	}
+	if (hasPhrase(MAINTENANCE_PHRASES)) {
+		return { ...result, state: PageState.MAINTENANCE }
+	}
+	if (hasPhrase(BLOCKED_PHRASES)) {
+		return { ...result, state: PageState.BLOCKED }
+	}
+
+	return result
+}
+
+/**
+ * Build the typed error for a page that is not in an expected state
+ * @param {object} classification - Result from classifyPage()
+ * @param {string} context - What the checker was doing (used in the message)
+ * @returns {import("./errors.js").CheckerError}
+ */
+export function errorForPageState(classification, context) {
+	const { state, status, url } = classification
+	const options = { state, url }
+	const statusText = status ? ` (HTTP ${status})` : ""
+
+	switch (state) {
+		case PageState.BLOCKED:
+			return new BlockedError(
+				`Blocked by the consulate site${statusText} while ${context} - consider a proxy`,
+				options
+			)
+		case PageState.MAINTENANCE:
+			return new SiteDownError(
+				`Consulate site is down for maintenance${statusText} while ${context}`,
+				options
+			)
+		case PageState.SESSION_EXPIRED:
+			return new SessionExpiredError(
+				`Session expired while ${context}`,
+				options
+			)
+		case PageState.CAPTCHA:
+			return new CaptchaFailedError(
+				`Unexpected captcha page while ${context}`,
+				options
+			)
+		default:
+			return new UnexpectedPageError(
+				`Unexpected page (${state})${statusText} while ${context}`,
+				options
+			)
+	}
+}
@@ -0,0 +1,141 @@
+/**
+ * Change detection for the "no appointments" page
+ * The consulate sometimes changes the announcement text or adds notices about
+ * upcoming release dates long before any slot shows up. Each target keeps a
+ * baseline (hash + normalized text of the current month's content area) in
+ * STATE_DIR/pages/, and a check that sees different text reports a page change
+ * with a line diff.
+ */
+
+import dotenv from "dotenv"
+import { createHash } from "node:crypto"
+import fs from "node:fs"
+import { getStatePath } from "./config.js"
+
+dotenv.config()
+
+const DEBUG = process.env.DEBUG === "true"
+const PAGE_CHANGE_ALERTS = process.env.PAGE_CHANGE_ALERTS !== "false"
+
+/**
+ * Path of the stored baseline for a target
+ * @private
+ */
+function baselinePath(targetId) {
+	return getStatePath("pages", `${targetId.replace(/[^\w-]/g, "_")}.json`)
+}
+
+/**
+ * Hash normalized page text
+ * @private
+ */
+function hashText(text) {
+	return createHash("sha256").update(text).digest("hex")
+}
+
+/**
+ * Line diff between two texts (longest common subsequence)
+ * @param {string} previousText - Old text
+ * @param {string} text - New text
+ * @returns {string} Removed lines prefixed with "- ", added lines with "+ "
+ */
+export function diffLines(previousText, text) {
+	const before = previousText ? previousText.split("\n") : []
+	const after = text ? text.split("\n") : []
+
+	// lengths[i][j] = LCS length of before[i..] and after[j..]
+	const lengths = Array.from({ length: before.length + 1 }, () =>
+		new Array(after.length + 1).fill(0)
+	)
+	for (let i = before.length - 1; i >= 0; i--) {
+		for (let j = after.length - 1; j >= 0; j--) {
+			lengths[i][j] =
+				before[i] === after[j]
+					? lengths[i + 1][j + 1] + 1
+					: Math.max(lengths[i + 1][j], lengths[i][j + 1])
+		}
+	}
+
+	const lines = []
+	let i = 0
+	let j = 0
+	while (i < before.length || j < after.length) {
+		if (i < before.length && j < after.length && before[i] === after[j]) {
+			i++
+			j++
+		} else if (
+			j >= after.length ||
+			(i < before.length && lengths[i + 1][j] >= lengths[i][j + 1])
+		) {
+			lines.push(`- ${before[i++]}`)
+		} else {
+			lines.push(`+ ${after[j++]}`)
+		}
+	}
+
+	return lines.join("\n")
+}
+
+/**
+ * Compare a check result's page text with the target's baseline
+ * Only pages without slots are compared - slot alerts cover the rest. The first
+ * check of a target just records the baseline.
+ * @param {object} target - Target that was checked
+ * @param {object} result - Result from checkAppointments()
+ * @returns {{previousHash: string, hash: string, previousText: string, text: string, diff: string, since: string}|null} null if nothing changed, or if the baseline couldn't be saved
+ */
+export function detectPageChange(target, result) {
+	const text = result.pageText
+	if (!PAGE_CHANGE_ALERTS || !text || result.months?.[0]?.available) {
+		return null
+	}
+
+	const file = baselinePath(target.id)
+	const hash = hashText(text)
+	let baseline = null
+
+	if (fs.existsSync(file)) {
+		try {
+			baseline = JSON.parse(fs.readFileSync(file, "utf8"))
+		} catch (err) {
+			console.error(
+				`[PageWatch] Ignoring unreadable baseline ${file}: ${err.message}`
+			)
+		}
+	}
+
+	if (baseline?.hash === hash) {
+		return null
+	}
+
+	try {
+		fs.writeFileSync(
+			file,
+			JSON.stringify(
+				{ hash, text, updatedAt: new Date().toISOString() },
+				null,
+				2
+			)
+		)
+	} catch (err) {
+		// Not worth losing the check result over; the next check tries again
+		console.error(`[PageWatch] Could not save baseline ${file}: ${err.message}`)
+		return null
+	}
+
+	if (!baseline) {
+		if (DEBUG) {
+			console.log(`[DEBUG] [PageWatch] Recorded baseline for ${target.id}`)
+		}
+		return null
+	}
+
+	return {
+		previousHash: baseline.hash,
+		hash,
+		previousText: baseline.text,
+		text,
+		diff: diffLines(baseline.text, text),
+		since: baseline.updatedAt,
+	}
+}
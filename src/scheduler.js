@@ -0,0 +1,139 @@
+/**
+ * Check scheduler
+ * Runs a check, waits an interval, and repeats - like a while(true) loop with
+ * setTimeout, except that the wait can be interrupted: a check can be started
+ * right away, the loop paused and resumed, and the next check time read back.
+ * Bot commands (see notify-telegram.js) control the scheduler through this.
+ */
+
+/**
+ * Format milliseconds to human-readable duration
+ * @param {number} ms - Milliseconds
+ * @returns {string} Formatted duration (e.g., "3m 24s" or "45m 12s")
+ */
+export function formatDuration(ms) {
+	const totalSeconds = Math.floor(ms / 1000)
+	const minutes = Math.floor(totalSeconds / 60)
+	const seconds = totalSeconds % 60
+
+	if (minutes > 0) {
+		return `${minutes}m ${seconds}s`
+	}
+	return `${seconds}s`
+}
+
+/**
+ * Create a scheduler
+ * @param {object} hooks - Scheduler hooks
+ * @param {() => Promise<boolean>} hooks.runCheck - One check cycle, true if it succeeded
+ * @param {() => number} hooks.nextInterval - Milliseconds until the next check
+ * @param {(interval: number, at: Date) => void} hooks.onSchedule - Called when the next check is scheduled (optional)
+ * @returns {{start: () => Promise<void>, stop: () => void, checkNow: () => Promise<boolean>, pause: () => boolean, resume: () => boolean, status: () => {paused: boolean, running: boolean, nextCheckAt: Date|null, lastRun: {startedAt: Date, finishedAt: Date, ok: boolean}|null}}} pause() / resume() return false if the scheduler already was paused / running
+ */
+export function createScheduler(hooks) {
+	let paused = false
+	let stopped = false
+	let running = null
+	let nextCheckAt = null
+	let lastRun = null
+	let wake = null
+
+	/**
+	 * Run a check unless one is already running (then wait for that one)
+	 */
+	function run() {
+		if (!running) {
+			running = (async () => {
+				const startedAt = new Date()
+				let ok = false
+				try {
+					ok = await hooks.runCheck()
+				} catch (err) {
+					console.error("Check cycle failed:", err.message)
+				}
+				lastRun = { startedAt, finishedAt: new Date(), ok }
+				return ok
+			})().finally(() => {
+				running = null
+			})
+		}
+		return running
+	}
+
+	/**
+	 * Wait until the interval is over (resolves true) or wake() is called (false)
+	 * Without an interval only wake() ends the wait
+	 */
+	function sleep(interval) {
+		return new Promise((resolve) => {
+			const timer =
+				interval === null ? null : setTimeout(() => resolve(true), interval)
+			wake = () => {
+				clearTimeout(timer)
+				resolve(false)
+			}
+		})
+	}
+
+	function interrupt() {
+		wake?.()
+	}
+
+	return {
+		async start() {
+			await run()
+
+			while (!stopped) {
+				if (paused) {
+					nextCheckAt = null
+					await sleep(null)
+					continue
+				}
+
+				const interval = hooks.nextInterval()
+				nextCheckAt = new Date(Date.now() + interval)
+				hooks.onSchedule?.(interval, nextCheckAt)
+
+				// Woken early by checkNow/pause/resume: reschedule instead
+				if ((await sleep(interval)) && !stopped) {
+					nextCheckAt = null
+					await run()
+				}
+			}
+		},
+
+		stop() {
+			stopped = true
+			interrupt()
+		},
+
+		async checkNow() {
+			const ok = await run()
+			// The next check is an interval from now
+			interrupt()
+			return ok
+		},
+
+		pause() {
+			if (paused) {
+				return false
+			}
+			paused = true
+			interrupt()
+			return true
+		},
+
+		resume() {
+			if (!paused) {
+				return false
+			}
+			paused = false
+			interrupt()
+			return true
+		},
+
+		status() {
+			return { paused, running: running !== null, nextCheckAt, lastRun }
+		},
+	}
+}
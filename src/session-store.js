@@ -0,0 +1,86 @@
+/**
+ * Persisted consulate sessions
+ * Saves the browser storage state (JSESSIONID etc.) after the captcha has been
+ * passed so the next check can skip it, which saves a paid captcha solve per check.
+ */
+
+import dotenv from "dotenv"
+import fs from "node:fs"
+import { getStatePath } from "./config.js"
+
+dotenv.config()
+
+const DEBUG = process.env.DEBUG === "true"
+const SESSION_REUSE = process.env.SESSION_REUSE !== "false"
+
+/**
+ * Path of the stored session for a target
+ * @private
+ */
+function sessionPath(targetId) {
+	return getStatePath("sessions", `${targetId.replace(/[^\w-]/g, "_")}.json`)
+}
+
+/**
+ * Load the stored session for a target
+ * @param {string} targetId - Target id
+ * @returns {object|null} Playwright storage state, or null if there is none (or reuse is disabled)
+ */
+export function loadSession(targetId) {
+	if (!SESSION_REUSE) {
+		return null
+	}
+
+	const file = sessionPath(targetId)
+	if (!fs.existsSync(file)) {
+		return null
+	}
+
+	try {
+		return JSON.parse(fs.readFileSync(file, "utf8"))
+	} catch (err) {
+		console.error(
+			`[Session] Ignoring unreadable session ${file}: ${err.message}`
+		)
+		return null
+	}
+}
+
+/**
+ * Store the session for a target
+ * Never throws - a failed save only means the next check solves a captcha
+ * @param {string} targetId - Target id
+ * @param {object} storageState - Result of context.storageState()
+ */
+export function saveSession(targetId, storageState) {
+	if (!SESSION_REUSE) {
+		return
+	}
+
+	try {
+		fs.writeFileSync(
+			sessionPath(targetId),
+			JSON.stringify(storageState, null, 2)
+		)
+	} catch (err) {
+		// Only costs a captcha on the next check; the result still counts
+		console.error(
+			`[Session] Could not save session for ${targetId}: ${err.message}`
+		)
+		return
+	}
+
+	if (DEBUG) {
+		console.log(
+			`[DEBUG] [Session] Saved ${storageState.cookies.length} cookies for ${targetId}`
+		)
+	}
+}
+
+/**
+ * Forget the stored session for a target (e.g. after it expired)
+ * @param {string} targetId - Target id
+ */
+export function clearSession(targetId) {
+	fs.rmSync(sessionPath(targetId), { force: true })
+}
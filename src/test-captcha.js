@@ -1,29 +1,36 @@
 import fs from "fs"
 import path from "path"
-import { solveCaptchaCapSolver } from "./captcha-solver-capsolver.js"
-import { solveCaptcha } from "./captcha-solver.js"
+import { getSolvers } from "./captcha-solvers.js"
 
 /**
  * Test the captcha solver with a sample image
- * Usage: node src/test-captcha.js [path/to/image.png] [--claude]
- * By default uses captchaai.com, use --claude flag to use Claude Vision API
+ * Usage: node src/test-captcha.js [path/to/image.png] [--solver=name] [--claude]
+ * By default uses the first solver in CAPTCHA_SOLVERS (CapSolver), --claude is
+ * short for --solver=claude
  */
 async function testCaptchaSolver() {
 	try {
-		// Check if --claude flag is present
-		const useClaude = process.argv.includes("--claude")
+		// Pick the solver from --solver=name (or the --claude shorthand)
+		const solverArg = process.argv.find((arg) => arg.startsWith("--solver="))
+		const [solver] = getSolvers(
+			process.argv.includes("--claude")
+				? "claude"
+				: solverArg
+					? solverArg.slice("--solver=".length)
+					: undefined
+		)
 
 		// Get image path from command line args
 		const imagePath = process.argv.find(
 			(arg) =>
 				!arg.includes("test-captcha.js") &&
-				!arg.includes("--claude") &&
+				!arg.startsWith("--") &&
 				arg !== process.argv[0]
 		)
 
 		if (!imagePath) {
 			console.error(
-				"Usage: node src/test-captcha.js <path-to-captcha-image> [--claude]"
+				"Usage: node src/test-captcha.js <path-to-captcha-image> [--solver=name] [--claude]"
 			)
 			console.error("Example: node src/test-captcha.js screenshots/captcha.png")
 			console.error(
@@ -55,7 +62,7 @@ async function testCaptchaSolver() {
 		const mediaType = mediaTypeMap[ext] || "image/png"
 
 		console.log(`Reading captcha image: ${fullPath}`)
-		console.log(`Solver: ${useClaude ? "Claude Vision API" : "CapSolver"}`)
+		console.log(`Solver: ${solver.name}`)
 
 		// Read the image and convert to base64
 		const imageBuffer = fs.readFileSync(fullPath)
@@ -64,15 +71,7 @@ async function testCaptchaSolver() {
 		console.log("Solving captcha...")
 		const startTime = Date.now()
 
-		let result
-		if (useClaude) {
-			result = await solveCaptcha(imageBase64, mediaType)
-		} else {
-			// Use CapSolver with common module
-			result = await solveCaptchaCapSolver(imageBase64, {
-				module: "module_005",
-			})
-		}
+		const result = await solver.solve(imageBase64, mediaType)
 
 		const endTime = Date.now()
 		const duration = ((endTime - startTime) / 1000).toFixed(2)
@@ -22,6 +22,9 @@ async function testChecker() {
 		console.log("=" .repeat(50))
 		console.log(`Available: ${result.available ? "YES ✅" : "NO ❌"}`)
 		console.log(`Message: ${result.message}`)
+		for (const slot of result.slots || []) {
+			console.log(`  📅 ${slot.date}: ${slot.url}`)
+		}
 		console.log(`Time taken: ${duration}s`)
 
 		// Save screenshot if available
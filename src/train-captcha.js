@@ -0,0 +1,88 @@
+import dotenv from "dotenv"
+import path from "node:path"
+import { loadCorpora } from "./captcha-bench.js"
+import { getCorpusDir } from "./captcha-corpus.js"
+import { recognize, saveModel, trainModel } from "./captcha-solver-local.js"
+import { normalizeAnswer } from "./captcha-solvers.js"
+
+dotenv.config()
+
+/**
+ * Train the local captcha solver on a labeled corpus
+ * Usage: node src/train-captcha.js [--corpus=dir] [--model=file] [--holdout=0.2]
+ * Defaults: assets/training-captchas plus the collected captchas (see
+ * captcha-corpus.js) and CAPTCHA_MODEL_FILE. A share of the labeled images
+ * (--holdout) is kept out of training to report accuracy on captchas the model
+ * hasn't seen; the saved model is then trained on all of them.
+ */
+async function trainCaptcha() {
+	try {
+		const option = (name) =>
+			process.argv
+				.find((arg) => arg.startsWith(`--${name}=`))
+				?.slice(name.length + 3)
+
+		const corpusDirs = option("corpus")
+			? [path.resolve(option("corpus"))]
+			: [path.resolve("assets", "training-captchas"), getCorpusDir()]
+		const holdout = parseFloat(option("holdout") ?? "0.2")
+		const { samples, unlabeled } = loadCorpora(corpusDirs)
+
+		console.log(`Corpus: ${corpusDirs.join(", ")}`)
+		console.log(
+			`Labeled images: ${samples.length}${
+				unlabeled.length > 0 ? ` (skipping ${unlabeled.length} unlabeled)` : ""
+			}`
+		)
+
+		if (samples.length === 0) {
+			console.error(
+				"\n❌ No labeled images - add answers to labels.json or collect them with CAPTCHA_CORPUS=true"
+			)
+			process.exit(1)
+		}
+
+		// Every nth image is held out, so the split is the same on every run
+		const every = holdout > 0 ? Math.max(2, Math.round(1 / holdout)) : 0
+		const held = samples.filter((_, i) => every && i % every === every - 1)
+		if (held.length > 0) {
+			const model = trainModel(
+				samples.filter((sample) => !held.includes(sample))
+			)
+			let exact = 0
+			for (const sample of held) {
+				// trainModel() learns normalized labels, so compare them that way
+				if (
+					normalizeAnswer(recognize(model, sample.imageBase64)) ===
+					normalizeAnswer(sample.label)
+				) {
+					exact++
+				}
+			}
+			console.log(
+				`Held-out accuracy: ${exact}/${held.length} (${(
+					(exact / held.length) *
+					100
+				).toFixed(1)}%)`
+			)
+		}
+
+		const model = trainModel(samples)
+		const modelPath = saveModel(model, option("model"))
+
+		console.log(
+			`\n✅ Trained on ${model.trainedOn} captchas (${
+				Object.keys(model.glyphs).length
+			} characters, length ${model.length})`
+		)
+		console.log(`Model: ${modelPath}`)
+		console.log(
+			'Use it with CAPTCHA_SOLVERS=local,capsolver (or "capsolver,local")'
+		)
+	} catch (error) {
+		console.error("\n❌ Training failed:", error.message)
+		process.exit(1)
+	}
+}
+
+trainCaptcha()
@@ -0,0 +1,87 @@
+import assert from "node:assert/strict"
+import fs from "node:fs"
+import os from "node:os"
+import path from "node:path"
+import { describe, it } from "node:test"
+
+process.env.STATE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "alerts-test-"))
+process.env.ALERT_REMIND_MINUTES = "30"
+process.env.ALERT_ERROR_THRESHOLD = "2"
+
+const { recordCheckFailure, recordCheckResult } =
+	await import("../src/alert-state.js")
+
+const at = (minutes) => new Date(Date.UTC(2026, 0, 10, 22, minutes))
+const open = (...dates) => ({
+	available: true,
+	slots: dates.map((date) => ({ date, url: `https://example.com/${date}` })),
+})
+const closed = { available: false, slots: [] }
+
+describe("alert state", () => {
+	it("alerts availability once, on new dates, on reminders and when gone", () => {
+		const id = "availability"
+		assert.equal(recordCheckResult(id, closed, at(0)).availability, null)
+		assert.equal(
+			recordCheckResult(id, open("14.01.2026"), at(1)).availability,
+			"new"
+		)
+		assert.equal(
+			recordCheckResult(id, open("14.01.2026"), at(2)).availability,
+			null
+		)
+		assert.equal(
+			recordCheckResult(id, open("14.01.2026", "15.01.2026"), at(3))
+				.availability,
+			"new"
+		)
+		// A slot going away isn't news
+		assert.equal(
+			recordCheckResult(id, open("15.01.2026"), at(4)).availability,
+			null
+		)
+		assert.equal(
+			recordCheckResult(id, open("15.01.2026"), at(33)).availability,
+			"remind"
+		)
+		assert.equal(
+			recordCheckResult(id, open("15.01.2026"), at(40)).availability,
+			null
+		)
+
+		const gone = recordCheckResult(id, closed, at(45))
+		assert.equal(gone.availability, "gone")
+		assert.equal(gone.availableSince, at(1).toISOString())
+		assert.equal(recordCheckResult(id, closed, at(46)).availability, null)
+	})
+
+	it("escalates errors once per outage and reports recovery", () => {
+		const id = "errors"
+		assert.equal(recordCheckFailure(id).escalate, false)
+		assert.deepEqual(recordCheckFailure(id), {
+			escalate: true,
+			failures: 2,
+			threshold: 2,
+		})
+		assert.equal(recordCheckFailure(id).escalate, false)
+
+		const recovered = recordCheckResult(id, closed)
+		assert.equal(recovered.recovered, true)
+		assert.equal(recovered.failures, 3)
+		assert.equal(recordCheckResult(id, closed).recovered, false)
+	})
+
+	it("doesn't report recovery from failures that were never alerted", () => {
+		const id = "blip"
+		recordCheckFailure(id)
+		assert.equal(recordCheckResult(id, closed).recovered, false)
+		assert.equal(recordCheckFailure(id).failures, 1)
+	})
+
+	it("keeps state across restarts", () => {
+		const file = path.join(process.env.STATE_DIR, "alert-state.json")
+		const state = JSON.parse(fs.readFileSync(file, "utf8"))
+		assert.equal(state.availability.available, false)
+		assert.equal(state.blip.failures, 1)
+	})
+})
@@ -0,0 +1,133 @@
+import assert from "node:assert/strict"
+import { describe, it } from "node:test"
+import { createBrowserPool } from "../src/browser-pool.js"
+
+/**
+ * Stand-in for chromium: browsers and contexts that only record their state
+ */
+function fakeLauncher() {
+	const browsers = []
+
+	return {
+		browsers,
+		launch: async () => {
+			const listeners = {}
+			const browser = {
+				connected: true,
+				closed: false,
+				on: (event, listener) => {
+					listeners[event] = listener
+				},
+				isConnected: () => browser.connected,
+				version: () => "fake",
+				newContext: async () => {
+					const contextListeners = {}
+					return {
+						browser,
+						on: (event, listener) => {
+							contextListeners[event] = listener
+						},
+						close: async () => contextListeners.close?.(),
+					}
+				},
+				close: async () => {
+					browser.closed = true
+					browser.connected = false
+					listeners.disconnected?.()
+				},
+				crash: () => {
+					browser.connected = false
+					listeners.disconnected?.()
+				},
+			}
+			browsers.push(browser)
+			return browser
+		},
+	}
+}
+
+describe("browser pool", () => {
+	it("shares one browser and recycles it after its max age", async () => {
+		const launcher = fakeLauncher()
+		const pool = createBrowserPool({ launcher, maxAgeMs: 20, maxMemoryMb: 0 })
+
+		await (await pool.newContext()).close()
+		await (await pool.newContext()).close()
+		assert.equal(launcher.browsers.length, 1)
+
+		await new Promise((resolve) => setTimeout(resolve, 30))
+		const context = await pool.newContext()
+
+		assert.equal(context.browser, launcher.browsers[1])
+		assert.equal(launcher.browsers[0].closed, true)
+		assert.equal(pool.stats().recycles, 1)
+		assert.equal(pool.stats().crashes, 0)
+		await pool.close()
+	})
+
+	it("recycles over the memory cap, measuring at most once per interval", async () => {
+		const launcher = fakeLauncher()
+		let memoryMb = 300
+		let measured = 0
+		const pool = createBrowserPool({
+			launcher,
+			maxAgeMs: 0,
+			maxMemoryMb: 500,
+			memoryCheckIntervalMs: 20,
+			measureMemoryMb: () => {
+				measured++
+				return memoryMb
+			},
+		})
+
+		await (await pool.newContext()).close()
+		await (await pool.newContext()).close()
+		assert.equal(measured, 1)
+
+		memoryMb = 900
+		await (await pool.newContext()).close()
+		assert.equal(launcher.browsers.length, 1)
+
+		await new Promise((resolve) => setTimeout(resolve, 30))
+		await (await pool.newContext()).close()
+		assert.equal(measured, 2)
+		assert.equal(launcher.browsers.length, 2)
+		assert.equal(launcher.browsers[0].closed, true)
+		await pool.close()
+	})
+
+	it("relaunches after the browser disconnects", async () => {
+		const launcher = fakeLauncher()
+		const pool = createBrowserPool({ launcher, maxAgeMs: 0, maxMemoryMb: 0 })
+
+		await pool.newContext()
+		launcher.browsers[0].crash()
+		const context = await pool.newContext()
+
+		assert.equal(context.browser, launcher.browsers[1])
+		assert.equal(pool.stats().crashes, 1)
+		assert.equal(pool.stats().draining, 0)
+		await pool.close()
+	})
+
+	it("closes a recycled browser only after its open contexts", async () => {
+		const launcher = fakeLauncher()
+		const pool = createBrowserPool({ launcher, maxAgeMs: 0, maxMemoryMb: 0 })
+
+		const running = await pool.newContext()
+		await pool.recycle("test")
+		const next = await pool.newContext()
+
+		assert.equal(next.browser, launcher.browsers[1])
+		assert.equal(launcher.browsers[0].closed, false)
+		assert.equal(pool.stats().draining, 1)
+
+		await running.close()
+		assert.equal(launcher.browsers[0].closed, true)
+		assert.equal(pool.stats().draining, 0)
+		assert.equal(pool.stats().crashes, 0)
+
+		await pool.close()
+		assert.equal(launcher.browsers[1].closed, true)
+	})
+})
@@ -0,0 +1,131 @@
+import assert from "node:assert/strict"
+import fs from "node:fs"
+import os from "node:os"
+import path from "node:path"
+import { describe, it } from "node:test"
+import {
+	alignAnswer,
+	formatReport,
+	loadCorpora,
+	loadCorpus,
+	percentile,
+	runBenchmark,
+} from "../src/captcha-bench.js"
+
+/**
+ * Build a corpus directory with fake images and a manifest
+ */
+function makeCorpus(labels) {
+	const dir = fs.mkdtempSync(path.join(os.tmpdir(), "captcha-bench-"))
+	for (const file of Object.keys(labels)) {
+		fs.writeFileSync(path.join(dir, file), file)
+	}
+	fs.writeFileSync(path.join(dir, "labels.json"), JSON.stringify(labels))
+	return dir
+}
+
+describe("captcha benchmark", () => {
+	it("lists substitutions, deletions and insertions", () => {
+		assert.deepEqual(alignAnswer("ab4n5s", "aban5s"), {
+			distance: 1,
+			substitutions: [["4", "a"]],
+			deletions: [],
+			insertions: [],
+		})
+		assert.deepEqual(alignAnswer("ab4n5s", "ab4nn5s").insertions, ["n"])
+		assert.equal(alignAnswer("abc123", "abc123").distance, 0)
+		assert.deepEqual(alignAnswer("abc123", "abc12").deletions, ["3"])
+	})
+
+	it("computes nearest-rank percentiles", () => {
+		const values = [50, 10, 40, 20, 30, 60, 70, 80, 90, 100]
+		assert.equal(percentile(values, 50), 50)
+		assert.equal(percentile(values, 90), 90)
+		assert.equal(percentile(values, 95), 100)
+		assert.equal(percentile([], 50), null)
+	})
+
+	it("skips unlabeled images", () => {
+		const dir = makeCorpus({ "a.jpg": "abc123", "b.jpg": null, "c.png": "" })
+		const { samples, unlabeled } = loadCorpus(dir)
+
+		assert.deepEqual(
+			samples.map((sample) => [sample.file, sample.label, sample.mediaType]),
+			[["a.jpg", "abc123", "image/jpeg"]]
+		)
+		assert.deepEqual(unlabeled, ["b.jpg", "c.png"])
+	})
+
+	it("merges the hand-labeled and collected corpora", () => {
+		const handLabeled = makeCorpus({ "captcha-1.jpg": "w3gx4n", "x.jpg": null })
+		const collected = makeCorpus({ "live-1.jpg": "abc123", "x.jpg": "zzz999" })
+		const missing = path.join(os.tmpdir(), "captcha-bench-none")
+
+		const { samples, unlabeled } = loadCorpora([
+			handLabeled,
+			collected,
+			missing,
+		])
+
+		assert.deepEqual(
+			samples.map((sample) => [sample.file, sample.label]),
+			[
+				[`${path.basename(handLabeled)}/captcha-1.jpg`, "w3gx4n"],
+				[`${path.basename(collected)}/live-1.jpg`, "abc123"],
+				[`${path.basename(collected)}/x.jpg`, "zzz999"],
+			]
+		)
+		assert.deepEqual(unlabeled, [`${path.basename(handLabeled)}/x.jpg`])
+		assert.throws(() => loadCorpora([missing]), /Labels manifest not found/)
+	})
+
+	it("scores every solver over the corpus", async () => {
+		const dir = makeCorpus({
+			"1.jpg": "w3gx4n",
+			"2.jpg": "wend5s",
+			"3.jpg": "abc123",
+		})
+		const { samples } = loadCorpus(dir)
+		// The fake images hold their own file name; answers are compared normalized
+		const answers = {
+			"1.jpg": "w3gxan",
+			"2.jpg": "wendss",
+			"3.jpg": " ABC 123\n",
+		}
+		const solvers = [
+			{
+				name: "fake",
+				costPerSolve: 0.001,
+				solve: async (imageBase64) =>
+					answers[Buffer.from(imageBase64, "base64").toString()],
+			},
+			{
+				name: "down",
+				solve: async () => {
+					throw new Error("ERROR_ZERO_BALANCE")
+				},
+			},
+		]
+
+		const [fake, down] = await runBenchmark(samples, solvers)
+
+		assert.equal(fake.exact, 1)
+		assert.equal(fake.accuracy, 1 / 3)
+		assert.equal(fake.charAccuracy, 16 / 18)
+		assert.equal(fake.estimatedCost, 0.003)
+		assert.deepEqual(
+			fake.confusions.map(({ expected, got, count }) => [expected, got, count]),
+			[
+				["4", "a", 1],
+				["5", "s", 1],
+			]
+		)
+		assert.equal(down.errors, 3)
+		assert.equal(down.accuracy, 0)
+		assert.equal(down.latencyMs.p50, null)
+
+		const table = formatReport([fake, down])
+		assert.match(table, /fake\s+1\/3\s+33\.3%/)
+		assert.match(table, /fake confusions \(expected→got\): 4→a ×1, 5→s ×1/)
+	})
+})
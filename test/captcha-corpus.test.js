@@ -0,0 +1,98 @@
+import assert from "node:assert/strict"
+import fs from "node:fs"
+import os from "node:os"
+import path from "node:path"
+import { describe, it } from "node:test"
+import { loadCorpus } from "../src/captcha-bench.js"
+import {
+	getCorpusDir,
+	pruneCorpus,
+	saveCaptchaSample,
+} from "../src/captcha-corpus.js"
+
+const readJson = (dir, file) =>
+	JSON.parse(fs.readFileSync(path.join(dir, file), "utf8"))
+
+describe("captcha corpus", () => {
+	it("collects into the state directory by default", () => {
+		process.env.STATE_DIR = fs.mkdtempSync(
+			path.join(os.tmpdir(), "corpus-state-")
+		)
+		assert.equal(
+			getCorpusDir(),
+			path.join(process.env.STATE_DIR, "captcha-corpus")
+		)
+	})
+
+	it("labels accepted answers for the benchmark", () => {
+		const corpusDir = fs.mkdtempSync(path.join(os.tmpdir(), "captcha-corpus-"))
+		const image = { imageBase64: "aW1hZ2U=", mediaType: "image/jpeg" }
+
+		saveCaptchaSample(
+			{ ...image, solver: "capsolver", answer: "abcd12", accepted: false },
+			{ corpusDir }
+		)
+		saveCaptchaSample(
+			{ ...image, solver: "claude", answer: "abc123", accepted: true },
+			{ corpusDir }
+		)
+
+		const { samples, unlabeled } = loadCorpus(corpusDir)
+		assert.deepEqual(
+			samples.map((sample) => sample.label),
+			["abc123"]
+		)
+		assert.equal(unlabeled.length, 1)
+		assert.deepEqual(
+			readJson(corpusDir, "collected.json").map((record) => record.solver),
+			["capsolver", "claude"]
+		)
+	})
+
+	it("prunes the oldest collected images and keeps hand-labeled ones", () => {
+		const corpusDir = fs.mkdtempSync(path.join(os.tmpdir(), "captcha-corpus-"))
+		fs.writeFileSync(path.join(corpusDir, "captcha-1.jpg"), "image")
+		fs.writeFileSync(
+			path.join(corpusDir, "labels.json"),
+			JSON.stringify({ "captcha-1.jpg": "w3gx4n" })
+		)
+
+		const files = ["aaa111", "bbb222", "ccc333"].map((answer) =>
+			saveCaptchaSample(
+				{
+					imageBase64: "aW1hZ2U=",
+					mediaType: "image/jpeg",
+					solver: "capsolver",
+					answer,
+					accepted: true,
+				},
+				{ corpusDir, maxSamples: 2 }
+			)
+		)
+
+		assert.equal(fs.existsSync(path.join(corpusDir, files[0])), false)
+		assert.deepEqual(readJson(corpusDir, "labels.json"), {
+			"captcha-1.jpg": "w3gx4n",
+			[files[1]]: "bbb222",
+			[files[2]]: "ccc333",
+		})
+
+		// Backdate the collected images past the retention period
+		const collected = readJson(corpusDir, "collected.json")
+		fs.writeFileSync(
+			path.join(corpusDir, "collected.json"),
+			JSON.stringify(
+				collected.map((record) => ({
+					...record,
+					savedAt: "2020-01-01T00:00:00.000Z",
+				}))
+			)
+		)
+		assert.deepEqual(pruneCorpus(corpusDir, { maxAgeDays: 1 }), files.slice(1))
+		assert.deepEqual(fs.readdirSync(corpusDir).sort(), [
+			"captcha-1.jpg",
+			"collected.json",
+			"labels.json",
+		])
+	})
+})
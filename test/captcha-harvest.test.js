@@ -0,0 +1,105 @@
+import assert from "node:assert/strict"
+import fs from "node:fs"
+import os from "node:os"
+import path from "node:path"
+import { describe, it } from "node:test"
+import { harvestCaptchas } from "../src/captcha-harvest.js"
+import { SiteDownError } from "../src/errors.js"
+import { PageState } from "../src/page-state.js"
+
+const CAPTCHA_PAGE = fs.readFileSync(
+	"assets/training-page-src/captcha-page.html",
+	"utf8"
+)
+const IMAGES = ["captcha-1.jpg", "captcha-2.jpg", "captcha-3.jpg"].map((file) =>
+	fs.readFileSync(path.join("assets/training-captchas", file), "base64")
+)
+
+/**
+ * Engine hooks over a scripted list of captcha images
+ */
+function scriptedSite(images, refreshState = PageState.CAPTCHA) {
+	let index = 0
+	const site = {
+		refreshes: 0,
+		readCaptchaPage: async () => ({
+			html: CAPTCHA_PAGE.replace(
+				/base64,[^')"\s]+/,
+				`base64,${images[Math.min(index, images.length - 1)]}`
+			),
+			url: "https://service2.diplo.de/rktermin/extern/appointment_showMonth.do",
+		}),
+		refreshCaptcha: async () => {
+			site.refreshes++
+			index++
+			return { state: refreshState, url: "" }
+		},
+	}
+	return site
+}
+
+describe("captcha harvesting", () => {
+	it("saves new images until it has enough and skips repeats", async () => {
+		const corpusDir = fs.mkdtempSync(path.join(os.tmpdir(), "harvest-"))
+		const site = scriptedSite([IMAGES[0], IMAGES[0], IMAGES[1], IMAGES[2]])
+
+		const files = await harvestCaptchas(site, {
+			count: 3,
+			corpusDir,
+			delayMs: 0,
+		})
+
+		assert.equal(files.length, 3)
+		assert.equal(site.refreshes, 3)
+		assert.ok(files.every((file) => file.startsWith("harvest-")))
+		assert.deepEqual(
+			fs.readFileSync(path.join(corpusDir, files[1]), "base64"),
+			IMAGES[1]
+		)
+
+		const labels = JSON.parse(
+			fs.readFileSync(path.join(corpusDir, "labels.json"), "utf8")
+		)
+		const collected = JSON.parse(
+			fs.readFileSync(path.join(corpusDir, "collected.json"), "utf8")
+		)
+		assert.deepEqual(
+			files.map((file) => labels[file]),
+			[null, null, null]
+		)
+		assert.deepEqual(
+			collected.map((record) => [record.source, record.solver]),
+			[
+				["harvest", null],
+				["harvest", null],
+				["harvest", null],
+			]
+		)
+	})
+
+	it("gives up when the site keeps showing the same image", async () => {
+		const corpusDir = fs.mkdtempSync(path.join(os.tmpdir(), "harvest-"))
+
+		await assert.rejects(
+			harvestCaptchas(scriptedSite([IMAGES[0]]), {
+				count: 2,
+				corpusDir,
+				delayMs: 0,
+			}),
+			/No new captcha image after 5 refreshes/
+		)
+	})
+
+	it("stops when a refresh lands on the maintenance page", async () => {
+		const corpusDir = fs.mkdtempSync(path.join(os.tmpdir(), "harvest-"))
+
+		await assert.rejects(
+			harvestCaptchas(scriptedSite(IMAGES, PageState.MAINTENANCE), {
+				count: 2,
+				corpusDir,
+				delayMs: 0,
+			}),
+			SiteDownError
+		)
+	})
+})
@@ -0,0 +1,127 @@
+import assert from "node:assert/strict"
+import fs from "node:fs"
+import os from "node:os"
+import path from "node:path"
+import { describe, it } from "node:test"
+import jpeg from "jpeg-js"
+import {
+	loadModel,
+	recognize,
+	saveModel,
+	trainModel,
+} from "../src/captcha-solver-local.js"
+
+// 5x7 bitmaps for a few characters
+const FONT = {
+	a: [".###.", "....#", ".####", "#...#", "#...#", "#..##", ".##.#"],
+	b: ["#....", "#....", "####.", "#...#", "#...#", "#...#", "####."],
+	c: [".....", ".....", ".###.", "#...#", "#....", "#...#", ".###."],
+	1: ["..#..", ".##..", "..#..", "..#..", "..#..", "..#..", ".###."],
+	2: [".###.", "#...#", "....#", "...#.", "..#..", ".#...", "#####"],
+	3: ["####.", "....#", "....#", ".###.", "....#", "....#", "####."],
+}
+const CHARS = Object.keys(FONT).join("")
+
+/**
+ * Render a captcha like the site's: dark text on a light gradient with a
+ * strike-through line, characters shifted up and down a little
+ */
+function renderCaptcha(text, seed) {
+	const width = 300
+	const height = 50
+	const scale = 5
+	const data = Buffer.alloc(width * height * 4)
+	const setPixel = (x, y, value) => {
+		const i = (y * width + x) * 4
+		data[i] = data[i + 1] = data[i + 2] = value
+		data[i + 3] = 255
+	}
+
+	for (let y = 0; y < height; y++) {
+		for (let x = 0; x < width; x++) {
+			setPixel(x, y, 200 + Math.round((x / width) * 50))
+		}
+	}
+
+	;[...text].forEach((char, i) => {
+		const left = 45 + i * 36 + ((seed + i) % 3)
+		const top = 6 + ((seed * 7 + i * 3) % 6)
+		FONT[char].forEach((row, y) => {
+			;[...row].forEach((pixel, x) => {
+				if (pixel !== "#") {
+					return
+				}
+				for (let dy = 0; dy < scale; dy++) {
+					for (let dx = 0; dx < scale; dx++) {
+						setPixel(left + x * scale + dx, top + y * scale + dy, 40)
+					}
+				}
+			})
+		})
+	})
+
+	for (let x = 30; x < 280; x++) {
+		const y = 10 + Math.round(((x - 30) / 250) * (20 + (seed % 10)))
+		setPixel(x, y, 60)
+		setPixel(x, y + 1, 60)
+	}
+
+	return jpeg.encode({ width, height, data }, 90).data.toString("base64")
+}
+
+/**
+ * Pseudo-random captcha text
+ */
+function captchaText(seed) {
+	return Array.from(
+		{ length: 6 },
+		(_, i) => CHARS[(seed * 7 + i * (seed % 5) + i * i) % CHARS.length]
+	).join("")
+}
+
+describe("local captcha solver", () => {
+	it("reads captchas after training on labeled ones", () => {
+		const samples = Array.from({ length: 12 }, (_, seed) => {
+			const label = captchaText(seed)
+			return { label, imageBase64: renderCaptcha(label, seed) }
+		})
+		const model = trainModel(samples)
+
+		assert.equal(model.length, 6)
+		assert.equal(model.trainedOn, 12)
+		assert.deepEqual(Object.keys(model.glyphs).sort(), [...CHARS].sort())
+
+		for (const seed of [20, 31, 42, 53]) {
+			const label = captchaText(seed)
+			assert.equal(recognize(model, renderCaptcha(label, seed)), label)
+		}
+	})
+
+	it("loads a saved model and rejects a missing one", () => {
+		const dir = fs.mkdtempSync(path.join(os.tmpdir(), "captcha-model-"))
+		const file = path.join(dir, "model.json")
+
+		assert.throws(() => loadModel(file), /No local captcha model/)
+
+		const model = trainModel([
+			{ label: "abc123", imageBase64: renderCaptcha("abc123", 1) },
+		])
+		saveModel(model, file)
+		assert.deepEqual(loadModel(file), model)
+	})
+
+	it("keeps the model with the runtime state by default", () => {
+		process.env.STATE_DIR = fs.mkdtempSync(
+			path.join(os.tmpdir(), "model-state-")
+		)
+		const model = trainModel([
+			{ label: "abc123", imageBase64: renderCaptcha("abc123", 2) },
+		])
+
+		assert.equal(
+			saveModel(model),
+			path.join(process.env.STATE_DIR, "captcha-model.json")
+		)
+		assert.deepEqual(loadModel(), model)
+	})
+})
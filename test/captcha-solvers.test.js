@@ -0,0 +1,68 @@
+import assert from "node:assert/strict"
+import { describe, it } from "node:test"
+import {
+	createSolverChain,
+	isValidAnswer,
+	normalizeAnswer,
+	voteAnswer,
+} from "../src/captcha-solvers.js"
+
+/**
+ * Solver that returns the given answers in turn and records its calls
+ */
+function scripted(name, answers, calls) {
+	return {
+		name,
+		solve: async () => {
+			calls.push(name)
+			return answers.shift()
+		},
+	}
+}
+
+describe("captcha solver chain", () => {
+	it("normalizes and validates answers", () => {
+		assert.equal(normalizeAnswer(' "W3gx-4N" \n'), "w3gx4n")
+		assert.equal(isValidAnswer("w3gx4n"), true)
+		assert.equal(isValidAnswer("w3gx4"), false)
+		assert.equal(isValidAnswer(normalizeAnswer("The text is w3gx4n")), false)
+	})
+
+	it("takes a whole-answer majority, otherwise votes per character", () => {
+		assert.equal(voteAnswer(["abc123", "abd124", "abc123"]), "abc123")
+		assert.equal(voteAnswer(["abc123", "abc124", "abd123"]), "abc123")
+		assert.equal(voteAnswer(["abc123", "xyz789"]), "abc123")
+	})
+
+	it("skips invalid answers and reports when none is valid", async () => {
+		const calls = []
+		const chain = createSolverChain([
+			scripted("first", ["too long answer", "nope"], calls),
+			scripted("second", ["abc123", "?"], calls),
+		])
+
+		assert.deepEqual(await chain.solve("image"), {
+			text: "abc123",
+			solver: "second",
+		})
+		assert.deepEqual(await chain.solve("image"), { text: null, solver: null })
+		assert.deepEqual(calls, ["first", "second", "first", "second"])
+	})
+
+	it("stops asking once a majority of the votes agree", async () => {
+		const calls = []
+		const chain = createSolverChain(
+			[
+				scripted("capsolver", ["abc123", "abc123"], calls),
+				scripted("claude", ["abc128", "abc123"], calls),
+			],
+			{ votes: 3 }
+		)
+
+		assert.deepEqual(await chain.solve("image"), {
+			text: "abc123",
+			solver: "capsolver",
+		})
+		assert.deepEqual(calls, ["capsolver", "claude", "capsolver"])
+	})
+})
@@ -0,0 +1,85 @@
+import assert from "node:assert/strict"
+import fs from "node:fs"
+import os from "node:os"
+import path from "node:path"
+import { describe, it } from "node:test"
+
+process.env.STATE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "spend-test-"))
+process.env.CAPTCHA_DAILY_BUDGET = "0.001"
+process.env.CAPTCHA_MONTHLY_BUDGET = "0"
+process.env.CAPTCHA_BUDGET_ACTION = "slow"
+process.env.CAPSOLVER_LOW_BALANCE = "1"
+
+const { checkCapSolverBalance, formatSpend, getBudgetStatus, getSpend } =
+	await import("../src/captcha-spend.js")
+const { getSolvers } = await import("../src/captcha-solvers.js")
+
+describe("captcha spend", () => {
+	it("meters solver answers into daily totals and enforces the budget", async () => {
+		const [capsolver, claude] = getSolvers([
+			{ name: "capsolver", costPerSolve: 0.0004, solve: async () => "abc123" },
+			{
+				name: "claude",
+				costPerSolve: 0.002,
+				solve: async () => {
+					throw new Error("overloaded")
+				},
+			},
+		])
+
+		await capsolver.solve("image")
+		await capsolver.solve("image")
+		await assert.rejects(claude.solve("image"))
+
+		const spend = getSpend()
+		assert.deepEqual(spend.today, {
+			calls: 2,
+			cost: 0.0008,
+			bySolver: { capsolver: { calls: 2, cost: 0.0008 } },
+		})
+		assert.deepEqual(spend.month, { calls: 2, cost: 0.0008 })
+		assert.match(
+			formatSpend(spend),
+			/today \$0\.0008 \(2 answers: capsolver 2\)/
+		)
+		assert.equal(getBudgetStatus().exceeded, false)
+
+		await capsolver.solve("image")
+		const status = getBudgetStatus()
+		assert.equal(status.exceeded, true)
+		assert.equal(status.period, "day")
+		assert.equal(status.action, "slow")
+
+		// Tomorrow starts with a fresh daily budget
+		const tomorrow = new Date(Date.now() + 86_400_000)
+		assert.equal(getBudgetStatus(tomorrow).exceeded, false)
+
+		// Benchmark runs aren't metered
+		const [unmetered] = getSolvers(
+			[
+				{
+					name: "capsolver",
+					costPerSolve: 0.0004,
+					solve: async () => "abc123",
+				},
+			],
+			{ meter: false }
+		)
+		await unmetered.solve("image")
+		assert.equal(getSpend().today.calls, 3)
+	})
+
+	it("alerts once when the CapSolver balance drops below the threshold", async () => {
+		const balances = [5, 0.5, 0.4, 3, 0.2]
+		const alerts = []
+		for (let i = 0; i < balances.length; i++) {
+			const check = await checkCapSolverBalance({
+				getBalance: async () => balances[i],
+				force: true,
+			})
+			alerts.push(check.alert)
+		}
+
+		assert.deepEqual(alerts, [false, true, false, false, true])
+	})
+})
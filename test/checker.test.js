@@ -0,0 +1,451 @@
+import assert from "node:assert/strict"
+import fs from "node:fs"
+import os from "node:os"
+import path from "node:path"
+import { after, afterEach, describe, it } from "node:test"
+import { chromium } from "playwright"
+import { startStandInServer } from "./fixtures/stand-in-server.js"
+
+// Keep the checker quiet and independent of any local .env look-ahead settings
+process.env.DEBUG = "false"
+process.env.HEADLESS = "true"
+process.env.MONTHS_AHEAD = "1"
+process.env.PROXY_SERVER = ""
+delete process.env.SEARCH_HORIZON
+process.env.SESSION_REUSE = "true"
+process.env.STATE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "checker-test-"))
+process.env.CAPTCHA_CORPUS = "true"
+process.env.CAPTCHA_CORPUS_DIR = path.join(process.env.STATE_DIR, "corpus")
+
+const { createBrowserPool } = await import("../src/browser-pool.js")
+const { checkAppointments } = await import("../src/checker.js")
+const { BlockedError, CaptchaFailedError, SiteDownError, UnexpectedPageError } =
+	await import("../src/errors.js")
+const { getMetrics } = await import("../src/metrics.js")
+
+const CAPTCHA_ANSWER = "abc123"
+const APPLICANT = {
+	firstName: "Erika",
+	lastName: "Mustermann",
+	email: "erika@example.com",
+	fields: { "fields[0].content": "C01X00T47" },
+}
+const browserInstalled = fs.existsSync(chromium.executablePath())
+
+/**
+ * Start the stand-in and build a target pointing at it
+ * Target ids include the engine so the engines don't share saved sessions
+ */
+async function setup(engine, scenario) {
+	const server = await startStandInServer({
+		scenario,
+		captchaAnswer: CAPTCHA_ANSWER,
+	})
+	const target = {
+		id: `${engine}-${scenario}`,
+		label: `Stand-in (${scenario})`,
+		url: server.url,
+	}
+	return { server, target }
+}
+
+const ENGINES = {
+	playwright:
+		!browserInstalled &&
+		"Chromium not installed (pnpm exec playwright install chromium)",
+	http: false,
+}
+
+for (const [engine, skip] of Object.entries(ENGINES)) {
+	describe(
+		`checkAppointments (${engine} engine) against the stand-in site`,
+		{ skip },
+		() => {
+			let server = null
+			let solverCalls = 0
+
+			// Share one browser across the tests, like the scheduler does
+			const browserPool = createBrowserPool()
+
+			const solveCaptcha = async () => {
+				solverCalls++
+				return CAPTCHA_ANSWER
+			}
+
+			const check = (target, options = {}) =>
+				checkAppointments(target, {
+					solveCaptcha,
+					browserPool,
+					engine,
+					fallback: false,
+					...options,
+				})
+
+			afterEach(async () => {
+				await server?.close()
+				server = null
+				solverCalls = 0
+			})
+
+			after(async () => {
+				await browserPool.close()
+			})
+
+			it("reports no availability when no month has slots", async () => {
+				const setupResult = await setup(engine, "no-slots")
+				server = setupResult.server
+
+				const result = await check(setupResult.target)
+
+				assert.equal(result.available, false)
+				assert.deepEqual(result.slots, [])
+				assert.deepEqual(
+					result.months.map((month) => month.month),
+					["2025-12", "2026-01"]
+				)
+				assert.equal(solverCalls, 1)
+			})
+
+			it("finds the slots in the second month", async () => {
+				const setupResult = await setup(engine, "slots-month-2")
+				server = setupResult.server
+
+				const result = await check(setupResult.target)
+
+				assert.equal(result.available, true)
+				assert.equal(result.month, "2026-01")
+				assert.deepEqual(
+					result.slots.map((slot) => slot.date),
+					["2026-01-08", "2026-01-15"]
+				)
+				assert.match(
+					result.slots[0].url,
+					/appointment_showDay\.do\?.*dateStr=08\.01\.2026/
+				)
+				assert.ok(result.slots[0].url.startsWith(server.origin))
+				assert.match(
+					result.monthUrl,
+					/appointment_showMonth\.do\?.*dateStr=01\.01\.2026/
+				)
+				assert.equal(result.target.id, `${engine}-slots-month-2`)
+			})
+
+			it("reuses the saved session on the next check", async () => {
+				const setupResult = await setup(engine, "no-slots")
+				server = setupResult.server
+				const target = { ...setupResult.target, id: `${engine}-session-reuse` }
+
+				await check(target)
+				assert.equal(solverCalls, 1)
+
+				const result = await check(target)
+				assert.equal(result.available, false)
+				assert.equal(solverCalls, 1)
+				assert.equal(server.stats.captchaSubmissions, 1)
+			})
+
+			it("retries the captcha until it is accepted", async () => {
+				const setupResult = await setup(engine, "captcha-wrong-twice")
+				server = setupResult.server
+
+				const result = await check(setupResult.target)
+
+				assert.equal(result.available, false)
+				assert.equal(server.stats.captchaSubmissions, 3)
+				assert.equal(solverCalls, 3)
+			})
+
+			it("saves solved captchas to the corpus with the site's verdict", async () => {
+				const setupResult = await setup(engine, "captcha-wrong-twice")
+				server = setupResult.server
+				const corpusDir = process.env.CAPTCHA_CORPUS_DIR
+				const readJson = (file) =>
+					fs.existsSync(path.join(corpusDir, file))
+						? JSON.parse(fs.readFileSync(path.join(corpusDir, file), "utf8"))
+						: []
+				const before = readJson("collected.json").length
+
+				await check(setupResult.target)
+
+				const records = readJson("collected.json").slice(before)
+				const labels = readJson("labels.json")
+				assert.deepEqual(
+					records.map((record) => [record.solver, record.accepted]),
+					[
+						["custom", false],
+						["custom", false],
+						["custom", true],
+					]
+				)
+				assert.deepEqual(
+					records.map((record) => labels[record.file]),
+					[null, null, CAPTCHA_ANSWER]
+				)
+				assert.ok(fs.existsSync(path.join(corpusDir, records[2].file)))
+			})
+
+			it("gives up with CaptchaFailedError when every answer is wrong", async () => {
+				const setupResult = await setup(engine, "no-slots")
+				server = setupResult.server
+
+				await assert.rejects(
+					check(setupResult.target, { solveCaptcha: async () => "wrong1" }),
+					CaptchaFailedError
+				)
+				assert.equal(server.stats.captchaSubmissions, 3)
+			})
+
+			it("loads another image instead of submitting an invalid answer", async () => {
+				const setupResult = await setup(engine, "no-slots")
+				server = setupResult.server
+				const answers = ["I can't read this one", " ABC 123 "]
+
+				const result = await check(setupResult.target, {
+					solveCaptcha: async () => answers.shift(),
+				})
+
+				assert.equal(result.available, false)
+				assert.equal(server.stats.captchaRefreshes, 1)
+				assert.equal(server.stats.captchaSubmissions, 1)
+			})
+
+			it("moves down the solver chain on errors and rejected answers", async () => {
+				const setupResult = await setup(engine, "no-slots")
+				server = setupResult.server
+				const calls = []
+				const solver = (name, solve) => ({
+					name,
+					solve: async () => {
+						calls.push(name)
+						return solve()
+					},
+				})
+				const solvedBefore = getMetrics()["captcha.solved.right"] || 0
+
+				const result = await check(setupResult.target, {
+					solvers: [
+						solver("broken", () => {
+							throw new Error("ERROR_ZERO_BALANCE")
+						}),
+						solver("wrong", () => "nope00"),
+						solver("right", () => CAPTCHA_ANSWER),
+					],
+				})
+
+				assert.equal(result.available, false)
+				assert.deepEqual(calls, ["broken", "wrong", "right"])
+				assert.equal(server.stats.captchaSubmissions, 2)
+				assert.equal(getMetrics()["captcha.solved.right"], solvedBefore + 1)
+			})
+
+			it("throws SiteDownError on the maintenance page", async () => {
+				const setupResult = await setup(engine, "maintenance")
+				server = setupResult.server
+
+				await assert.rejects(check(setupResult.target), SiteDownError)
+				assert.equal(solverCalls, 0)
+			})
+
+			it("books the first free time when autoBook is on", async () => {
+				const setupResult = await setup(engine, "slots-month-2")
+				server = setupResult.server
+				const target = {
+					...setupResult.target,
+					autoBook: true,
+					applicant: APPLICANT,
+				}
+
+				const result = await check(target)
+
+				assert.equal(result.available, true)
+				assert.equal(result.booking.booked, true)
+				assert.equal(result.booking.date, "2026-01-08")
+				assert.equal(result.booking.time, "09:00")
+				assert.ok(fs.existsSync(result.booking.confirmationFile))
+				assert.equal(server.stats.bookings.length, 1)
+				assert.equal(server.stats.bookings[0].lastname, "Mustermann")
+				assert.equal(server.stats.bookings[0].emailrepeat, "erika@example.com")
+				assert.equal(server.stats.bookings[0]["fields[0].content"], "C01X00T47")
+				assert.equal(server.stats.bookings[0].openingPeriodId, "1000")
+				assert.equal(solverCalls, 2)
+			})
+
+			it("reports a booking as booked when its confirmation can't be saved", async () => {
+				const setupResult = await setup(engine, "slots-month-2")
+				server = setupResult.server
+				const target = {
+					...setupResult.target,
+					id: `${engine}-unsaved-confirmation`,
+					autoBook: true,
+					applicant: APPLICANT,
+				}
+
+				// A file where the bookings directory should be makes the save fail
+				const bookingsDir = path.join(process.env.STATE_DIR, "bookings")
+				const moved = `${bookingsDir}-moved`
+				if (fs.existsSync(bookingsDir)) {
+					fs.renameSync(bookingsDir, moved)
+				}
+				fs.writeFileSync(bookingsDir, "")
+				let result = null
+				try {
+					result = await check(target)
+				} finally {
+					fs.rmSync(bookingsDir)
+					if (fs.existsSync(moved)) {
+						fs.renameSync(moved, bookingsDir)
+					}
+				}
+
+				assert.equal(result.booking.booked, true)
+				assert.equal(result.booking.date, "2026-01-08")
+				assert.equal(result.booking.time, "09:00")
+				assert.equal(result.booking.confirmationFile, null)
+				assert.equal(server.stats.bookings.length, 1)
+			})
+
+			it("reports a failed booking without losing the availability", async () => {
+				const setupResult = await setup(engine, "slots-taken")
+				server = setupResult.server
+				const target = {
+					...setupResult.target,
+					autoBook: true,
+					applicant: APPLICANT,
+				}
+
+				const result = await check(target)
+
+				assert.equal(result.available, true)
+				assert.equal(result.booking.booked, false)
+				assert.match(result.booking.message, /No bookable times left/)
+				assert.equal(server.stats.bookingSubmissions, 0)
+			})
+
+			it("fails the booking cleanly when the form can't be submitted in the page", async () => {
+				const setupResult = await setup(engine, "booking-submit-twice")
+				server = setupResult.server
+				const target = {
+					...setupResult.target,
+					autoBook: true,
+					applicant: APPLICANT,
+				}
+
+				const result = await check(target)
+
+				// The HTTP engine posts the button's name itself; in the page the
+				// repeated name makes requestSubmit() throw before anything is sent
+				assert.equal(result.available, true)
+				if (engine === "http") {
+					assert.equal(result.booking.booked, true)
+				} else {
+					assert.equal(result.booking.booked, false)
+					assert.match(result.booking.message, /Auto-booking failed/)
+					assert.equal(server.stats.bookingSubmissions, 0)
+				}
+			})
+
+			it("doesn't spend a captcha on an incomplete applicant profile", async () => {
+				const setupResult = await setup(engine, "slots-month-2")
+				server = setupResult.server
+				const target = {
+					...setupResult.target,
+					autoBook: true,
+					applicant: { ...APPLICANT, fields: {} },
+				}
+
+				const result = await check(target)
+
+				assert.equal(result.booking.booked, false)
+				assert.match(result.booking.message, /fields\[0\]\.content/)
+				assert.equal(solverCalls, 1)
+				assert.equal(server.stats.bookingSubmissions, 0)
+			})
+
+			it("reports a page change when the announcement text changes", async () => {
+				const target = (setupResult) => ({
+					...setupResult.target,
+					id: `${engine}-page-watch`,
+				})
+
+				let setupResult = await setup(engine, "no-slots")
+				server = setupResult.server
+				const first = await check(target(setupResult))
+				assert.equal(first.pageChange, null)
+
+				const unchanged = await check(target(setupResult))
+				assert.equal(unchanged.pageChange, null)
+				await server.close()
+
+				setupResult = await setup(engine, "announcement")
+				server = setupResult.server
+				const changed = await check(target(setupResult))
+
+				assert.equal(changed.available, false)
+				assert.ok(changed.pageChange)
+				assert.match(
+					changed.pageChange.diff,
+					/^- .*New appointments will be made available for booking at regular intervals\.$/m
+				)
+				assert.match(changed.pageChange.diff, /^\+ .*released on 15\.12\.2025/m)
+			})
+
+			it("throws UnexpectedPageError on garbage HTML", async () => {
+				const setupResult = await setup(engine, "garbage")
+				server = setupResult.server
+
+				await assert.rejects(check(setupResult.target), UnexpectedPageError)
+			})
+		}
+	)
+}
+
+describe("HTTP engine fallback to Playwright", () => {
+	let server = null
+	const browserPool = createBrowserPool()
+
+	const check = async (scenario, options = {}) => {
+		const setupResult = await setup("fallback", scenario)
+		server = setupResult.server
+		return checkAppointments(setupResult.target, {
+			solveCaptcha: async () => CAPTCHA_ANSWER,
+			browserPool,
+			engine: "http",
+			fallback: true,
+			...options,
+		})
+	}
+	const fallbacks = () => getMetrics()["engine.fallback"] || 0
+
+	afterEach(async () => {
+		await server?.close()
+		server = null
+	})
+
+	after(async () => {
+		await browserPool.close()
+	})
+
+	it("doesn't fall back when the captcha keeps failing", async () => {
+		const before = fallbacks()
+		await assert.rejects(
+			check("no-slots", { solveCaptcha: async () => "wrong1" }),
+			CaptchaFailedError
+		)
+		assert.equal(fallbacks(), before)
+	})
+
+	it("doesn't fall back when the site blocks us or is down", async () => {
+		const before = fallbacks()
+		await assert.rejects(check("blocked"), BlockedError)
+		await server.close()
+		await assert.rejects(check("maintenance"), SiteDownError)
+		assert.equal(fallbacks(), before)
+	})
+
+	it("falls back on a page the HTTP engine can't read", async () => {
+		const before = fallbacks()
+		// Without Chromium installed the fallback itself fails to launch
+		await assert.rejects(check("garbage"))
+		assert.equal(fallbacks(), before + 1)
+	})
+})
@@ -0,0 +1,29 @@
+import assert from "node:assert/strict"
+import fs from "node:fs"
+import os from "node:os"
+import path from "node:path"
+import { describe, it } from "node:test"
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "config-test-"))
+process.env.CONFIG_FILE = path.join(dir, "config.json")
+fs.writeFileSync(
+	process.env.CONFIG_FILE,
+	JSON.stringify({
+		targets: [
+			{ id: "paused", enabled: false },
+			{ locationCode: "newy", realmId: 683, categoryId: 2673 },
+			{ id: "visa", locationCode: "newy", realmId: 683 },
+		],
+	})
+)
+
+const { getTargets } = await import("../src/config.js")
+
+describe("config targets", () => {
+	it("reports invalid targets by their place in the file", () => {
+		assert.throws(
+			() => getTargets(),
+			/^Error: Target #3 \("visa"\) is missing "categoryId"$/
+		)
+	})
+})
@@ -0,0 +1,150 @@
+/**
+ * Local ntfy-compatible stand-in
+ * Takes publishes the way an ntfy server with access control does: POST/PUT
+ * /<topic> with the message (or an attachment) as the body and the options in
+ * headers, RFC 2047 encoded headers decoded. With tokens or users set, a
+ * request without credentials gets 403 and wrong credentials get 401. With
+ * attachments off, uploads get 400 like on a server without an attachment
+ * cache directory.
+ */
+
+import http from "node:http"
+
+// ntfy's priority names (and numbers)
+const PRIORITIES = {
+	min: 1,
+	low: 2,
+	default: 3,
+	high: 4,
+	urgent: 5,
+	max: 5,
+	1: 1,
+	2: 2,
+	3: 3,
+	4: 4,
+	5: 5,
+}
+
+/**
+ * Decode an RFC 2047 header ("=?UTF-8?B?...?=") like ntfy does
+ * @private
+ */
+function decodeHeader(value) {
+	if (value === undefined) {
+		return undefined
+	}
+	const match = value.match(/^=\?UTF-8\?B\?(.*)\?=$/i)
+	return match ? Buffer.from(match[1], "base64").toString("utf8") : value
+}
+
+/**
+ * Check the Authorization header
+ * @private
+ * @returns {number|null} Error status, or null when allowed
+ */
+function checkAuth(header, options) {
+	if (!options.tokens && !options.users) {
+		return null
+	}
+	if (!header) {
+		return 403
+	}
+
+	const [scheme, credentials] = header.split(" ")
+	if (scheme === "Bearer") {
+		return options.tokens?.includes(credentials) ? null : 401
+	}
+	if (scheme === "Basic") {
+		const decoded = Buffer.from(credentials, "base64").toString()
+		const user = decoded.slice(0, decoded.indexOf(":"))
+		const password = decoded.slice(decoded.indexOf(":") + 1)
+		return options.users?.[user] === password ? null : 401
+	}
+	return 401
+}
+
+/**
+ * Start the stand-in on a free port
+ * @param {object} options - Access control
+ * @param {string[]} options.tokens - Accepted access tokens (optional)
+ * @param {Object<string, string>} options.users - Accepted users and their passwords (optional)
+ * @param {boolean} options.attachments - false rejects uploads (default true)
+ * @returns {Promise<{url: string, messages: Array<object>, close: () => Promise<void>}>}
+ */
+export async function startNtfyServer(options = {}) {
+	const messages = []
+	let nextId = 1
+
+	const server = http.createServer((req, res) => {
+		const chunks = []
+		req.on("data", (chunk) => chunks.push(chunk))
+		req.on("end", () => {
+			const respond = (status, data) => {
+				res.writeHead(status, { "Content-Type": "application/json" })
+				res.end(JSON.stringify(data))
+			}
+			const fail = (status, error) =>
+				respond(status, { code: status * 100 + 1, http: status, error })
+
+			const topic = req.url.slice(1)
+			if (!["POST", "PUT"].includes(req.method) || !/^[\w-]+$/.test(topic)) {
+				return fail(404, "page not found")
+			}
+
+			const authError = checkAuth(req.headers.authorization, options)
+			if (authError) {
+				return fail(authError, authError === 401 ? "unauthorized" : "forbidden")
+			}
+
+			const header = (name) => decodeHeader(req.headers[name])
+			const body = Buffer.concat(chunks)
+			const filename = header("filename")
+			const delay = header("delay")
+			const cache = header("cache") !== "no"
+
+			if (filename && options.attachments === false) {
+				return fail(400, "invalid request: attachments not allowed")
+			}
+
+			if (delay && !cache) {
+				return fail(
+					400,
+					"invalid request: cannot disable cache for delayed message"
+				)
+			}
+
+			const message = {
+				id: `msg${nextId++}`,
+				time: Math.floor(Date.now() / 1000),
+				event: "message",
+				topic,
+				method: req.method,
+				title: header("title"),
+				message: filename ? header("message") : body.toString("utf8"),
+				priority: PRIORITIES[header("priority") || "default"],
+				tags: header("tags")?.split(",") ?? [],
+				click: header("click"),
+				actions: header("actions"),
+				delay,
+				cache,
+				firebase: header("firebase") !== "no",
+				attachment: filename
+					? { name: filename, size: body.length }
+					: undefined,
+			}
+			messages.push(message)
+			respond(200, message)
+		})
+	})
+
+	await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve))
+
+	return {
+		url: `http://127.0.0.1:${server.address().port}`,
+		messages,
+		close: () => {
+			server.closeAllConnections()
+			return new Promise((resolve) => server.close(() => resolve()))
+		},
+	}
+}
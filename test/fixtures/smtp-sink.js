@@ -0,0 +1,116 @@
+/**
+ * Local SMTP sink
+ * Accepts every message (optionally after AUTH PLAIN/LOGIN) and keeps it in
+ * memory, so the email channel can be tested without a mail server. Plain SMTP
+ * only - no STARTTLS.
+ */
+
+import net from "node:net"
+
+/**
+ * Start the sink on a free port
+ * @returns {Promise<{port: number, messages: Array<{from: string, to: string[], user: string|null, data: string}>, close: () => Promise<void>}>}
+ */
+export async function startSmtpSink() {
+	const messages = []
+
+	const server = net.createServer((socket) => {
+		let envelope = { from: null, to: [], user: null }
+		let buffer = ""
+		let data = null
+		let authStep = null
+
+		const reply = (line) => socket.write(`${line}\r\n`)
+		reply("220 smtp-sink ready")
+
+		const handle = (line) => {
+			if (data !== null) {
+				if (line === ".") {
+					messages.push({ ...envelope, data: data.join("\r\n") })
+					envelope = { from: null, to: [], user: envelope.user }
+					data = null
+					reply("250 OK queued")
+				} else {
+					data.push(line.startsWith("..") ? line.slice(1) : line)
+				}
+				return
+			}
+
+			if (authStep === "username") {
+				envelope.user = Buffer.from(line, "base64").toString()
+				authStep = "password"
+				reply("334 UGFzc3dvcmQ6")
+				return
+			}
+			if (authStep === "password") {
+				authStep = null
+				reply("235 Authentication successful")
+				return
+			}
+
+			const [command, ...args] = line.split(" ")
+			switch (command.toUpperCase()) {
+				case "EHLO":
+					reply("250-smtp-sink")
+					reply("250-AUTH PLAIN LOGIN")
+					reply("250 8BITMIME")
+					break
+				case "HELO":
+					reply("250 smtp-sink")
+					break
+				case "AUTH":
+					if (args[0].toUpperCase() === "PLAIN") {
+						envelope.user = Buffer.from(args[1], "base64")
+							.toString()
+							.split("\0")[1]
+						reply("235 Authentication successful")
+					} else {
+						authStep = "username"
+						reply("334 VXNlcm5hbWU6")
+					}
+					break
+				case "MAIL":
+					envelope.from = line.match(/<(.*)>/)?.[1] ?? null
+					reply("250 OK")
+					break
+				case "RCPT":
+					envelope.to.push(line.match(/<(.*)>/)?.[1])
+					reply("250 OK")
+					break
+				case "DATA":
+					data = []
+					reply("354 End data with <CR><LF>.<CR><LF>")
+					break
+				case "RSET":
+					envelope = { from: null, to: [], user: envelope.user }
+					reply("250 OK")
+					break
+				case "QUIT":
+					reply("221 Bye")
+					socket.end()
+					break
+				default:
+					reply("250 OK")
+			}
+		}
+
+		socket.on("data", (chunk) => {
+			buffer += chunk.toString("utf8")
+			let index
+			while ((index = buffer.indexOf("\r\n")) !== -1) {
+				const line = buffer.slice(0, index)
+				buffer = buffer.slice(index + 2)
+				handle(line)
+			}
+		})
+		socket.on("error", () => {})
+	})
+
+	await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve))
+
+	return {
+		port: server.address().port,
+		messages,
+		close: () => new Promise((resolve) => server.close(() => resolve())),
+	}
+}
@@ -0,0 +1,449 @@
+/**
+ * Local stand-in for the RK-Termin booking site
+ * Replays the saved pages from assets/training-page-src so the checker can run
+ * end-to-end without network access or a captcha solver key.
+ *
+ * Sessions work like the real site: a JSESSIONID cookie is issued on the first
+ * request, the month view is only served once the captcha form was POSTed with
+ * the right answer, and a wrong answer serves a fresh captcha page.
+ *
+ * Bookable days lead on to a day view and a booking form modelled on the live
+ * site (there are no saved copies of those), so auto-booking can run end-to-end.
+ */
+
+import { randomUUID } from "node:crypto"
+import fs from "node:fs"
+import http from "node:http"
+import path from "node:path"
+import { fileURLToPath } from "node:url"
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url))
+const PAGES_DIR = path.join(
+	__dirname,
+	"..",
+	"..",
+	"assets",
+	"training-page-src"
+)
+
+const MONTH_PAGE = fs.readFileSync(
+	path.join(PAGES_DIR, "appt-page.html"),
+	"utf8"
+)
+const CAPTCHA_PAGE = fs.readFileSync(
+	path.join(PAGES_DIR, "captcha-page.html"),
+	"utf8"
+)
+
+const MONTH_PATH = "/rktermin/extern/appointment_showMonth.do"
+const DAY_PATH = "/rktermin/extern/appointment_showDay.do"
+const FORM_PATH = "/rktermin/extern/appointment_showForm.do"
+const BOOK_PATH = "/rktermin/extern/appointment_addAppointment.do"
+const TARGET_QUERY = "locationCode=newy&realmId=683&categoryId=2673"
+
+// Month the saved page shows when no dateStr is given
+const FIRST_MONTH = { year: 2025, month: 12 }
+
+// Times offered on every bookable day unless the scenario says otherwise
+const DEFAULT_TIMES = ["09:00", "09:30"]
+
+// The saved captcha page's image, reused on the booking form
+const CAPTCHA_IMAGE = CAPTCHA_PAGE.match(/<captcha>[\s\S]*?<\/captcha>/)[0]
+
+const MAINTENANCE_PAGE = `<!DOCTYPE html>
+<html><head><title>RK-Termin</title></head>
+<body><h1>Wartungsarbeiten / Maintenance</h1>
+<p>The appointment system is temporarily unavailable due to maintenance.</p>
+</body></html>`
+
+const BLOCKED_PAGE = `<!DOCTYPE html>
+<html><head><title>403 Forbidden</title></head>
+<body><h1>Access denied</h1></body></html>`
+
+const GARBAGE_PAGE = `<!DOCTYPE html>
+<html><head><title>???</title></head>
+<body><div>%%%%&lt;&lt;&lt; 0xDEADBEEF</div><table><tr><td>lorem</td></tr></table>
+</body></html>`
+
+/**
+ * Scripted scenarios
+ * - slots: bookable days per month ("YYYY-MM" -> ["DD.MM.YYYY", ...])
+ * - announcement: replaces the "New appointments will be made available ..." text
+ * - times: bookable times per day ("DD.MM.YYYY" -> ["HH:MM", ...]), default DEFAULT_TIMES
+ * - rejectCaptcha: number of correct captcha answers to reject before accepting
+ * - submitTwice: the booking form repeats its submit button above the fields
+ * - page: serve a fixed page (with status) for every request instead
+ */
+export const SCENARIOS = {
+	"no-slots": { slots: {} },
+	"slots-month-2": { slots: { "2026-01": ["08.01.2026", "15.01.2026"] } },
+	"slots-taken": {
+		slots: { "2026-01": ["08.01.2026", "15.01.2026"] },
+		times: { "08.01.2026": [], "15.01.2026": [] },
+	},
+	announcement: {
+		slots: {},
+		announcement:
+			"New appointments for January will be released on 15.12.2025 at 0:00 CET.",
+	},
+	"captcha-wrong-twice": { slots: {}, rejectCaptcha: 2 },
+	"booking-submit-twice": {
+		slots: { "2026-01": ["08.01.2026"] },
+		submitTwice: true,
+	},
+	maintenance: { page: { status: 503, html: MAINTENANCE_PAGE } },
+	blocked: { page: { status: 403, html: BLOCKED_PAGE } },
+	garbage: { page: { status: 200, html: GARBAGE_PAGE } },
+}
+
+/**
+ * Format a month offset from FIRST_MONTH as a site dateStr (25th of the month)
+ * @private
+ */
+function monthDateStr(year, month) {
+	return `25.${String(month).padStart(2, "0")}.${year}`
+}
+
+/**
+ * Shift a {year, month} pair by a number of months
+ * @private
+ */
+function addMonths({ year, month }, delta) {
+	const index = year * 12 + (month - 1) + delta
+	return { year: Math.floor(index / 12), month: (index % 12) + 1 }
+}
+
+/**
+ * Render the month view for a dateStr (DD.MM.YYYY), falling back to FIRST_MONTH
+ * @private
+ */
+function renderMonthPage(dateStr, scenario) {
+	const slots = scenario.slots
+	const match = dateStr?.match(/^\d{2}\.(\d{2})\.(\d{4})$/)
+	const current = match
+		? { year: Number(match[2]), month: Number(match[1]) }
+		: FIRST_MONTH
+	const previous = addMonths(current, -1)
+	const next = addMonths(current, 1)
+	const key = `${current.year}-${String(current.month).padStart(2, "0")}`
+
+	let html = MONTH_PAGE.replace(
+		/12\/2025/,
+		`${String(current.month).padStart(2, "0")}/${current.year}`
+	)
+		.replace(
+			"dateStr=25.11.2025",
+			`dateStr=${monthDateStr(previous.year, previous.month)}`
+		)
+		.replace(
+			"dateStr=25.01.2026",
+			`dateStr=${monthDateStr(next.year, next.month)}`
+		)
+
+	if (scenario.announcement) {
+		html = html.replace(
+			/New appointments will be made available[\s\S]*?intervals\./,
+			scenario.announcement
+		)
+	}
+
+	const days = slots[key] || []
+	if (days.length > 0) {
+		const dayLinks = days
+			.map(
+				(day) => `<div style="width: 100%">
+							<h4>${day}</h4>
+							<div style="margin-left: 20%">
+								<a class="arrow" href="extern/appointment_showDay.do?${TARGET_QUERY.replace(
+									/&/g,
+									"&amp;"
+								)}&amp;dateStr=${day}">Appointments are available</a>
+							</div>
+						</div>`
+			)
+			.join("\n")
+
+		html = html
+			.replace(/<h2>\s*Unfortunately[\s\S]*?<\/h2>/, "")
+			.replace('<div style="width: 100%"></div>', dayLinks)
+	}
+
+	return html
+}
+
+/**
+ * Render the captcha page for a dateStr
+ * @private
+ */
+function renderCaptchaPage(dateStr) {
+	return CAPTCHA_PAGE.replace(
+		/name="(date|dateStr)"(\s+)value="[^"]*"/g,
+		`name="$1"$2value="${dateStr || ""}"`
+	)
+}
+
+/**
+ * Wrap page content in the site's layout (with the <base href> the pages use)
+ * @private
+ */
+function renderLayout(content) {
+	return `<!DOCTYPE html>
+<html><head>
+<base href="https://service2.diplo.de/rktermin/" />
+<title>Appointments</title>
+</head>
+<body><div class="wrapper">
+${content}
+</div></body></html>`
+}
+
+/**
+ * Render the day view with one booking link per time
+ * @private
+ */
+function renderDayPage(dateStr, times) {
+	const rows = times
+		.map(
+			(time, index) => `<div style="width: 100%">
+	<h4>${time}</h4>
+	<div style="margin-left: 20%">
+		<a class="arrow" href="extern/appointment_showForm.do?${TARGET_QUERY.replace(
+			/&/g,
+			"&amp;"
+		)}&amp;dateStr=${dateStr}&amp;openingPeriodId=${1000 + index}">Book this appointment</a>
+	</div>
+</div>`
+		)
+		.join("\n")
+
+	return renderLayout(`<h2>Appointments on ${dateStr}</h2>
+${rows || "<h2>Unfortunately, there are no appointments available at this time.</h2>"}`)
+}
+
+/**
+ * Render the booking form, keeping what the applicant entered
+ * @private
+ */
+function renderBookingForm(values, error, scenario) {
+	const value = (name) => (values[name] || "").replace(/"/g, "&quot;")
+	const text = (name, label) => `<label for="${name}">${label}</label>
+	<input type="text" name="${name}" value="${value(name)}" id="appointment_newAppointmentForm_${name}" />`
+	const hidden = (name) =>
+		`<input type="hidden" name="${name}" value="${value(name)}" />`
+	const submit = `<input type="submit" value="Submit" id="appointment_newAppointmentForm_appointment_addAppointment" name="action:appointment_addAppointment" />`
+
+	return renderLayout(`${error ? `<div class="errorMessage">${error}</div>` : ""}
+<form id="appointment_newAppointmentForm" name="appointment_newAppointmentForm" action="/rktermin/extern/appointment_addAppointment.do" method="post">
+	${scenario.submitTwice ? submit : ""}
+	${text("lastname", "Surname")}
+	${text("firstname", "First name")}
+	${text("email", "E-Mail")}
+	${text("emailrepeat", "Repeat e-mail")}
+	${text("fields[0].content", "Passport number")}
+	<input type="hidden" name="fields[0].definitionId" value="4711" />
+	${["locationCode", "realmId", "categoryId", "openingPeriodId", "dateStr"]
+		.map(hidden)
+		.join("\n\t")}
+	${CAPTCHA_IMAGE}
+	<input type="submit" value="Load another picture" name="action:appointment_refreshCaptcha" />
+	<label for="captchaText">Please enter here the text you see in the picture above:</label>
+	<input type="text" name="captchaText" value="" id="appointment_newAppointmentForm_captchaText" />
+	${submit}
+</form>`)
+}
+
+/**
+ * Render the booking confirmation
+ * @private
+ */
+function renderConfirmationPage(form) {
+	return renderLayout(`<h2>Your appointment has been booked</h2>
+<p>${form.firstname} ${form.lastname}, ${form.dateStr} (opening period ${form.openingPeriodId})</p>
+<p>We have sent you an e-mail. Please confirm your appointment using the link in that e-mail.</p>`)
+}
+
+/**
+ * Read a urlencoded POST body
+ * @private
+ */
+async function readForm(req) {
+	let body = ""
+	for await (const chunk of req) {
+		body += chunk
+	}
+	return Object.fromEntries(new URLSearchParams(body))
+}
+
+/**
+ * Start the stand-in server on a random local port
+ * @param {object} options - Optional settings
+ * @param {string} options.scenario - Scenario name from SCENARIOS
+ * @param {string} options.captchaAnswer - The answer the captcha accepts
+ * @returns {Promise<{origin: string, url: string, stats: {captchaPages: number, captchaSubmissions: number, captchaRefreshes: number, monthPages: number, bookingSubmissions: number, bookings: Array<object>}, close: () => Promise<void>}>}
+ */
+export async function startStandInServer(options = {}) {
+	const scenarioName = options.scenario || "no-slots"
+	const scenario = SCENARIOS[scenarioName]
+	const captchaAnswer = options.captchaAnswer || "abc123"
+
+	if (!scenario) {
+		throw new Error(`Unknown stand-in scenario "${scenarioName}"`)
+	}
+
+	const sessions = new Map()
+	const stats = {
+		captchaPages: 0,
+		captchaSubmissions: 0,
+		captchaRefreshes: 0,
+		monthPages: 0,
+		bookingSubmissions: 0,
+		bookings: [],
+	}
+	let rejectionsLeft = scenario.rejectCaptcha || 0
+	let origin = null
+
+	const send = (res, status, html, headers = {}) => {
+		// Point the pages' <base href> at this server instead of the real site
+		const body = html.replaceAll(
+			"https://service2.diplo.de/rktermin/",
+			`${origin}/rktermin/`
+		)
+		res.writeHead(status, {
+			"Content-Type": "text/html; charset=UTF-8",
+			...headers,
+		})
+		res.end(body)
+	}
+
+	const server = http.createServer(async (req, res) => {
+		const url = new URL(req.url, origin)
+
+		if (scenario.page) {
+			send(res, scenario.page.status, scenario.page.html)
+			return
+		}
+
+		if (![MONTH_PATH, DAY_PATH, FORM_PATH, BOOK_PATH].includes(url.pathname)) {
+			res.writeHead(404, { "Content-Type": "text/plain" })
+			res.end("Not found")
+			return
+		}
+
+		// Find or start the session
+		const cookie = req.headers.cookie?.match(/JSESSIONID=([^;]+)/)?.[1]
+		let sessionId = cookie && sessions.has(cookie) ? cookie : null
+		const headers = {}
+		if (!sessionId) {
+			sessionId = randomUUID()
+			sessions.set(sessionId, { verified: false })
+			headers["Set-Cookie"] = `JSESSIONID=${sessionId}; Path=/rktermin`
+		}
+		const session = sessions.get(sessionId)
+
+		// The booking pages need a session that got past the captcha
+		if (url.pathname !== MONTH_PATH && !session.verified) {
+			stats.captchaPages++
+			send(res, 200, renderCaptchaPage(null), headers)
+			return
+		}
+
+		if (url.pathname === DAY_PATH) {
+			const dateStr = url.searchParams.get("dateStr")
+			const times = scenario.times?.[dateStr] ?? DEFAULT_TIMES
+			send(res, 200, renderDayPage(dateStr, times), headers)
+			return
+		}
+
+		if (url.pathname === FORM_PATH) {
+			send(
+				res,
+				200,
+				renderBookingForm(Object.fromEntries(url.searchParams), null, scenario),
+				headers
+			)
+			return
+		}
+
+		if (url.pathname === BOOK_PATH) {
+			const form = await readForm(req)
+
+			if ("action:appointment_refreshCaptcha" in form) {
+				stats.captchaRefreshes++
+				send(res, 200, renderBookingForm(form, null, scenario), headers)
+				return
+			}
+
+			stats.bookingSubmissions++
+
+			const complete = [
+				"lastname",
+				"firstname",
+				"email",
+				"fields[0].content",
+			].every((name) => form[name])
+			let error = null
+			if (form.captchaText !== captchaAnswer) {
+				error = "The text you entered does not match the picture"
+			} else if (!complete || form.email !== form.emailrepeat) {
+				error = "Please fill in all required fields"
+			}
+
+			if (error) {
+				send(res, 200, renderBookingForm(form, error, scenario), headers)
+				return
+			}
+
+			stats.bookings.push(form)
+			send(res, 200, renderConfirmationPage(form), headers)
+			return
+		}
+
+		if (req.method === "POST") {
+			const form = await readForm(req)
+
+			if ("action:appointment_refreshCaptchamonth" in form) {
+				stats.captchaRefreshes++
+			} else {
+				stats.captchaSubmissions++
+
+				if (form.captchaText === captchaAnswer && rejectionsLeft === 0) {
+					session.verified = true
+				} else if (form.captchaText === captchaAnswer) {
+					rejectionsLeft--
+				}
+			}
+
+			if (session.verified) {
+				stats.monthPages++
+				send(res, 200, renderMonthPage(form.dateStr, scenario), headers)
+			} else {
+				stats.captchaPages++
+				send(res, 200, renderCaptchaPage(form.dateStr), headers)
+			}
+			return
+		}
+
+		const dateStr = url.searchParams.get("dateStr")
+		if (session.verified) {
+			stats.monthPages++
+			send(res, 200, renderMonthPage(dateStr, scenario), headers)
+		} else {
+			stats.captchaPages++
+			send(res, 200, renderCaptchaPage(dateStr), headers)
+		}
+	})
+
+	await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve))
+	origin = `http://127.0.0.1:${server.address().port}`
+
+	return {
+		origin,
+		url: `${origin}${MONTH_PATH}?${TARGET_QUERY}`,
+		stats,
+		close: () =>
+			new Promise((resolve) => {
+				server.closeAllConnections()
+				server.close(() => resolve())
+			}),
+	}
+}
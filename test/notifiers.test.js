@@ -0,0 +1,161 @@
+import assert from "node:assert/strict"
+import fs from "node:fs"
+import os from "node:os"
+import path from "node:path"
+import { describe, it } from "node:test"
+
+// Channels declared in a config file, using a test notifier type that records events
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "notifiers-test-"))
+process.env.CONFIG_FILE = path.join(dir, "config.json")
+fs.writeFileSync(
+	process.env.CONFIG_FILE,
+	JSON.stringify({
+		notifications: {
+			channels: [
+				{ name: "phone", type: "memory", box: "phone" },
+				{
+					name: "pager",
+					type: "memory",
+					box: "pager",
+					minSeverity: "critical",
+				},
+				{ name: "off", type: "memory", box: "off", enabled: false },
+				{ name: "broken", type: "memory", box: "broken", fail: true },
+			],
+		},
+	})
+)
+
+const { createChannels, dispatch, getChannels, registerNotifier } =
+	await import("../src/notifiers.js")
+const { alertAvailability, alertError } = await import("../src/notify-all.js")
+
+const boxes = {}
+registerNotifier("memory", (options) => ({
+	accepts: (event) => !event.target?.notify?.mute,
+	send: async (event) => {
+		if (options.fail) {
+			throw new Error("gateway down")
+		}
+		;(boxes[options.box] ||= []).push(event)
+	},
+}))
+
+describe("notification channels", () => {
+	it("builds the enabled channels from the config file", () => {
+		assert.deepEqual(
+			getChannels().map((channel) => [channel.name, channel.minSeverity]),
+			[
+				["phone", "info"],
+				["pager", "critical"],
+				["broken", "info"],
+			]
+		)
+	})
+
+	it("rejects unknown types, duplicate names and unknown severities", () => {
+		assert.throws(
+			() => createChannels([{ type: "carrier-pigeon" }]),
+			/unknown type "carrier-pigeon" \(available: .*memory/
+		)
+		assert.throws(
+			() => createChannels([{ type: "memory" }, { type: "memory" }]),
+			/Duplicate notification channel "memory"/
+		)
+		assert.throws(
+			() => createChannels([{ type: "memory", minSeverity: "loud" }]),
+			/unknown minSeverity "loud"/
+		)
+	})
+
+	it("fans events out by severity and reports each channel", async () => {
+		const target = { label: "New York - Passport", notify: {} }
+
+		const available = await alertAvailability(
+			{ slots: [{ date: "01.01.2030" }] },
+			target
+		)
+		assert.deepEqual(available, [
+			{ channel: "phone", type: "memory", ok: true },
+			{ channel: "pager", type: "memory", ok: true },
+			{ channel: "broken", type: "memory", ok: false, error: "gateway down" },
+		])
+		assert.equal(boxes.pager[0].type, "availability")
+		assert.match(boxes.pager[0].message, /New York - Passport\): 01\.01\.2030/)
+		assert.match(boxes.pager[0].summary, /appointments available: 01\.01\.2030/)
+
+		// Errors are below the pager's minSeverity
+		const errored = await alertError(new Error("timeout"), target)
+		assert.deepEqual(
+			errored.map((r) => r.channel),
+			["phone", "broken"]
+		)
+		assert.equal(boxes.phone[1].severity, "error")
+		assert.equal(boxes.phone[1].operational, true)
+		assert.equal(boxes.pager.length, 1)
+		assert.equal(boxes.off, undefined)
+	})
+
+	it("builds slot alerts from the check result", async () => {
+		const monthUrl =
+			"https://example.com/appointment_showMonth.do?locationCode=newy&dateStr=01.02.2030"
+		await alertAvailability(
+			{
+				monthUrl,
+				slots: [
+					{ date: "2030-02-04", url: "https://example.com/day?d=04" },
+					{ date: "2030-02-11", url: "https://example.com/day?d=11" },
+					{ date: "2030-03-01", url: "https://example.com/day?d=01" },
+				],
+				months: [
+					{ month: "2030-01", url: null, available: false, slots: [] },
+					{
+						month: "2030-02",
+						url: monthUrl,
+						available: true,
+						slots: [{ date: "2030-02-04" }, { date: "2030-02-11" }],
+					},
+					{
+						month: "2030-03",
+						url: "https://example.com/march",
+						available: true,
+						slots: [{ date: "2030-03-01" }],
+					},
+				],
+			},
+			{ label: "New York - Passport", notify: {} }
+		)
+
+		const event = boxes.pager.at(-1)
+		assert.equal(event.url, monthUrl)
+		assert.deepEqual(
+			event.actions.map((action) => action.label),
+			["Open month", "Book 2030-02-04", "Book 2030-02-11", "Book 2030-03-01"]
+		)
+		assert.deepEqual(event.message.split("\n").slice(1), [
+			`📅 2030-02 (2 days): ${monthUrl}`,
+			"📅 2030-03 (1 day): https://example.com/march",
+		])
+	})
+
+	it("skips channels that turn an event down", async () => {
+		const results = await dispatch(
+			{ type: "error", severity: "error", target: { notify: { mute: true } } },
+			createChannels([{ type: "memory", box: "muted" }])
+		)
+		assert.deepEqual(results, [])
+		assert.equal(boxes.muted, undefined)
+	})
+
+	it("doesn't text slots-gone or recovered notices", () => {
+		const [sms] = createChannels([
+			{ type: "sms", phones: ["5551234567"], minSeverity: "info" },
+		])
+		const event = (type, severity) => ({ type, severity, target: {} })
+
+		assert.equal(sms.accepts(event("availability", "critical")), true)
+		assert.equal(sms.accepts(event("booking", "critical")), true)
+		assert.equal(sms.accepts(event("availabilityGone", "critical")), false)
+		assert.equal(sms.accepts(event("recovered", "error")), false)
+	})
+})
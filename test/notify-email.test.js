@@ -0,0 +1,138 @@
+import assert from "node:assert/strict"
+import { after, before, describe, it } from "node:test"
+import { startSmtpSink } from "./fixtures/smtp-sink.js"
+
+const { createChannels, dispatch } = await import("../src/notifiers.js")
+
+// 1x1 PNG
+const SCREENSHOT =
+	"iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNk+M9QDwADhgGAWjR9awAAAABJRU5ErkJggg=="
+
+describe("email channel against a local SMTP sink", () => {
+	let sink = null
+	let channels = null
+
+	before(async () => {
+		sink = await startSmtpSink()
+		channels = createChannels([
+			{
+				name: "mail",
+				type: "email",
+				host: "127.0.0.1",
+				port: sink.port,
+				user: "checker@example.com",
+				pass: "secret",
+				from: "Consulate Checker <checker@example.com>",
+				to: ["erika@example.com", "max@example.com"],
+			},
+		])
+	})
+
+	after(() => sink.close())
+
+	it("sends slot alerts as HTML with links and the screenshot attached", async () => {
+		const target = {
+			label: "New York - Passport",
+			url: "https://service2.diplo.de/rktermin/extern/appointment_showMonth.do?locationCode=newy",
+			notify: {},
+		}
+		const results = await dispatch(
+			{
+				type: "availability",
+				severity: "critical",
+				title: "New York - Passport - Appointments Available!",
+				message: "🚨 APPOINTMENT SLOTS AVAILABLE: 14.01.2026",
+				summary: "🚨 New York - Passport appointments available: 14.01.2026",
+				operational: false,
+				target,
+				result: {
+					slots: [
+						{
+							date: "14.01.2026",
+							url: "https://service2.diplo.de/rktermin/extern/appointment_showDay.do?dateStr=14.01.2026",
+						},
+					],
+					screenshot: SCREENSHOT,
+				},
+			},
+			channels
+		)
+
+		assert.deepEqual(results, [{ channel: "mail", type: "email", ok: true }])
+		const [message] = sink.messages
+		assert.equal(message.from, "checker@example.com")
+		assert.deepEqual(message.to, ["erika@example.com", "max@example.com"])
+		assert.equal(message.user, "checker@example.com")
+		assert.match(message.data, /Subject: New York - Passport - Appointments/)
+		assert.match(message.data, /Content-Type: text\/html/)
+		assert.match(
+			message.data,
+			/Content-Type: image\/png; name=appointments\.png/
+		)
+		assert.match(message.data, /Content-ID: <screenshot>/)
+
+		// The HTML part is quoted-printable or base64 depending on its content
+		const html = decodeParts(message.data).find((part) =>
+			part.includes("<!DOCTYPE html>")
+		)
+		assert.match(html, /<a href="[^"]*dateStr=14\.01\.2026">14\.01\.2026<\/a>/)
+		assert.match(html, /<b>New York - Passport<\/b>/)
+		assert.match(html, /Open the appointment page/)
+		assert.match(html, /cid:screenshot/)
+	})
+
+	it("sends errors as plain text", async () => {
+		const results = await dispatch(
+			{
+				type: "error",
+				severity: "error",
+				title: "Consulate Checker Error",
+				message: "Checker error: <timeout> after 30s",
+				summary: "⚠️ German Consulate checker error: timeout",
+				operational: true,
+			},
+			channels
+		)
+
+		assert.equal(results[0].ok, true)
+		const message = sink.messages.at(-1)
+		assert.match(message.data, /Content-Type: text\/plain/)
+		assert.doesNotMatch(message.data, /text\/html/)
+		assert.match(message.data, /Checker error: <timeout> after 30s/)
+	})
+
+	it("reports an unreachable server per channel", async () => {
+		const [broken] = createChannels([
+			{ type: "email", host: "127.0.0.1", port: 1, to: "erika@example.com" },
+		])
+		const results = await dispatch(
+			{ type: "error", severity: "error", title: "x", message: "x" },
+			[broken]
+		)
+
+		assert.equal(results[0].ok, false)
+		assert.match(results[0].error, /Email send failed/)
+	})
+})
+
+/**
+ * Decode the base64 and quoted-printable parts of a MIME message
+ */
+function decodeParts(data) {
+	return data.split(/\r\n--/).map((part) => {
+		const [headers, ...body] = part.split("\r\n\r\n")
+		const content = body.join("\r\n\r\n")
+		if (/Content-Transfer-Encoding: base64/i.test(headers)) {
+			return Buffer.from(content.replace(/\s/g, ""), "base64").toString()
+		}
+		if (/Content-Transfer-Encoding: quoted-printable/i.test(headers)) {
+			const bytes = content
+				.replace(/=\r\n/g, "")
+				.replace(/=([0-9A-F]{2})/g, (_, hex) =>
+					String.fromCharCode(parseInt(hex, 16))
+				)
+			return Buffer.from(bytes, "latin1").toString()
+		}
+		return content
+	})
+}
@@ -0,0 +1,159 @@
+import assert from "node:assert/strict"
+import { after, before, describe, it } from "node:test"
+import { startNtfyServer } from "./fixtures/ntfy-server.js"
+
+const { createChannels, dispatch } = await import("../src/notifiers.js")
+
+const TOKEN = "tk_stand-in-token"
+
+describe("ntfy channel against a self-hosted stand-in", () => {
+	let server = null
+	const target = { label: "New York - Passport", notify: {} }
+
+	before(async () => {
+		server = await startNtfyServer({
+			tokens: [TOKEN],
+			users: { checker: "s3cret:pw" },
+		})
+	})
+
+	after(() => server.close())
+
+	const send = (channel, event) =>
+		dispatch(
+			{ severity: "critical", title: "x", message: "x", target, ...event },
+			createChannels([{ type: "ntfy", server: `${server.url}/`, ...channel }])
+		)
+
+	it("publishes with an access token and the default styles", async () => {
+		const [result] = await send(
+			{ topic: "alerts", token: TOKEN },
+			{
+				type: "availability",
+				title: "New York - Passport - Appointments Available!",
+				message: "🚨 APPOINTMENT SLOTS AVAILABLE: 2026-01-14",
+				url: "https://example.com/month",
+				actions: [{ label: "Open month", url: "https://example.com/month" }],
+			}
+		)
+
+		assert.deepEqual(result, { channel: "ntfy", type: "ntfy", ok: true })
+		const message = server.messages.at(-1)
+		assert.equal(message.topic, "alerts")
+		assert.equal(message.message, "🚨 APPOINTMENT SLOTS AVAILABLE: 2026-01-14")
+		assert.equal(message.priority, 5)
+		assert.deepEqual(message.tags, ["rotating_light", "de"])
+		assert.equal(message.click, "https://example.com/month")
+		assert.equal(message.actions, "view, Open month, https://example.com/month")
+		assert.equal(message.cache, true)
+		assert.equal(message.firebase, true)
+	})
+
+	it("publishes with basic auth", async () => {
+		const [result] = await send(
+			{ topic: "alerts", user: "checker", password: "s3cret:pw" },
+			{ type: "error", severity: "error", variant: "blocked" }
+		)
+
+		assert.equal(result.ok, true)
+		const message = server.messages.at(-1)
+		assert.equal(message.priority, 4)
+		assert.deepEqual(message.tags, ["warning", "no_entry"])
+	})
+
+	it("reports rejected credentials", async () => {
+		const count = server.messages.length
+		const [missing] = await send({ topic: "alerts" }, { type: "availability" })
+		const [wrong] = await send(
+			{ topic: "alerts", token: "tk_wrong" },
+			{ type: "availability" }
+		)
+
+		assert.equal(missing.ok, false)
+		assert.match(missing.error, /HTTP 403: forbidden/)
+		assert.match(wrong.error, /HTTP 401: unauthorized/)
+		assert.equal(server.messages.length, count)
+	})
+
+	it("applies the channel's event styles, delay, cache and firebase", async () => {
+		const channel = {
+			topic: "alerts",
+			token: TOKEN,
+			firebase: false,
+			events: {
+				pageChange: { priority: "low", tags: ["eyes"], delay: "tomorrow, 9am" },
+				booking: { priority: "max" },
+				"booking:failed": { priority: "high", cache: false },
+			},
+		}
+
+		await send(channel, { type: "pageChange", severity: "info" })
+		let message = server.messages.at(-1)
+		assert.equal(message.priority, 2)
+		assert.deepEqual(message.tags, ["eyes"])
+		assert.equal(message.delay, "tomorrow, 9am")
+		assert.equal(message.firebase, false)
+
+		await send(channel, { type: "booking", variant: "failed" })
+		message = server.messages.at(-1)
+		assert.equal(message.priority, 4)
+		assert.deepEqual(message.tags, ["warning", "de"])
+		assert.equal(message.cache, false)
+
+		// Unknown types fall back to the severity
+		await send(channel, { type: "custom", severity: "warning" })
+		assert.equal(server.messages.at(-1).priority, 4)
+	})
+
+	it("uploads the screenshot with the text in the Message header", async () => {
+		const [result] = await send(
+			{ topic: "alerts", token: TOKEN },
+			{
+				type: "availability",
+				message: "🚨 Slots\n📅 2026-01 (1 day): https://example.com/month",
+				result: { screenshot: Buffer.from("png bytes").toString("base64") },
+			}
+		)
+
+		assert.equal(result.ok, true)
+		const message = server.messages.at(-1)
+		assert.equal(message.method, "PUT")
+		assert.deepEqual(message.attachment, { name: "screenshot.png", size: 9 })
+		assert.equal(
+			message.message,
+			"🚨 Slots\n📅 2026-01 (1 day): https://example.com/month"
+		)
+	})
+
+	it("sends the text without the screenshot when uploads are rejected", async () => {
+		const noUploads = await startNtfyServer({ attachments: false })
+		try {
+			const [result] = await dispatch(
+				{
+					type: "availability",
+					severity: "critical",
+					title: "New York - Passport - Appointments Available!",
+					message: "🚨 Slots",
+					target,
+					result: { screenshot: Buffer.from("png bytes").toString("base64") },
+				},
+				createChannels([
+					{ type: "ntfy", server: noUploads.url, topic: "alerts" },
+				])
+			)
+
+			assert.equal(result.ok, true)
+			assert.equal(noUploads.messages.length, 1)
+			const [message] = noUploads.messages
+			assert.equal(message.method, "POST")
+			assert.equal(message.attachment, undefined)
+			assert.equal(message.message, "🚨 Slots")
+			assert.equal(
+				message.title,
+				"New York - Passport - Appointments Available!"
+			)
+		} finally {
+			await noUploads.close()
+		}
+	})
+})
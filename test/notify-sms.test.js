@@ -0,0 +1,64 @@
+import assert from "node:assert/strict"
+import fs from "node:fs"
+import os from "node:os"
+import path from "node:path"
+import { describe, it } from "node:test"
+import { fitSms } from "../src/notify-sms.js"
+
+// Channels from the environment, as without a "notifications" config section
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "notify-sms-test-"))
+process.env.CONFIG_FILE = path.join(dir, "config.json")
+fs.writeFileSync(process.env.CONFIG_FILE, "{}")
+process.env.SMS_PHONE_NUMBERS = "5551234567"
+process.env.ERROR_PHONE_NUMBERS = "5559876543, 5559876543"
+
+const { getChannels } = await import("../src/notifiers.js")
+
+const LINK =
+	"https://service2.diplo.de/rktermin/extern/appointment_showMonth.do?locationCode=newy&realmId=683&categoryId=2673&dateStr=01.01.2026"
+
+describe("fitSms", () => {
+	it("keeps short texts and drops emoji so they stay GSM-7", () => {
+		assert.equal(
+			fitSms("🚨 New York - Passport appointments available: 2026-01-14"),
+			"New York - Passport appointments available: 2026-01-14"
+		)
+	})
+
+	it("cuts the text to keep the link within one segment", () => {
+		const text = fitSms(
+			"🚨 New York - Passport appointments available: 2026-01-14, 2026-01-15, 2026-01-22",
+			LINK
+		)
+		assert.ok(text.length <= 160, `${text.length} characters`)
+		assert.ok(text.endsWith(`... ${LINK}`))
+		assert.match(text, /^New York - Passport/)
+	})
+
+	it("counts escaped characters twice and allows more segments", () => {
+		assert.equal(fitSms("€".repeat(100)), `${"€".repeat(78)}...`)
+		assert.equal(fitSms("x".repeat(400), null, 2).length, 306)
+	})
+
+	it("leaves out a link that leaves no room for text", () => {
+		assert.equal(
+			fitSms("Slots found", `${LINK}${"x".repeat(60)}`),
+			"Slots found"
+		)
+	})
+})
+
+describe("SMS channels from the environment", () => {
+	it("texts errors only to ERROR_PHONE_NUMBERS", () => {
+		const channels = getChannels()
+		const sms = channels.find((channel) => channel.name === "sms")
+		const errors = channels.find((channel) => channel.name === "sms-errors")
+		const event = (type, severity) => ({ type, severity, operational: true })
+
+		assert.equal(sms.minSeverity, "critical")
+		assert.equal(errors.minSeverity, "error")
+		assert.equal(errors.accepts(event("error", "error")), true)
+		assert.equal(errors.accepts(event("availability", "critical")), false)
+		assert.equal(errors.accepts(event("booking", "critical")), false)
+	})
+})
@@ -0,0 +1,274 @@
+import assert from "node:assert/strict"
+import http from "node:http"
+import { after, before, describe, it } from "node:test"
+
+const { createChannels, dispatch } = await import("../src/notifiers.js")
+const { handleCommand } = await import("../src/notify-telegram.js")
+
+const TOKEN = "123:test-token"
+const CHAT = 1001
+
+/**
+ * Stand-in for the Bot API: records sent messages and hands out queued updates
+ */
+async function startBotApi() {
+	const sent = []
+	const updates = []
+	let nextUpdateId = 1
+
+	const server = http.createServer((req, res) => {
+		let body = ""
+		req.on("data", (chunk) => {
+			body += chunk
+		})
+		req.on("end", async () => {
+			const [, token, method] = req.url.match(/^\/bot([^/]+)\/(\w+)$/) || []
+			const params = JSON.parse(body || "{}")
+			const respond = (status, data) => {
+				res.writeHead(status, { "Content-Type": "application/json" })
+				res.end(JSON.stringify(data))
+			}
+
+			if (token !== TOKEN) {
+				return respond(401, { ok: false, description: "Unauthorized" })
+			}
+			if (method === "sendMessage") {
+				sent.push(params)
+				return respond(200, { ok: true, result: { message_id: sent.length } })
+			}
+			if (method === "getUpdates") {
+				// Like the real API, an offset confirms the updates below it, and the
+				// rest are handed out again (a stopped bot's last poll takes nothing)
+				while (updates[0]?.update_id < params.offset) {
+					updates.shift()
+				}
+				// Long poll, shortened
+				if (updates.length === 0) {
+					await new Promise((resolve) => setTimeout(resolve, 20))
+				}
+				return respond(200, { ok: true, result: [...updates] })
+			}
+			respond(404, { ok: false, description: "Not Found" })
+		})
+	})
+
+	await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve))
+
+	return {
+		url: `http://127.0.0.1:${server.address().port}`,
+		sent,
+		send(chatId, text) {
+			updates.push({
+				update_id: nextUpdateId++,
+				message: {
+					chat: { id: chatId },
+					date: Math.floor(Date.now() / 1000),
+					text,
+				},
+			})
+		},
+		close: () => {
+			server.closeAllConnections()
+			return new Promise((resolve) => server.close(() => resolve()))
+		},
+	}
+}
+
+/**
+ * Scheduler control with canned state
+ */
+function fakeControl() {
+	const calls = []
+	let paused = false
+	return {
+		calls,
+		status: () => ({
+			paused,
+			running: false,
+			nextCheckAt: new Date(Date.now() + 204_000),
+			lastRun: { finishedAt: new Date(), ok: true },
+			targets: [
+				{
+					label: "New York - Passport",
+					ok: true,
+					available: false,
+					message: "No appointments available (checked 2 months)",
+					slots: [],
+				},
+			],
+		}),
+		checkNow: async () => {
+			calls.push("check")
+			return true
+		},
+		pause: () => {
+			calls.push("pause")
+			const changed = !paused
+			paused = true
+			return changed
+		},
+		resume: () => {
+			calls.push("resume")
+			const changed = paused
+			paused = false
+			return changed
+		},
+	}
+}
+
+describe("telegram channel against a stand-in Bot API", () => {
+	let api = null
+	let channel = null
+
+	before(async () => {
+		api = await startBotApi()
+		;[channel] = createChannels([
+			{
+				type: "telegram",
+				token: TOKEN,
+				chatIds: [CHAT, "1002"],
+				apiUrl: api.url,
+				pollTimeout: 0,
+				retryMs: 20,
+			},
+		])
+	})
+
+	after(() => api.close())
+
+	it("sends alerts with slot links to every chat", async () => {
+		const results = await dispatch(
+			{
+				type: "availability",
+				severity: "critical",
+				title: "New York - Passport - Appointments Available!",
+				message: "🚨 APPOINTMENT SLOTS AVAILABLE: 14.01.2026",
+				result: {
+					slots: [{ date: "14.01.2026", url: "https://example.com/day?d=14" }],
+				},
+			},
+			[channel]
+		)
+
+		assert.deepEqual(results, [
+			{ channel: "telegram", type: "telegram", ok: true },
+		])
+		assert.deepEqual(
+			api.sent.map((message) => message.chat_id),
+			[String(CHAT), "1002"]
+		)
+		assert.match(api.sent[0].text, /Appointments Available!\n\n🚨/)
+		assert.match(api.sent[0].text, /📅 14\.01\.2026: https:\/\/example\.com/)
+	})
+
+	it("reports API errors per channel", async () => {
+		const [wrongToken] = createChannels([
+			{ type: "telegram", token: "bad", chatIds: CHAT, apiUrl: api.url },
+		])
+		const [result] = await dispatch(
+			{ type: "error", severity: "error", title: "x", message: "x" },
+			[wrongToken]
+		)
+
+		assert.equal(result.ok, false)
+		assert.match(result.error, /Telegram sendMessage failed: Unauthorized/)
+	})
+
+	it("answers commands from configured chats only", async () => {
+		api.sent.length = 0
+		const control = fakeControl()
+		const bot = channel.listen(control)
+
+		api.send(9999, "/pause")
+		api.send(CHAT, "/pause@ConsulateBot")
+		api.send(CHAT, "/status")
+		api.send(CHAT, "/check")
+		for (let i = 0; i < 50 && api.sent.length < 4; i++) {
+			await new Promise((resolve) => setTimeout(resolve, 20))
+		}
+		bot.stop()
+		await bot.done
+
+		assert.deepEqual(control.calls, ["pause", "check"])
+		assert.ok(api.sent.every((message) => message.chat_id === String(CHAT)))
+		// Commands are answered side by side, so only /check's replies keep their order
+		const texts = api.sent.map((message) => message.text)
+		assert.ok(
+			texts.some((text) => /Paused - no checks until \/resume/.test(text))
+		)
+		assert.ok(
+			texts.some(
+				(text) =>
+					/No appointments available/.test(text) && !/Check finished/.test(text)
+			)
+		)
+		assert.ok(
+			texts.findIndex((text) => /Checking now/.test(text)) <
+				texts.findIndex((text) => /Check finished/.test(text))
+		)
+	})
+
+	it("answers /status while /check is still running", async () => {
+		api.sent.length = 0
+		let finishCheck = null
+		const control = {
+			...fakeControl(),
+			checkNow: () =>
+				new Promise((resolve) => {
+					finishCheck = () => resolve(true)
+				}),
+		}
+		const bot = channel.listen(control)
+		const waitFor = async (pattern) => {
+			for (let i = 0; i < 50; i++) {
+				if (api.sent.some((message) => pattern.test(message.text))) {
+					return
+				}
+				await new Promise((resolve) => setTimeout(resolve, 20))
+			}
+			assert.fail(`No reply matching ${pattern}`)
+		}
+
+		try {
+			api.send(CHAT, "/check")
+			await waitFor(/Checking now/)
+			api.send(CHAT, "/status")
+			await waitFor(/No appointments available/)
+			assert.ok(
+				!api.sent.some((message) => /Check finished/.test(message.text))
+			)
+
+			finishCheck()
+			await waitFor(/Check finished/)
+		} finally {
+			finishCheck?.()
+			bot.stop()
+			await bot.done
+		}
+	})
+})
+
+describe("handleCommand", () => {
+	const run = async (text, control = fakeControl()) => {
+		const replies = []
+		await handleCommand(text, control, async (reply) => replies.push(reply))
+		return replies
+	}
+
+	it("reports the next check time", async () => {
+		const [reply] = await run("/next")
+		assert.match(reply, /Next check at .* \(in 3m 2[34]s\)/)
+	})
+
+	it("resumes only when paused", async () => {
+		const control = fakeControl()
+		assert.match((await run("/resume", control))[0], /Not paused/)
+		await run("/pause", control)
+		assert.match((await run("/resume", control))[0], /Resumed\n⏰ Next check/)
+	})
+
+	it("lists the commands for anything else", async () => {
+		const [reply] = await run("/help")
+		assert.match(reply, /\/status.*\n\/check.*\n\/pause.*\n\/resume.*\n\/next/)
+	})
+})
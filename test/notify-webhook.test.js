@@ -0,0 +1,189 @@
+import assert from "node:assert/strict"
+import { createHmac } from "node:crypto"
+import http from "node:http"
+import { after, before, describe, it } from "node:test"
+
+const { createChannels, dispatch } = await import("../src/notifiers.js")
+
+const SECRET = "webhook-secret"
+
+/**
+ * Receiver that answers with the queued status codes (then 204) and records every request
+ */
+async function startReceiver() {
+	const requests = []
+	const statuses = []
+
+	const server = http.createServer((req, res) => {
+		let body = ""
+		req.on("data", (chunk) => {
+			body += chunk
+		})
+		req.on("end", () => {
+			requests.push({ path: req.url, headers: req.headers, body })
+			res.writeHead(statuses.shift() ?? 204)
+			res.end()
+		})
+	})
+
+	await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve))
+
+	return {
+		url: `http://127.0.0.1:${server.address().port}`,
+		requests,
+		statuses,
+		close: () => new Promise((resolve) => server.close(() => resolve())),
+	}
+}
+
+describe("webhook channel", () => {
+	let receiver = null
+	let channel = null
+	const target = {
+		id: "newy-passport",
+		label: "New York - Passport",
+		url: "https://service2.diplo.de/rktermin/extern/appointment_showMonth.do",
+		notify: {},
+	}
+	const check = {
+		id: "0b6f8e2c-check",
+		startedAt: new Date("2026-01-10T22:00:00Z"),
+	}
+
+	before(async () => {
+		receiver = await startReceiver()
+		;[channel] = createChannels([
+			{
+				type: "webhook",
+				url: `${receiver.url}/hooks/consulate`,
+				secret: SECRET,
+				headers: { Authorization: "Bearer relay-token" },
+				retryDelayMs: 10,
+			},
+		])
+	})
+
+	after(() => receiver.close())
+
+	it("POSTs a signed, versioned payload", async () => {
+		const results = await dispatch(
+			{
+				type: "availability",
+				severity: "critical",
+				title: "New York - Passport - Appointments Available!",
+				message: "🚨 APPOINTMENT SLOTS AVAILABLE: 14.01.2026",
+				target,
+				result: {
+					slots: [{ date: "14.01.2026", url: "https://example.com/day" }],
+				},
+				check,
+			},
+			[channel]
+		)
+
+		assert.deepEqual(results, [
+			{ channel: "webhook", type: "webhook", ok: true },
+		])
+		const [request] = receiver.requests
+		assert.equal(request.path, "/hooks/consulate")
+		assert.equal(request.headers.authorization, "Bearer relay-token")
+		assert.equal(request.headers["x-checker-event"], "availability")
+
+		const expected = createHmac("sha256", SECRET)
+			.update(`${request.headers["x-checker-timestamp"]}.${request.body}`)
+			.digest("hex")
+		assert.equal(request.headers["x-checker-signature"], `sha256=${expected}`)
+
+		const payload = JSON.parse(request.body)
+		assert.equal(payload.version, 1)
+		assert.equal(payload.event, "availability")
+		assert.deepEqual(payload.target, {
+			id: "newy-passport",
+			label: "New York - Passport",
+			url: target.url,
+		})
+		assert.deepEqual(payload.slots, [
+			{ date: "14.01.2026", url: "https://example.com/day" },
+		])
+		assert.equal(payload.message, "🚨 APPOINTMENT SLOTS AVAILABLE: 14.01.2026")
+		assert.equal(payload.checkId, "0b6f8e2c-check")
+		assert.equal(payload.checkStartedAt, "2026-01-10T22:00:00.000Z")
+		assert.ok(Date.parse(payload.sentAt) > check.startedAt.getTime())
+	})
+
+	it("carries the diff of page change alerts", async () => {
+		receiver.requests.length = 0
+		const results = await dispatch(
+			{
+				type: "pageChange",
+				severity: "info",
+				title: "Page Changed",
+				message: "changed",
+				target,
+				change: { diff: "- old\n+ new" },
+				check,
+			},
+			[channel]
+		)
+
+		assert.equal(results[0].ok, true)
+		const payload = JSON.parse(receiver.requests[0].body)
+		assert.deepEqual(payload.pageChange, { diff: "- old\n+ new" })
+	})
+
+	it("retries 5xx with backoff under one delivery id", async () => {
+		receiver.requests.length = 0
+		receiver.statuses.push(503, 502)
+
+		const error = new Error("Timed out waiting for the month page")
+		error.name = "UnexpectedPageError"
+		const [result] = await dispatch(
+			{
+				type: "error",
+				severity: "error",
+				title: "Consulate Checker Error",
+				message: "Checker error: Timed out",
+				target,
+				error,
+				check,
+			},
+			[channel]
+		)
+
+		assert.equal(result.ok, true)
+		assert.equal(receiver.requests.length, 3)
+		const deliveries = new Set(
+			receiver.requests.map((r) => r.headers["x-checker-delivery"])
+		)
+		assert.equal(deliveries.size, 1)
+		assert.deepEqual(JSON.parse(receiver.requests[2].body).error, {
+			name: "UnexpectedPageError",
+			message: "Timed out waiting for the month page",
+		})
+	})
+
+	it("gives up on other 4xx without retrying", async () => {
+		receiver.requests.length = 0
+		receiver.statuses.push(400)
+
+		const [result] = await dispatch(
+			{ type: "error", severity: "error", title: "x", message: "x" },
+			[channel]
+		)
+
+		assert.equal(result.ok, false)
+		assert.match(result.error, /HTTP 400/)
+		assert.equal(receiver.requests.length, 1)
+	})
+
+	it("only sends the configured event types", async () => {
+		const [filtered] = createChannels([
+			{ type: "webhook", url: receiver.url, events: ["availability"] },
+		])
+		const results = await dispatch(
+			{ type: "error", severity: "error", title: "x", message: "x" },
+			[filtered]
+		)
+		assert.deepEqual(results, [])
+	})
+})
@@ -0,0 +1,49 @@
+import assert from "node:assert/strict"
+import fs from "node:fs"
+import os from "node:os"
+import path from "node:path"
+import { describe, it } from "node:test"
+
+process.env.STATE_DIR = fs.mkdtempSync(
+	path.join(os.tmpdir(), "page-watch-test-")
+)
+process.env.PAGE_CHANGE_ALERTS = "true"
+
+const { detectPageChange, diffLines } = await import("../src/page-watch.js")
+
+const noSlots = (pageText) => ({
+	available: false,
+	pageText,
+	months: [{ available: false, slots: [] }],
+})
+
+describe("detectPageChange", () => {
+	it("records a baseline, then reports changed text with a diff", () => {
+		const target = { id: "watch" }
+		assert.equal(detectPageChange(target, noSlots("No appointments")), null)
+		assert.equal(detectPageChange(target, noSlots("No appointments")), null)
+
+		const change = detectPageChange(
+			target,
+			noSlots("No appointments\nRelease on 15.12.")
+		)
+		assert.equal(change.diff, "+ Release on 15.12.")
+		assert.equal(change.previousText, "No appointments")
+	})
+
+	it("returns null instead of throwing when the baseline can't be saved", () => {
+		const target = { id: "unwritable" }
+		// A directory where the baseline file should go makes the write fail
+		fs.mkdirSync(path.join(process.env.STATE_DIR, "pages", "unwritable.json"), {
+			recursive: true,
+		})
+
+		assert.equal(detectPageChange(target, noSlots("No appointments")), null)
+	})
+})
+
+describe("diffLines", () => {
+	it("marks removed and added lines", () => {
+		assert.equal(diffLines("a\nb\nc", "a\nc\nd"), "- b\n+ d")
+	})
+})
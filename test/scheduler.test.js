@@ -0,0 +1,109 @@
+import assert from "node:assert/strict"
+import { describe, it } from "node:test"
+import { createScheduler, formatDuration } from "../src/scheduler.js"
+
+const tick = (ms = 20) => new Promise((resolve) => setTimeout(resolve, ms))
+
+describe("createScheduler", () => {
+	it("checks right away and then every interval", async () => {
+		let checks = 0
+		const scheduled = []
+		const scheduler = createScheduler({
+			runCheck: async () => ++checks > 0,
+			nextInterval: () => 30,
+			onSchedule: (interval) => scheduled.push(interval),
+		})
+
+		const loop = scheduler.start()
+		await tick(80)
+		scheduler.stop()
+		await loop
+
+		assert.ok(checks >= 2, `expected at least 2 checks, got ${checks}`)
+		assert.equal(scheduled[0], 30)
+		assert.equal(scheduler.status().lastRun.ok, true)
+	})
+
+	it("runs a check on demand and reschedules from then", async () => {
+		let checks = 0
+		const scheduler = createScheduler({
+			runCheck: async () => {
+				checks++
+				return true
+			},
+			nextInterval: () => 60_000,
+		})
+
+		const loop = scheduler.start()
+		await tick()
+		const firstNext = scheduler.status().nextCheckAt
+		assert.ok(firstNext > new Date())
+
+		assert.equal(await scheduler.checkNow(), true)
+		assert.equal(checks, 2)
+		await tick()
+		assert.ok(scheduler.status().nextCheckAt >= firstNext)
+
+		scheduler.stop()
+		await loop
+	})
+
+	it("shares a running check instead of starting a second one", async () => {
+		let checks = 0
+		let finish = null
+		const scheduler = createScheduler({
+			runCheck: () => {
+				checks++
+				return new Promise((resolve) => {
+					finish = resolve
+				})
+			},
+			nextInterval: () => 60_000,
+		})
+
+		const first = scheduler.checkNow()
+		const second = scheduler.checkNow()
+		assert.equal(scheduler.status().running, true)
+		finish(false)
+
+		assert.deepEqual(await Promise.all([first, second]), [false, false])
+		assert.equal(checks, 1)
+		assert.equal(scheduler.status().lastRun.ok, false)
+	})
+
+	it("pauses and resumes", async () => {
+		let checks = 0
+		const scheduler = createScheduler({
+			runCheck: async () => {
+				checks++
+				return true
+			},
+			nextInterval: () => 20,
+		})
+
+		const loop = scheduler.start()
+		await tick(5)
+		assert.equal(scheduler.pause(), true)
+		assert.equal(scheduler.pause(), false)
+		await tick()
+		const pausedAt = checks
+		await tick(60)
+
+		assert.equal(checks, pausedAt)
+		assert.equal(scheduler.status().paused, true)
+		assert.equal(scheduler.status().nextCheckAt, null)
+
+		assert.equal(scheduler.resume(), true)
+		assert.equal(scheduler.resume(), false)
+		await tick(60)
+		assert.ok(checks > pausedAt)
+
+		scheduler.stop()
+		await loop
+	})
+
+	it("formats durations", () => {
+		assert.equal(formatDuration(45_000), "45s")
+		assert.equal(formatDuration(204_000), "3m 24s")
+	})
+})
@@ -0,0 +1,32 @@
+import assert from "node:assert/strict"
+import fs from "node:fs"
+import os from "node:os"
+import path from "node:path"
+import { describe, it } from "node:test"
+
+process.env.STATE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "session-test-"))
+process.env.SESSION_REUSE = "true"
+
+const { clearSession, loadSession, saveSession } =
+	await import("../src/session-store.js")
+
+const state = { cookies: [{ name: "JSESSIONID", value: "abc" }], origins: [] }
+
+describe("session store", () => {
+	it("saves, loads and clears a session", () => {
+		saveSession("newy", state)
+		assert.deepEqual(loadSession("newy"), state)
+
+		clearSession("newy")
+		assert.equal(loadSession("newy"), null)
+	})
+
+	it("logs instead of throwing when the session can't be saved", () => {
+		// A directory where the session file should go makes the write fail
+		fs.mkdirSync(path.join(process.env.STATE_DIR, "sessions", "locked.json"), {
+			recursive: true,
+		})
+
+		assert.doesNotThrow(() => saveSession("locked", state))
+	})
+})